@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Programmatic entry point: `const { createDocsServer } = require('docs-server')`
+ */
+
+const { createDocsServer } = require('./lib/docsServer');
+const { buildStaticSite }  = require('./lib/staticBuilder');
+const { registerFileType } = require('./lib/fileTypes');
+const { registerRenderer } = require('./lib/renderers');
+
+module.exports = {
+  createDocsServer,
+  buildStaticSite,
+  registerFileType,
+  registerRenderer
+};
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview AsciiDoc rendering with Asciidoctor.js, in secure mode so documents cannot include
+ * files or read attributes from the environment
+ */
+
+const Asciidoctor = require('@asciidoctor/core');
+
+const { decodeEntities, stripTags } = require('./htmlUtils');
+const { renderHeading }             = require('./markdownRenderer');
+
+/**
+ * Document attributes set for every document. The sidebar replaces Asciidoctor's table of
+ * contents, and headings get the same "¶" permalinks as markdown instead of section anchors.
+ * @type {Object<string, string>}
+ */
+const ASCIIDOC_ATTRIBUTES = {
+  'showtitle':       '',
+  'toc!':            '',
+  'sectanchors!':    '',
+  'icons!':          '',
+  'env-docs-server': ''
+};
+
+/**
+ * Asciidoctor processor, created on first use as setting it up takes a moment
+ * @type {Object|null}
+ */
+let processor = null;
+
+/**
+ * Gets the Asciidoctor processor
+ * @returns {Object} Asciidoctor instance
+ */
+function getProcessor() {
+  if (!processor) {
+    processor = Asciidoctor();
+  }
+  return processor;
+}
+
+/**
+ * Lists the sections of a document, depth first
+ * @param {Object} node - Document or section
+ * @returns {Array<{level: number, text: string, id: string}>} Heading outline
+ */
+function collectHeadings(node) {
+  return node.getSections().flatMap(section => [
+    { level: Math.min(section.getLevel() + 1, 6), text: stripTags(section.getTitle()), id: section.getId() },
+    ...collectHeadings(section)
+  ]);
+}
+
+/**
+ * Renders an AsciiDoc document
+ * @param {string} content - AsciiDoc source
+ * @param {Object} ctx - Renderer context; uses `highlight`
+ * @returns {{html: string, title: string|null, headings: Array<{level: number, text: string, id: string}>, frontMatter: Object}}
+ *   Rendered HTML, document title, heading outline and author and revision details
+ */
+function renderAsciidoc(content, ctx) {
+  const document = getProcessor().load(content, { safe: 'secure', attributes: ASCIIDOC_ATTRIBUTES });
+  const html = document.convert()
+    .replace(/<pre class="highlight"><code class="language-([\w+#.-]+)"[^>]*>([\s\S]*?)<\/code><\/pre>/g,
+      (match, language, code) => ctx.highlight(decodeEntities(code), language))
+    .replace(/<h([2-6]) id="([^"]+)">(.*?)<\/h\1>/g, (match, level, id, text) => renderHeading(text, Number(level), id));
+
+  const frontMatter = {};
+  const details = { author: document.getAuthor(), revision: document.getRevisionNumber(), date: document.getRevisionDate() };
+  for (const [name, value] of Object.entries(details)) {
+    if (value) {
+      frontMatter[name] = value;
+    }
+  }
+
+  const title = document.getDocumentTitle();
+  return {
+    html,
+    title:    title ? stripTags(title) : null,
+    headings: collectHeadings(document),
+    frontMatter
+  };
+}
+
+/**
+ * Renders files of the `asciidoc` file type
+ * @type {{name: string, match: function(Object): boolean, render: function(string, Object): Object}}
+ */
+const asciidocRenderer = {
+  name:   'asciidoc',
+  match:  file => file.type.id === 'asciidoc',
+  render: renderAsciidoc
+};
+
+module.exports = {
+  renderAsciidoc,
+  asciidocRenderer
+};
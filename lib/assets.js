@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Front-end assets (Simple.css, highlight.js themes, mermaid) served from node_modules
+ */
+
+const { scopedMap } = require('./settingsScope');
+
+/**
+ * Assets available under /_assets/, with the package file they are served from
+ * and the CDN URL used when CDN mode is enabled
+ * @type {Object<string, {module: string, cdn: string}>}
+ */
+const ASSETS = {
+  'simple.min.css': {
+    module: 'simpledotcss/simple.min.css',
+    cdn:    'https://cdn.simplecss.org/simple.min.css'
+  },
+  'hljs/default.min.css': {
+    module: 'highlight.js/styles/default.min.css',
+    cdn:    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/default.min.css'
+  },
+  'hljs/github-dark.min.css': {
+    module: 'highlight.js/styles/github-dark.min.css',
+    cdn:    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github-dark.min.css'
+  },
+  'mermaid.min.js': {
+    module: 'mermaid/dist/mermaid.min.js',
+    cdn:    'https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.min.js'
+  }
+};
+
+/**
+ * Cache lifetime for local assets. URLs carry the package version, so they can be cached indefinitely.
+ * @type {string}
+ */
+const ASSET_MAX_AGE = '1y';
+
+/**
+ * Asset settings of each app: `cdn` tells whether pages load assets from public CDNs instead of this server
+ * @type {Map<string, boolean>}
+ */
+const assetSettings = scopedMap();
+
+/**
+ * Chooses where the current app's pages load their assets from
+ * @param {Object} options - Asset options
+ * @param {boolean} [options.cdn=false] - Load assets from public CDNs instead of /_assets/
+ */
+function configureAssets({ cdn = false } = {}) {
+  assetSettings.set('cdn', cdn);
+}
+
+/**
+ * Gets the version of the package an asset comes from, used to bust caches on upgrade
+ * @param {string} modulePath - Asset path inside node_modules
+ * @returns {string} Package version
+ */
+function getPackageVersion(modulePath) {
+  const packageName = modulePath.split('/')[0];
+  return require(`${packageName}/package.json`).version;
+}
+
+/**
+ * Gets the URL pages should use to load an asset
+ * @param {string} name - Asset name, e.g. 'simple.min.css'
+ * @param {string} [basePath=''] - Path the server is mounted under
+ * @returns {string} Asset URL
+ */
+function assetUrl(name, basePath = '') {
+  const asset = ASSETS[name];
+  if (assetSettings.get('cdn')) {
+    return asset.cdn;
+  }
+  return `${basePath}/_assets/${name}?v=${getPackageVersion(asset.module)}`;
+}
+
+/**
+ * Gets the origins pages load assets from in CDN mode, for the Content-Security-Policy
+ * @returns {string[]} CDN origins, or an empty array when assets are served locally
+ */
+function getCdnOrigins() {
+  if (!assetSettings.get('cdn')) {
+    return [];
+  }
+  return [...new Set(Object.values(ASSETS).map(asset => new URL(asset.cdn).origin))];
+}
+
+/**
+ * Serves an asset from node_modules with long-lived cache headers
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+function handleAsset(req, res) {
+  const name = req.path.slice('/_assets/'.length);
+  const asset = Object.prototype.hasOwnProperty.call(ASSETS, name) ? ASSETS[name] : null;
+
+  if (!asset) {
+    return res.status(404).send('File not found');
+  }
+
+  const filePath = require.resolve(asset.module);
+  res.sendFile(filePath, { maxAge: ASSET_MAX_AGE, immutable: true }, (error) => {
+    if (error && !res.headersSent) {
+      console.error(`Error sending asset ${name}:`, error);
+      res.status(500).send('Internal server error');
+    }
+  });
+}
+
+/**
+ * Gets the files backing the local assets, keyed by asset name (e.g. 'hljs/default.min.css')
+ * @returns {Object<string, string>} Absolute file paths
+ */
+function getAssetFiles() {
+  const files = {};
+  for (const [name, asset] of Object.entries(ASSETS)) {
+    files[name] = require.resolve(asset.module);
+  }
+  return files;
+}
+
+module.exports = {
+  configureAssets,
+  assetUrl,
+  getCdnOrigins,
+  handleAsset,
+  getAssetFiles
+};
@@ -0,0 +1,399 @@
+/**
+ * @fileoverview Authentication (HTTP Basic, bearer tokens, trusted reverse-proxy headers)
+ * and per-path access rules for shared deployments
+ */
+
+const crypto = require('node:crypto');
+const fs     = require('node:fs');
+const net    = require('node:net');
+const path   = require('node:path');
+const ignore = require('ignore');
+
+/**
+ * Group granting access to everyone, signed in or not
+ * @type {string}
+ */
+const PUBLIC_GROUP = 'public';
+
+/**
+ * Group granting access to any signed-in user. Paths without a matching rule require it.
+ * @type {string}
+ */
+const ANY_USER_GROUP = '*';
+
+/**
+ * Realm announced in HTTP Basic challenges
+ * @type {string}
+ */
+const REALM = 'docs-server';
+
+/**
+ * Alphabet of the crypt-style base64 encoding used by $apr1$ hashes
+ * @type {string}
+ */
+const APR1_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * @typedef {Object} User
+ * @property {string} name - User name
+ * @property {string[]} groups - Groups the user belongs to
+ */
+
+/**
+ * Reads the meaningful lines of a config file, skipping blank lines and # comments
+ * @param {string} filePath - Path to the file
+ * @returns {Array<{text: string, number: number}>} Trimmed lines with their 1-based line numbers
+ */
+function readLines(filePath) {
+  return fs.readFileSync(filePath, 'utf-8')
+    .split(/\r?\n/)
+    .map((line, index) => ({ text: line.trim(), number: index + 1 }))
+    .filter(line => line.text && !line.text.startsWith('#'));
+}
+
+/**
+ * Loads `name:secret` lines, as used by htpasswd files and token files
+ * @param {string} filePath - Path to the file
+ * @returns {Map<string, string>} Secrets by user name
+ * @throws {Error} If a line is malformed
+ */
+function loadCredentials(filePath) {
+  const credentials = new Map();
+
+  for (const { text, number } of readLines(filePath)) {
+    const separator = text.indexOf(':');
+    if (separator <= 0 || separator === text.length - 1) {
+      throw new Error(`${path.basename(filePath)}:${number}: expected "name:secret"`);
+    }
+
+    const name = text.slice(0, separator);
+    const secret = text.slice(separator + 1);
+    if (secret.startsWith('$2')) {
+      console.warn(`Warning: bcrypt hashes are not supported (${path.basename(filePath)}:${number}); use htpasswd -m or -s`);
+    }
+    credentials.set(name, secret);
+  }
+
+  return credentials;
+}
+
+/**
+ * Loads `group: user user ...` lines (Apache .htgroup format)
+ * @param {string} filePath - Path to the file
+ * @returns {Map<string, string[]>} Groups by user name
+ * @throws {Error} If a line is malformed
+ */
+function loadGroups(filePath) {
+  const groupsByUser = new Map();
+
+  for (const { text, number } of readLines(filePath)) {
+    const match = text.match(/^([^:\s]+)\s*:(.*)$/);
+    if (!match) {
+      throw new Error(`${path.basename(filePath)}:${number}: expected "group: user user ..."`);
+    }
+
+    for (const user of match[2].split(/[\s,]+/).filter(Boolean)) {
+      groupsByUser.set(user, [...(groupsByUser.get(user) || []), match[1]]);
+    }
+  }
+
+  return groupsByUser;
+}
+
+/**
+ * Loads access rules: one `<pattern> <group> [group ...]` per line. Patterns use gitignore
+ * syntax relative to the served directory; `/` matches everything, including the root.
+ * When several rules match a path, the last one wins.
+ * @param {string} filePath - Path to the file
+ * @returns {Array<{pattern: string, groups: string[], matches: function(string, boolean): boolean}>} Rules in file order
+ * @throws {Error} If a line is malformed
+ */
+function loadAccessRules(filePath) {
+  return readLines(filePath).map(({ text, number }) => {
+    const [pattern, ...groups] = text.split(/[\s,]+/).filter(Boolean);
+    if (groups.length === 0) {
+      throw new Error(`${path.basename(filePath)}:${number}: expected "<pattern> <group> [group ...]"`);
+    }
+
+    if (pattern === '/') {
+      return { pattern, groups, matches: () => true };
+    }
+
+    const matcher = ignore().add(pattern);
+    return {
+      pattern,
+      groups,
+      matches: (relativePath, isDirectory) => Boolean(relativePath) &&
+        (matcher.ignores(relativePath) || (isDirectory && matcher.ignores(`${relativePath}/`)))
+    };
+  });
+}
+
+/**
+ * Builds a check of whether a client address is one of the given addresses or CIDR ranges.
+ * IPv4 addresses also match their IPv4-mapped IPv6 form (`::ffff:10.0.0.1`), as sockets
+ * listening on `::` report them.
+ * @param {string[]} addresses - Addresses and ranges, e.g. `127.0.0.1`, `10.0.0.0/8` or `::1`
+ * @returns {function(string|undefined): boolean} Check taking a socket's remote address
+ * @throws {Error} If an address or range is malformed
+ */
+function createAddressMatcher(addresses) {
+  const blockList = new net.BlockList();
+  for (const entry of addresses) {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(address);
+    const maxPrefix = family === 4 ? 32 : 128;
+    if (!family || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+      throw new Error(`Invalid trusted proxy address "${entry}", expected an IP address or CIDR range`);
+    }
+
+    const type = family === 4 ? 'ipv4' : 'ipv6';
+    if (prefix === undefined) {
+      blockList.addAddress(address, type);
+    } else {
+      blockList.addSubnet(address, Number(prefix), type);
+    }
+  }
+
+  return (remoteAddress) => {
+    const family = remoteAddress ? net.isIP(remoteAddress) : 0;
+    return family !== 0 && blockList.check(remoteAddress, family === 4 ? 'ipv4' : 'ipv6');
+  };
+}
+
+/**
+ * Computes an Apache $apr1$ (MD5-based) password hash
+ * @param {string} password - Plain text password
+ * @param {string} salt - Salt from the stored hash
+ * @returns {string} Complete `$apr1$salt$hash` string
+ */
+function apr1(password, salt) {
+  const magic = '$apr1$';
+  const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+  const passwordBuffer = Buffer.from(password);
+  const saltBuffer = Buffer.from(salt.slice(0, 8));
+
+  let final = md5(passwordBuffer, saltBuffer, passwordBuffer);
+  const parts = [passwordBuffer, Buffer.from(magic), saltBuffer];
+  for (let length = passwordBuffer.length; length > 0; length -= 16) {
+    parts.push(final.subarray(0, Math.min(length, 16)));
+  }
+  for (let bits = passwordBuffer.length; bits; bits >>= 1) {
+    parts.push(bits & 1 ? Buffer.alloc(1) : passwordBuffer.subarray(0, 1));
+  }
+  final = md5(...parts);
+
+  for (let round = 0; round < 1000; round++) {
+    const roundParts = [round & 1 ? passwordBuffer : final];
+    if (round % 3) roundParts.push(saltBuffer);
+    if (round % 7) roundParts.push(passwordBuffer);
+    roundParts.push(round & 1 ? final : passwordBuffer);
+    final = md5(...roundParts);
+  }
+
+  const encode = (value, length) => {
+    let out = '';
+    for (let i = 0; i < length; i++) {
+      out += APR1_ALPHABET[value & 0x3f];
+      value >>= 6;
+    }
+    return out;
+  };
+
+  const hash = [[0, 6, 12], [1, 7, 13], [2, 8, 14], [3, 9, 15], [4, 10, 5]]
+    .map(([a, b, c]) => encode((final[a] << 16) | (final[b] << 8) | final[c], 4))
+    .join('') + encode(final[11], 2);
+
+  return `${magic}${saltBuffer.toString()}$${hash}`;
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if the strings are equal
+ */
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Checks a password against an htpasswd entry: `{SHA}` (htpasswd -s), `$apr1$` (htpasswd -m)
+ * or plain text. bcrypt hashes are not supported and never match.
+ * @param {string} password - Password sent by the client
+ * @param {string} hash - Stored hash
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, hash) {
+  if (hash.startsWith('{SHA}')) {
+    return safeEqual(crypto.createHash('sha1').update(password).digest('base64'), hash.slice('{SHA}'.length));
+  }
+  if (hash.startsWith('$apr1$')) {
+    return safeEqual(apr1(password, hash.split('$')[2]), hash);
+  }
+  if (hash.startsWith('$2')) {
+    return false;
+  }
+  return safeEqual(password, hash);
+}
+
+/**
+ * Creates the authenticator and access checks for a server. Users can sign in with HTTP Basic
+ * (htpasswd file), a bearer token (token file), or be identified by a trusted reverse proxy header;
+ * a custom `authenticate` function can replace or complement these.
+ * @param {Object} options - Auth options
+ * @param {string|null} [options.htpasswd] - htpasswd file enabling HTTP Basic authentication
+ * @param {string|null} [options.tokens] - File of `name:token` lines accepted as bearer tokens
+ * @param {string|null} [options.groups] - File of `group: user user` lines
+ * @param {string|null} [options.proxyUserHeader] - Header carrying the user name set by a trusted reverse proxy
+ * @param {string} [options.proxyGroupsHeader='X-Forwarded-Groups'] - Header carrying the proxy user's comma-separated groups
+ * @param {string[]} [options.trustedProxies=[]] - Addresses or CIDR ranges of the proxies allowed to set the proxy
+ *   headers; required with proxyUserHeader, and the headers of requests from other addresses are ignored
+ * @param {string|null} [options.accessRules] - File of per-path rules
+ * @param {function(import('express').Request): (User|null|false)} [options.authenticate] - Custom authenticator:
+ *   returns the user, null when the request carries no credentials, or false when they are invalid
+ * @returns {{authenticate: function(import('express').Request): (User|null|false),
+ *   canAccess: function((User|null), string, boolean): boolean,
+ *   challenge: function(import('express').Response): void,
+ *   files: string[]}|null} Auth helpers, or null when no authentication method is configured
+ * @throws {Error} If a file cannot be read or is malformed, access rules are given without an authentication method,
+ *   or proxyUserHeader is given without valid trustedProxies
+ */
+function createAuth(options = {}) {
+  const {
+    htpasswd = null,
+    tokens = null,
+    groups = null,
+    proxyUserHeader = null,
+    proxyGroupsHeader = 'X-Forwarded-Groups',
+    trustedProxies = [],
+    accessRules = null,
+    authenticate: customAuthenticate = null
+  } = options;
+
+  if (!htpasswd && !tokens && !proxyUserHeader && !customAuthenticate) {
+    if (accessRules || groups) {
+      throw new Error('Access rules and groups need an authentication method (htpasswd, tokens or proxyUserHeader)');
+    }
+    return null;
+  }
+
+  // Anyone who can reach the port could otherwise claim to be any user, in any group
+  if (proxyUserHeader && trustedProxies.length === 0) {
+    throw new Error('proxyUserHeader needs trustedProxies: the addresses of the reverse proxies allowed to set it');
+  }
+  const isTrustedProxy = createAddressMatcher(trustedProxies);
+
+  const load = (filePath, loader) => {
+    try {
+      return loader(filePath);
+    } catch (error) {
+      throw new Error(`Could not load ${filePath}: ${error.message}`);
+    }
+  };
+
+  const passwords = htpasswd ? load(htpasswd, loadCredentials) : new Map();
+  const bearerTokens = tokens ? load(tokens, loadCredentials) : new Map();
+  const groupsByUser = groups ? load(groups, loadGroups) : new Map();
+  const rules = accessRules ? load(accessRules, loadAccessRules) : [];
+
+  const toUser = (name, extraGroups = []) => ({
+    name,
+    groups: [...new Set([...(groupsByUser.get(name) || []), ...extraGroups])]
+  });
+
+  /**
+   * Identifies the user making a request
+   * @param {import('express').Request} req - Express request object
+   * @returns {User|null|false} The user, null for anonymous requests, false for invalid credentials
+   */
+  const authenticate = (req) => {
+    if (customAuthenticate) {
+      const user = customAuthenticate(req);
+      if (user !== null && user !== undefined) {
+        return user && { name: user.name, groups: user.groups || [] };
+      }
+    }
+
+    if (proxyUserHeader && req.get(proxyUserHeader) && isTrustedProxy(req.socket.remoteAddress)) {
+      const proxyGroups = (req.get(proxyGroupsHeader) || '').split(',').map(group => group.trim()).filter(Boolean);
+      return toUser(req.get(proxyUserHeader), proxyGroups);
+    }
+
+    const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+    if (!credentials) {
+      return null;
+    }
+
+    if (/^bearer$/i.test(scheme) && tokens) {
+      for (const [name, token] of bearerTokens) {
+        if (safeEqual(credentials, token)) {
+          return toUser(name);
+        }
+      }
+      return false;
+    }
+
+    if (/^basic$/i.test(scheme) && htpasswd) {
+      const decoded = Buffer.from(credentials, 'base64').toString('utf-8');
+      const separator = decoded.indexOf(':');
+      const name = decoded.slice(0, separator);
+      const hash = passwords.get(name);
+      return separator > 0 && hash && verifyPassword(decoded.slice(separator + 1), hash) ? toUser(name) : false;
+    }
+
+    return false;
+  };
+
+  /**
+   * Checks whether a user may read a path. The last matching rule decides; paths no rule
+   * matches are open to any signed-in user.
+   * @param {User|null} user - Signed-in user, or null
+   * @param {string} relativePath - Path relative to the served directory ('' for the root)
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {boolean} True if access is allowed
+   */
+  const canAccess = (user, relativePath, isDirectory) => {
+    const normalizedPath = relativePath.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+    let allowedGroups = [ANY_USER_GROUP];
+    for (const rule of rules) {
+      if (rule.matches(normalizedPath, isDirectory)) {
+        allowedGroups = rule.groups;
+      }
+    }
+
+    if (allowedGroups.includes(PUBLIC_GROUP)) {
+      return true;
+    }
+    if (!user) {
+      return false;
+    }
+    return allowedGroups.includes(ANY_USER_GROUP) || allowedGroups.some(group => user.groups.includes(group));
+  };
+
+  /**
+   * Asks the browser for credentials on 401 responses when HTTP Basic is enabled
+   * @param {import('express').Response} res - Express response object
+   */
+  const challenge = (res) => {
+    if (htpasswd) {
+      res.set('WWW-Authenticate', `Basic realm="${REALM}", charset="UTF-8"`);
+    }
+  };
+
+  return {
+    authenticate,
+    canAccess,
+    challenge,
+    files: [htpasswd, tokens, groups, accessRules].filter(Boolean)
+  };
+}
+
+module.exports = {
+  PUBLIC_GROUP,
+  ANY_USER_GROUP,
+  createAuth,
+  verifyPassword,
+  loadAccessRules
+};
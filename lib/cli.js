@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Command line parsing, help text and browser launching for the docs-server binary
+ */
+
+const { spawn } = require('node:child_process');
+
+const { OPTION_DEFINITIONS, CONFIG_FILES, validateOption } = require('./config');
+const { formatFileSize }                                    = require('./fileUtils');
+
+/**
+ * Converts an option name to its command line flag name, e.g. showHidden -> show-hidden
+ * @param {string} name - Option name
+ * @returns {string} Flag name without the leading dashes
+ */
+function toFlagName(name) {
+  return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Option names by flag name and alias
+ * @type {Map<string, string>}
+ */
+const FLAG_NAMES = new Map();
+for (const [name, definition] of Object.entries(OPTION_DEFINITIONS)) {
+  FLAG_NAMES.set(toFlagName(name), name);
+  if (definition.alias) {
+    FLAG_NAMES.set(definition.alias, name);
+  }
+}
+
+/**
+ * Parses command line arguments (without the node binary and script path).
+ *
+ *   docs-server [dir] [port] [options]
+ *   docs-server build [dir] --out <outdir> [options]
+ *
+ * @param {string[]} args - Command line arguments
+ * @returns {{command: string, rootDir: string|null, outDir: string|null, options: Object, help: boolean, version: boolean}}
+ *   Parsed command, positional arguments and the options given on the command line
+ * @throws {Error} If an option is unknown, is missing its value or has an invalid value
+ */
+function parseArgs(args) {
+  const result = { command: 'serve', rootDir: null, outDir: null, options: {}, help: false, version: false };
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--') {
+      positionals.push(...args.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    const takeValue = () => {
+      if (inlineValue !== undefined) {
+        return inlineValue;
+      }
+      if (i + 1 >= args.length || args[i + 1].startsWith('-')) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return args[++i];
+    };
+
+    if (flag === 'help' || flag === 'h') {
+      result.help = true;
+    } else if (flag === 'version' || flag === 'v') {
+      result.version = true;
+    } else if (flag === 'out' || flag === 'o') {
+      result.outDir = takeValue();
+    } else if (FLAG_NAMES.has(flag)) {
+      const name = FLAG_NAMES.get(flag);
+      const value = OPTION_DEFINITIONS[name].type === 'boolean' && inlineValue === undefined ? true : takeValue();
+      result.options[name] = validateOption(name, value, `--${toFlagName(name)}`);
+    } else if (flag.startsWith('no-') && FLAG_NAMES.has(flag.slice(3))) {
+      const name = FLAG_NAMES.get(flag.slice(3));
+      if (OPTION_DEFINITIONS[name].type !== 'boolean' || inlineValue !== undefined) {
+        throw new Error(`Unknown option: ${arg}`);
+      }
+      result.options[name] = false;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (positionals[0] === 'build') {
+    result.command = 'build';
+    positionals.shift();
+  }
+
+  const maxPositionals = result.command === 'build' ? 1 : 2;
+  if (positionals.length > maxPositionals) {
+    throw new Error(`Unexpected argument: ${positionals[maxPositionals]}`);
+  }
+
+  result.rootDir = positionals[0] || null;
+
+  // The port can also be given positionally, after the directory
+  if (positionals[1] !== undefined && result.options.port === undefined) {
+    result.options.port = validateOption('port', positionals[1], 'port');
+  }
+
+  if (result.outDir !== null && result.command !== 'build') {
+    throw new Error('--out can only be used with the build command');
+  }
+
+  return result;
+}
+
+/**
+ * Builds the --help text from the option definitions
+ * @returns {string} Usage text
+ */
+function formatHelp() {
+  const rows = [
+    ['-h, --help', 'Show this help and exit'],
+    ['-v, --version', 'Show the version number and exit']
+  ];
+
+  for (const [name, definition] of Object.entries(OPTION_DEFINITIONS)) {
+    const flag = definition.type === 'boolean' && definition.default === true
+      ? `--no-${toFlagName(name)}`
+      : `--${toFlagName(name)}`;
+    const alias = definition.alias ? `-${definition.alias}, ` : '';
+    const label = `${alias}${flag}${definition.arg ? ` ${definition.arg}` : ''}`;
+    const defaultValue = Array.isArray(definition.default) ? definition.default.join(',')
+      : definition.type === 'size' ? formatFileSize(definition.default).replace(' ', '')
+      : definition.default;
+    const suffix = definition.type === 'boolean' || definition.type === 'map' || defaultValue === null || defaultValue === '' ? '' : ` (default: ${defaultValue})`;
+    rows.push([label, `${definition.description}${suffix}`]);
+  }
+  rows.push(['-o, --out <dir>', 'Output directory (build only)']);
+
+  const width = Math.max(...rows.map(([label]) => label.length)) + 2;
+
+  return [
+    'Usage:',
+    '  docs-server [dir] [port] [options]        Serve dir (default: current directory)',
+    '  docs-server build [dir] --out <outdir>    Export dir as a static site',
+    '',
+    'Options:',
+    ...rows.map(([label, description]) => `  ${label.padEnd(width)}${description}`),
+    '',
+    `Options can also be set in ${CONFIG_FILES.join(' or ')} in the served directory,`,
+    'using the option names (e.g. { "port": 8080, "showHidden": true }). Command line flags take precedence.',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Opens a URL in the default browser. Failures are reported as a warning only.
+ * @param {string} url - URL to open
+ */
+function openBrowser(url) {
+  const [command, args] = process.platform === 'darwin'
+    ? ['open', [url]]
+    : process.platform === 'win32'
+      ? ['cmd', ['/c', 'start', '""', url]]
+      : ['xdg-open', [url]];
+
+  try {
+    const child = spawn(command, args, { stdio: 'ignore', detached: true });
+    child.on('error', (error) => {
+      console.warn(`Warning: Could not open browser: ${error.message}`);
+    });
+    child.unref();
+  } catch (error) {
+    console.warn(`Warning: Could not open browser: ${error.message}`);
+  }
+}
+
+module.exports = {
+  parseArgs,
+  formatHelp,
+  openBrowser
+};
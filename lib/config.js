@@ -0,0 +1,388 @@
+/**
+ * @fileoverview Server options: definitions, defaults, validation and config file loading
+ */
+
+const fs   = require('node:fs');
+const path = require('node:path');
+
+const {
+  DEFAULT_INDEX_FILES,
+  DEFAULT_MAX_FILE_SIZE,
+  DEFAULT_HIGHLIGHT_SIZE
+} = require('./pages');
+const { SYMLINK_POLICIES }    = require('./security');
+const { resolveLanguageName } = require('./languageDetector');
+
+/**
+ * Config files looked up in the served directory, in order of preference
+ * @type {string[]}
+ */
+const CONFIG_FILES = ['.docs-server.json', 'docs-server.config.js'];
+
+/**
+ * Multipliers of the units accepted by size options
+ * @type {Object<string, number>}
+ */
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+
+/**
+ * Supported options. Each can be set in a config file (by name) or on the command
+ * line (as --kebab-case; booleans also accept a --no- prefix).
+ * @type {Object<string, {type: string, default: *, description: string, alias?: string, arg?: string, choices?: string[]}>}
+ */
+const OPTION_DEFINITIONS = {
+  port: {
+    type:        'port',
+    default:     4040,
+    alias:       'p',
+    arg:         '<number>',
+    description: 'Port to listen on'
+  },
+  host: {
+    type:        'string',
+    default:     null,
+    arg:         '<address>',
+    description: 'Address to bind to (default: all interfaces)'
+  },
+  open: {
+    type:        'boolean',
+    default:     false,
+    description: 'Open the served directory in the default browser'
+  },
+  cert: {
+    type:        'path',
+    default:     null,
+    arg:         '<file>',
+    description: 'Serve over HTTPS with this PEM certificate (needs --key)'
+  },
+  key: {
+    type:        'path',
+    default:     null,
+    arg:         '<file>',
+    description: 'PEM private key of the --cert certificate'
+  },
+  selfSigned: {
+    type:        'boolean',
+    default:     false,
+    description: 'Serve over HTTPS with a self-signed localhost certificate, generated on first use'
+  },
+  http2: {
+    type:        'boolean',
+    default:     false,
+    description: 'Serve HTTP/2, falling back to HTTP/1.1 for older clients (needs HTTPS)'
+  },
+  redirectPort: {
+    type:        'port',
+    default:     null,
+    arg:         '<number>',
+    description: 'Also listen for plain HTTP on this port and redirect to HTTPS'
+  },
+  gitignore: {
+    type:        'boolean',
+    default:     true,
+    description: 'Show files matched by .gitignore rules (gitignore filtering is on by default)'
+  },
+  ignore: {
+    type:        'list',
+    default:     [],
+    arg:         '<patterns>',
+    description: 'Comma-separated gitignore-style patterns to hide, in addition to .gitignore'
+  },
+  showHidden: {
+    type:        'boolean',
+    default:     false,
+    description: 'Show hidden files and directories (names starting with a dot)'
+  },
+  symlinks: {
+    type:        'string',
+    default:     'root',
+    choices:     SYMLINK_POLICIES,
+    arg:         '<policy>',
+    description: 'Symbolic links to follow: deny, root (targets inside the served directory) or targets'
+  },
+  symlinkTargets: {
+    type:        'paths',
+    default:     [],
+    arg:         '<dirs>',
+    description: 'Comma-separated directories symlinks may also point into with --symlinks targets'
+  },
+  index: {
+    type:        'list',
+    default:     DEFAULT_INDEX_FILES,
+    arg:         '<names>',
+    description: 'Comma-separated index files rendered as directory landing pages'
+  },
+  theme: {
+    type:        'string',
+    default:     'light',
+    choices:     ['light', 'dark'],
+    arg:         '<name>',
+    description: 'Default color theme for first-time visitors (light or dark)'
+  },
+  git: {
+    type:        'boolean',
+    default:     true,
+    description: 'Hide file history, blame, diffs and last commits (shown by default when the served directory is in a git repository)'
+  },
+  diffBase: {
+    type:        'string',
+    default:     null,
+    arg:         '<branch>',
+    description: 'Branch the changed files page compares against (default: origin/HEAD, main or master)'
+  },
+  drafts: {
+    type:        'boolean',
+    default:     false,
+    description: 'List markdown files marked draft: true in their front matter'
+  },
+  cdn: {
+    type:        'boolean',
+    default:     false,
+    description: 'Load Simple.css, highlight.js themes and mermaid from public CDNs'
+  },
+  maxFileSize: {
+    type:        'size',
+    default:     DEFAULT_MAX_FILE_SIZE,
+    arg:         '<size>',
+    description: 'Show larger text files one page of this size at a time, e.g. 512KB or 2MB'
+  },
+  highlightSize: {
+    type:        'size',
+    default:     DEFAULT_HIGHLIGHT_SIZE,
+    arg:         '<size>',
+    description: 'Show larger code files (or pages of them) without syntax highlighting'
+  },
+  languages: {
+    type:        'map',
+    default:     {},
+    arg:         '<pattern=language,...>',
+    description: 'Highlight files matching gitignore-style patterns as a language, e.g. "*.tpl=html,Jenkinsfile.*=groovy"'
+  },
+  renderers: {
+    type:        'plugins',
+    default:     [],
+    arg:         '<modules>',
+    description: 'Comma-separated renderer plugins to load: module paths or npm package names'
+  },
+  cacheSize: {
+    type:        'count',
+    default:     500,
+    arg:         '<pages>',
+    description: 'Rendered pages kept in memory (0 turns the cache off)'
+  },
+  cacheMemory: {
+    type:        'size',
+    default:     64 * 1024 * 1024,
+    arg:         '<size>',
+    description: 'Total size of the rendered pages kept in memory, e.g. 256MB'
+  },
+  htpasswd: {
+    type:        'path',
+    default:     null,
+    arg:         '<file>',
+    description: 'Require HTTP Basic sign-in with the users of an htpasswd file ({SHA}, $apr1$ or plain)'
+  },
+  tokens: {
+    type:        'path',
+    default:     null,
+    arg:         '<file>',
+    description: 'Accept the bearer tokens listed in a file of name:token lines'
+  },
+  proxyUserHeader: {
+    type:        'string',
+    default:     null,
+    arg:         '<header>',
+    description: 'Trust the user name a reverse proxy sets in this header, e.g. X-Forwarded-User'
+  },
+  proxyGroupsHeader: {
+    type:        'string',
+    default:     'X-Forwarded-Groups',
+    arg:         '<header>',
+    description: 'Header with the proxy user\'s comma-separated groups'
+  },
+  trustedProxies: {
+    type:        'list',
+    default:     [],
+    arg:         '<addresses>',
+    description: 'Comma-separated addresses or CIDR ranges of the proxies allowed to set the proxy headers (required with --proxy-user-header)'
+  },
+  groups: {
+    type:        'path',
+    default:     null,
+    arg:         '<file>',
+    description: 'Assign users to groups with a file of "group: user user" lines'
+  },
+  accessRules: {
+    type:        'path',
+    default:     null,
+    arg:         '<file>',
+    description: 'Restrict paths to groups with a file of "<pattern> <group> ..." rules'
+  }
+};
+
+/**
+ * Gets the default value of every option
+ * @returns {Object} Default options
+ */
+function getDefaultOptions() {
+  const defaults = {};
+  for (const [name, definition] of Object.entries(OPTION_DEFINITIONS)) {
+    defaults[name] = Array.isArray(definition.default) ? [...definition.default]
+      : definition.type === 'map' ? { ...definition.default }
+      : definition.default;
+  }
+  return defaults;
+}
+
+/**
+ * Validates an option value and converts strings from the command line to the option's type
+ * @param {string} name - Option name
+ * @param {*} value - Raw value
+ * @param {string} label - How the option is referred to in error messages, e.g. `--port`
+ * @returns {*} Validated value
+ * @throws {Error} If the option is unknown or the value is invalid
+ */
+function validateOption(name, value, label) {
+  const definition = OPTION_DEFINITIONS[name];
+  if (!definition) {
+    throw new Error(`Unknown option ${label}`);
+  }
+
+  const invalid = (expected) => new Error(`Invalid value for ${label}: ${expected}`);
+
+  switch (definition.type) {
+    case 'port': {
+      if (value === null && definition.default === null) {
+        return value;
+      }
+      const port = typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : value;
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw invalid('Port must be a number between 1 and 65535');
+      }
+      return port;
+    }
+    case 'size': {
+      const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+      const size = match ? Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]) : value;
+      if (!Number.isInteger(size) || size < 1) {
+        throw invalid('expected a size such as 500KB or 2MB');
+      }
+      return size;
+    }
+    case 'count': {
+      const count = typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : value;
+      if (!Number.isInteger(count) || count < 0) {
+        throw invalid('expected a whole number of 0 or more');
+      }
+      return count;
+    }
+    case 'boolean':
+      if (value === 'true' || value === 'false') {
+        return value === 'true';
+      }
+      if (typeof value !== 'boolean') {
+        throw invalid('expected true or false');
+      }
+      return value;
+    case 'list':
+    case 'paths': {
+      const list = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+      if (!Array.isArray(list) || !list.every(item => typeof item === 'string' && item)) {
+        throw invalid('expected a list of names');
+      }
+      if (list.length === 0 && definition.default.length > 0) {
+        throw invalid('expected at least one name');
+      }
+      return list;
+    }
+    case 'plugins': {
+      // docs-server.config.js can also list plugin objects, which are checked when they are registered
+      const list = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+      if (!Array.isArray(list) || !list.every(item => (typeof item === 'string' && item) || (item && typeof item === 'object'))) {
+        throw invalid('expected a list of module paths or package names');
+      }
+      return list;
+    }
+    case 'map': {
+      // On the command line: comma-separated pattern=language pairs
+      const entries = typeof value === 'string'
+        ? value.split(',').map(item => item.trim()).filter(Boolean).map(item => item.split('=').map(part => part.trim()))
+        : (value && typeof value === 'object' && !Array.isArray(value) ? Object.entries(value) : null);
+      if (!entries || !entries.every(entry => entry.length === 2 && entry[0] && typeof entry[1] === 'string' && entry[1])) {
+        throw invalid('expected pattern=language pairs');
+      }
+      const unknown = entries.find(([, language]) => !resolveLanguageName(language));
+      if (unknown) {
+        throw invalid(`unknown language "${unknown[1]}"`);
+      }
+      return Object.fromEntries(entries);
+    }
+    case 'string':
+    case 'path':
+      if (value === null && definition.default === null) {
+        return value;
+      }
+      if (typeof value !== 'string' || !value) {
+        throw invalid('expected a non-empty string');
+      }
+      if (definition.choices && !definition.choices.includes(value)) {
+        throw invalid(`expected one of ${definition.choices.join(', ')}`);
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Loads options from the first config file found in rootDir
+ * (.docs-server.json or docs-server.config.js)
+ * @param {string} rootDir - Served directory
+ * @returns {{options: Object, file: string|null}} Validated options and the config file they came from
+ * @throws {Error} If the config file cannot be read or contains invalid options
+ */
+function loadConfigFile(rootDir) {
+  const configFile = CONFIG_FILES
+    .map(name => path.join(rootDir, name))
+    .find(filePath => fs.existsSync(filePath));
+
+  if (!configFile) {
+    return { options: {}, file: null };
+  }
+
+  const fileName = path.basename(configFile);
+  let config;
+  try {
+    config = path.extname(configFile) === '.js'
+      ? require(configFile)
+      : JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not load ${fileName}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Could not load ${fileName}: expected an object of options`);
+  }
+
+  const options = {};
+  for (const [name, value] of Object.entries(config)) {
+    options[name] = validateOption(name, value, `"${name}" in ${fileName}`);
+    // File paths in the config file are relative to the served directory
+    if (OPTION_DEFINITIONS[name].type === 'path' && options[name]) {
+      options[name] = path.resolve(rootDir, options[name]);
+    } else if (OPTION_DEFINITIONS[name].type === 'paths') {
+      options[name] = options[name].map(filePath => path.resolve(rootDir, filePath));
+    } else if (OPTION_DEFINITIONS[name].type === 'plugins') {
+      options[name] = options[name].map(plugin => (typeof plugin === 'string' && /^\.\.?[\\/]/.test(plugin) ? path.resolve(rootDir, plugin) : plugin));
+    }
+  }
+  return { options, file: configFile };
+}
+
+module.exports = {
+  OPTION_DEFINITIONS,
+  CONFIG_FILES,
+  getDefaultOptions,
+  validateOption,
+  loadConfigFile
+};
@@ -0,0 +1,743 @@
+/**
+ * @fileoverview Express app factory serving a directory of documentation files.
+ * Used by the docs-server CLI and mountable in other Express apps.
+ */
+
+const path   = require('node:path');
+const fs     = require('node:fs');
+const crypto = require('node:crypto');
+
+const express = require('express');
+const mime    = require('mime');
+
+const {
+  isSubPath,
+  configureSymlinkPolicy,
+  resolveSymlinks,
+  decodeUrlPath
+} = require('./security');
+const { generateSearchHTML }                     = require('./htmlGenerator');
+const {
+  configureIgnoreRules,
+  shouldIgnoreFile,
+  isHiddenFile,
+  explainIgnore
+} = require('./gitignoreParser');
+const {
+  renderDirectoryPage,
+  renderFilePage,
+  renderHistoryPage,
+  renderBlamePage,
+  renderDiffPage,
+  renderChangesPage,
+  describeChanges,
+  describeDirectory,
+  describeFile
+} = require('./pages');
+const { search }                                 = require('./searchIndex');
+const { createLiveReload }                       = require('./liveReload');
+const { configureAssets, handleAsset }           = require('./assets');
+const {
+  CONFIG_FILES,
+  getDefaultOptions,
+  validateOption
+} = require('./config');
+const { createAuth }                             = require('./auth');
+const { createRenderCache }                      = require('./renderCache');
+const { getRepositoryState }                     = require('./gitHistory');
+const { parseListingSort }                       = require('./fileUtils');
+const { configureLanguages }                     = require('./languageDetector');
+const { loadRenderers }                          = require('./renderers');
+const { securityHeaders, isActiveContentType, SANDBOX_POLICY } = require('./securityHeaders');
+const { createScope, runInScope }                = require('./settingsScope');
+
+/**
+ * Rendered in place of the per-response CSP nonce, so a cached page can be sent in several
+ * responses; sendPage swaps in the response's nonce
+ * @type {string}
+ */
+const NONCE_PLACEHOLDER = crypto.randomBytes(16).toString('hex');
+
+/**
+ * Checks whether a path is an existing directory
+ * @param {string} fullPath - Absolute path
+ * @returns {Promise<boolean>} True if the path is a directory
+ */
+async function isDirectoryPath(fullPath) {
+  try {
+    return (await fs.promises.stat(fullPath)).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Maps a request URL path onto rootDir, applying the encoding, path traversal, symlink,
+ * hidden file, gitignore and access rule checks. Symlinks to other places in rootDir are
+ * checked against the rules of both the link and its target.
+ * @param {string} rootDir - Root directory for the server
+ * @param {string} urlPath - Percent-encoded request path
+ * @param {Object|null} [auth=null] - Auth helpers from createAuth, or null when authentication is off
+ * @param {Object|null} [user=null] - Signed-in user
+ * @returns {Promise<{requestedPath: string, fullPath: string, status: number|null, message: string|null}>}
+ *   Decoded and resolved path, or the error status and message to respond with
+ */
+async function resolveRequestPath(rootDir, urlPath, auth = null, user = null) {
+  const requestedPath = decodeUrlPath(urlPath);
+  if (requestedPath === null) {
+    return { requestedPath: urlPath, fullPath: rootDir, status: 400, message: 'Bad request: Malformed URL path' };
+  }
+  return checkRequestPath(rootDir, requestedPath, auth, user);
+}
+
+/**
+ * Applies the path traversal, symlink, hidden file, gitignore and access rule checks of
+ * resolveRequestPath to a decoded path
+ * @param {string} rootDir - Root directory for the server
+ * @param {string} requestedPath - Decoded path, starting with a slash
+ * @param {Object|null} [auth=null] - Auth helpers from createAuth, or null when authentication is off
+ * @param {Object|null} [user=null] - Signed-in user
+ * @param {Object} [options={}] - Check options
+ * @param {boolean} [options.allowHidden=false] - Skip the hidden file and gitignore checks, for explaining them
+ * @returns {Promise<{requestedPath: string, fullPath: string, status: number|null, message: string|null}>}
+ *   Resolved path, or the error status and message to respond with
+ */
+async function checkRequestPath(rootDir, requestedPath, auth = null, user = null, { allowHidden = false } = {}) {
+  const fullPath = path.join(rootDir, requestedPath);
+  const result = (status, message) => ({ requestedPath, fullPath, status, message });
+
+  // Security check: prevent path traversal attacks
+  if (!isSubPath(rootDir, fullPath)) {
+    return result(403, 'Access denied: Path outside of root directory');
+  }
+
+  const { allowed, targetPath } = await resolveSymlinks(fullPath, rootDir);
+  if (!allowed) {
+    return result(403, 'Access denied: Symbolic link target is not allowed');
+  }
+
+  const checkedPaths = targetPath !== path.resolve(fullPath) && isSubPath(rootDir, targetPath) ? [fullPath, targetPath] : [fullPath];
+
+  if (!allowHidden) {
+    if (checkedPaths.some(filePath => isHiddenFile(filePath, rootDir))) {
+      return result(404, 'File not found');
+    }
+    const ignored = await Promise.all(checkedPaths.map(filePath => shouldIgnoreFile(filePath, rootDir)));
+    if (ignored.some(Boolean)) {
+      return result(404, 'File not found');
+    }
+  }
+
+  const canAccess = async (filePath) => auth.canAccess(user, path.relative(rootDir, filePath), await isDirectoryPath(filePath));
+  if (auth && !(await Promise.all(checkedPaths.map(canAccess))).every(Boolean)) {
+    return user
+      ? result(403, 'Access denied: You do not have permission to view this path')
+      : result(401, 'Authentication required');
+  }
+
+  return result(null, null);
+}
+
+/**
+ * Checks whether a request asked for JSON, via `?format=json` or the Accept header
+ * @param {import('express').Request} req - Express request object
+ * @returns {boolean} True if the response should be JSON
+ */
+function wantsJson(req) {
+  return req.query.format === 'json' || req.accepts(['html', 'json']) === 'json';
+}
+
+/**
+ * Sends an error response: `{"error": {"status", "message"}}` to JSON clients, plain text otherwise
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ */
+function sendError(req, res, status, message) {
+  res.vary('Accept');
+  if (wantsJson(req)) {
+    res.status(status).json({ error: { status, message } });
+  } else {
+    res.status(status).send(message);
+  }
+}
+
+/**
+ * Sends a rendered page with a weak ETag of its content, answering 304 Not Modified when
+ * the request's If-None-Match matches. Browsers revalidate the page on every visit.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {string} html - Page rendered with NONCE_PLACEHOLDER as its script nonce
+ */
+function sendPage(req, res, html) {
+  const hash = crypto.createHash('sha1').update(html).digest('base64');
+  res.set('ETag', `W/"${hash}"`);
+  res.set('Cache-Control', req.user ? 'private, no-cache' : 'no-cache');
+
+  if (req.fresh) {
+    // Browsers merge a 304's headers into the cached response. This response's nonce is not
+    // in the cached page, so its policy would block the page's scripts; the cached one matches.
+    res.removeHeader('Content-Security-Policy');
+    return res.status(304).end();
+  }
+  res.send(html.split(NONCE_PLACEHOLDER).join(res.locals.cspNonce));
+}
+
+/**
+ * Lists the names, modification times and sizes of a directory's entries, so a cached
+ * listing is replaced when an entry changes
+ * @param {string} dirPath - Absolute path to the directory
+ * @returns {Promise<string>} Signature of the entries
+ */
+async function getDirectorySignature(dirPath) {
+  const names = await fs.promises.readdir(dirPath);
+  const entries = await Promise.all(names.sort().map(async (name) => {
+    try {
+      const stats = await fs.promises.stat(path.join(dirPath, name));
+      return `${name}:${stats.mtimeMs}:${stats.size}`;
+    } catch (error) {
+      return name;
+    }
+  }));
+  return entries.join('/');
+}
+
+/**
+ * Streams a file's bytes with its MIME type. Range requests, ETag and Last-Modified
+ * are handled by Express's sendFile. HTML, SVG and XML files are sandboxed, so scripts
+ * in them cannot act as this site.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {string} fullPath - Absolute path to the file
+ */
+async function sendRawFile(req, res, fullPath) {
+  const stats = await fs.promises.stat(fullPath).catch(() => null);
+  if (!stats || !stats.isFile()) {
+    return sendError(req, res, 404, 'File not found');
+  }
+
+  const options = { dotfiles: 'allow' };
+  if (isActiveContentType(mime.getType(fullPath))) {
+    res.set('Content-Security-Policy', SANDBOX_POLICY);
+  }
+  const onError = (error) => {
+    if (error && !res.headersSent) {
+      console.error('Error sending file:', error);
+      sendError(req, res, 500, 'Internal server error');
+    }
+  };
+
+  if (req.query.download) {
+    res.download(fullPath, path.basename(fullPath), options, onError);
+  } else {
+    res.sendFile(fullPath, options, onError);
+  }
+}
+
+/**
+ * Creates an Express app serving rootDir. The app can be started on its own with
+ * `app.listen()` or mounted under a sub-path of another app with `parent.use('/docs', app)`;
+ * links in generated pages follow the mount path. Call `app.close()` to stop watching files.
+ *
+ * Options other than rootDir and authenticate are the ones accepted by the CLI and config file
+ * (see OPTION_DEFINITIONS in lib/config.js); port, host, open and the HTTPS options are ignored
+ * here, except that cert and key files inside rootDir are hidden. The config files in rootDir
+ * (.docs-server.json, docs-server.config.js) are hidden as well.
+ * Settings apply to this app only, so several apps with different options can serve the same directory.
+ *
+ * @param {Object} options - Server options
+ * @param {string} options.rootDir - Directory to serve
+ * @param {function(import('express').Request): ({name: string, groups: string[]}|null|false)} [options.authenticate] -
+ *   Custom authenticator returning the signed-in user, null for anonymous requests or false for invalid credentials
+ * @param {string[]} [options.ignore=[]] - Extra gitignore-style patterns to hide
+ * @param {boolean} [options.gitignore=true] - Hide files matched by .gitignore rules
+ * @param {boolean} [options.showHidden=false] - Show dotfiles and dot-directories
+ * @param {string[]} [options.index] - Index files rendered as directory landing pages
+ * @param {string} [options.theme='light'] - Theme used until a visitor picks one with the toggle
+ * @param {boolean} [options.git=true] - Show file history, blame, diffs and last commits in git repositories
+ * @param {string} [options.diffBase] - Branch the changed files page compares against
+ * @param {boolean} [options.drafts=false] - List markdown files marked `draft: true`
+ * @param {boolean} [options.cdn=false] - Load Simple.css, highlight.js themes and mermaid from public CDNs
+ * @param {number} [options.maxFileSize=1048576] - Text files larger than this many bytes are shown a page at a time
+ * @param {number} [options.highlightSize=524288] - Code larger than this many bytes is shown without syntax highlighting
+ * @param {Object<string, string>} [options.languages={}] - Languages to highlight files as, by gitignore-style pattern
+ * @param {Array<string|Object>} [options.renderers=[]] - Renderer plugins to load: module paths, package names or plugin objects
+ * @param {number} [options.cacheSize=500] - Rendered pages kept in memory; 0 turns the cache off
+ * @param {number} [options.cacheMemory=67108864] - Total bytes of rendered pages kept in memory
+ * @param {string} [options.htpasswd] - htpasswd file enabling HTTP Basic authentication
+ * @param {string} [options.tokens] - File of `name:token` lines accepted as bearer tokens
+ * @param {string} [options.proxyUserHeader] - Header carrying the user name set by a trusted reverse proxy
+ * @param {string} [options.proxyGroupsHeader='X-Forwarded-Groups'] - Header carrying the proxy user's groups
+ * @param {string[]} [options.trustedProxies=[]] - Addresses or CIDR ranges of the proxies allowed to set the proxy headers;
+ *   required with proxyUserHeader
+ * @param {string} [options.groups] - File of `group: user user` lines
+ * @param {string} [options.accessRules] - File of `<pattern> <group> ...` rules restricting paths to groups
+ * @returns {import('express').Express & {close: function(): void}} Configured Express app
+ * @throws {Error} If rootDir is missing or not a directory, or an option is invalid
+ */
+function createDocsServer(options = {}) {
+  const { rootDir: rootOption, authenticate = null, ...serverOptions } = options;
+  if (!rootOption) {
+    throw new Error('Missing rootDir option');
+  }
+
+  const rootDir = path.resolve(rootOption);
+  if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+    throw new Error(`Directory "${rootDir}" does not exist.`);
+  }
+
+  const settings = getDefaultOptions();
+  for (const [name, value] of Object.entries(serverOptions)) {
+    if (value !== undefined) {
+      settings[name] = validateOption(name, value, `"${name}"`);
+    }
+  }
+
+  const auth = createAuth({
+    htpasswd:          settings.htpasswd && path.resolve(settings.htpasswd),
+    tokens:            settings.tokens && path.resolve(settings.tokens),
+    groups:            settings.groups && path.resolve(settings.groups),
+    accessRules:       settings.accessRules && path.resolve(settings.accessRules),
+    proxyUserHeader:   settings.proxyUserHeader,
+    proxyGroupsHeader: settings.proxyGroupsHeader,
+    trustedProxies:    settings.trustedProxies,
+    authenticate
+  });
+
+  // Never serve the credential and rule files, the TLS certificate and key, or the config
+  // file (docs-server.config.js is code and may hold secrets) themselves
+  const configFiles = CONFIG_FILES.map(name => path.join(rootDir, name));
+  const privatePatterns = [...(auth ? auth.files : []), settings.cert, settings.key, ...configFiles]
+    .filter(Boolean)
+    .map(filePath => path.resolve(filePath))
+    .filter(filePath => isSubPath(rootDir, filePath))
+    .map(filePath => `/${path.relative(rootDir, filePath).split(path.sep).join('/')}`);
+
+  // The settings below, and the caches built from them, are kept in the app's scope,
+  // which every request to the app runs in
+  const scope = createScope();
+  runInScope(scope, () => {
+    configureAssets({ cdn: settings.cdn });
+    configureIgnoreRules(rootDir, {
+      gitignore:  settings.gitignore,
+      showHidden: settings.showHidden,
+      patterns:   [...settings.ignore, ...privatePatterns]
+    });
+    configureSymlinkPolicy(rootDir, {
+      symlinks:       settings.symlinks,
+      symlinkTargets: settings.symlinkTargets.map(target => path.resolve(target))
+    });
+    configureLanguages(rootDir, { languages: settings.languages });
+    loadRenderers(settings.renderers, rootDir);
+  });
+
+  /**
+   * Checks the access rules for a path
+   * @param {Object|null} user - Signed-in user
+   * @param {string} fullPath - Absolute path
+   * @returns {Promise<boolean>} True if the user may read the path
+   */
+  const canUserRead = async (user, fullPath) => auth.canAccess(user, path.relative(rootDir, fullPath), await isDirectoryPath(fullPath));
+
+  const app = express();
+  app.disable('x-powered-by');
+  const cache = createRenderCache({ maxEntries: settings.cacheSize, maxBytes: settings.cacheMemory });
+  // Cache keys cover the served files themselves; anything else (ignore rules, other files
+  // a page depends on) changing under rootDir drops every cached page
+  const liveReload = runInScope(scope, () => createLiveReload(rootDir, {
+    onChange: cache.clear,
+    canRead:  auth && canUserRead
+  }));
+
+  /**
+   * Sends an error from resolveRequestPath, asking for credentials on 401
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   */
+  const sendAccessError = (req, res, status, message) => {
+    if (status === 401 && auth) {
+      auth.challenge(res);
+    }
+    sendError(req, res, status, message);
+  };
+
+  /**
+   * Builds the access check used to filter listings and search results for a request
+   * @param {import('express').Request} req - Express request object
+   * @returns {(function(string): Promise<boolean>)|null} Check taking an absolute path, or null when authentication is off
+   */
+  const readFilterFor = (req) => auth && ((fullPath) => canUserRead(req.user, fullPath));
+
+  /**
+   * Builds the cache key of a page: the page kind and its parameters, the mount path and
+   * user it was rendered for, and the state of the git repository when git views are on
+   * @param {import('express').Request} req - Express request object
+   * @param {string} filePath - Absolute path the page shows
+   * @param {boolean} isDirectory - Whether filePath is a directory
+   * @param {Array<*>} parts - Page kind, file stats and rendering options
+   * @returns {Promise<string>} Cache key
+   */
+  const pageKey = async (req, filePath, isDirectory, parts) => [
+    ...parts,
+    filePath,
+    req.baseUrl,
+    auth ? JSON.stringify(req.user || null) : '',
+    settings.git ? await getRepositoryState(isDirectory ? filePath : path.dirname(filePath)) : ''
+  ].join('\n');
+
+  /**
+   * Returns a cached page, or renders and caches it. The X-Cache header reports HIT or MISS.
+   * @param {import('express').Response} res - Express response object
+   * @param {string} key - Cache key from pageKey
+   * @param {function(): Promise<string|null>} render - Renders the page with NONCE_PLACEHOLDER as its nonce
+   * @returns {Promise<string|null>} Page HTML, or null when render returned none
+   */
+  const renderCached = async (res, key, render) => {
+    const cached = cache.get(key);
+    res.set('X-Cache', cached === undefined ? 'MISS' : 'HIT');
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const html = await render();
+    if (html) {
+      cache.set(key, html);
+    }
+    return html;
+  };
+
+  /**
+   * Runs the rest of the request in the app's settings scope
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Next middleware
+   */
+  app.use((req, res, next) => runInScope(scope, next));
+
+  /**
+   * Content-Security-Policy (with a per-response script nonce) and other security headers
+   */
+  app.use(securityHeaders);
+
+  /**
+   * Bundled front-end assets (Simple.css, highlight.js themes, mermaid) served from node_modules
+   */
+  app.get('/_assets/*', handleAsset);
+
+  /**
+   * Identifies the user of every other request. Invalid credentials are rejected here;
+   * anonymous requests continue and are checked against the access rules per path.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Next middleware
+   */
+  app.use((req, res, next) => {
+    if (!auth) {
+      return next();
+    }
+
+    const user = auth.authenticate(req);
+    if (user === false) {
+      return sendAccessError(req, res, 401, 'Invalid credentials');
+    }
+
+    req.user = user;
+    next();
+  });
+
+  /**
+   * Serves raw file bytes, e.g. /_raw/images/logo.png. Add `?download=1` to send the
+   * file as an attachment.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   */
+  app.get('/_raw/*', async (req, res) => {
+    const { fullPath, status, message } = await resolveRequestPath(rootDir, req.path.slice('/_raw'.length), auth, req.user);
+
+    if (status) {
+      return sendAccessError(req, res, status, message);
+    }
+
+    await sendRawFile(req, res, fullPath);
+  });
+
+  /**
+   * Shows what changed in a file, e.g. /_diff/guide.md?from=main&to=HEAD. `from` defaults to HEAD
+   * and `to` to the working tree; `mode` is split, unified or (for markdown) rendered.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   */
+  app.get('/_diff/*', async (req, res) => {
+    const { requestedPath, fullPath, status, message } = await resolveRequestPath(rootDir, req.path.slice('/_diff'.length), auth, req.user);
+
+    if (status) {
+      return sendAccessError(req, res, status, message);
+    }
+    if (!settings.git) {
+      return sendError(req, res, 404, 'No git history for this file');
+    }
+
+    const queryString = (value) => (typeof value === 'string' && value ? value : null);
+    const diffOptions = {
+      from:     queryString(req.query.from) || 'HEAD',
+      to:       queryString(req.query.to),
+      mode:     queryString(req.query.mode) || 'split',
+      theme:    settings.theme,
+      basePath: req.baseUrl,
+      nonce:    NONCE_PLACEHOLDER
+    };
+
+    try {
+      const stats = await fs.promises.stat(fullPath).catch(() => null);
+      const key = await pageKey(req, fullPath, false, [
+        'diff', diffOptions.from, diffOptions.to, diffOptions.mode, stats ? `${stats.mtimeMs}:${stats.size}` : 'missing'
+      ]);
+      let error = null;
+      const html = await renderCached(res, key, async () => {
+        const page = await renderDiffPage(fullPath, requestedPath, diffOptions);
+        error = page.status ? page : null;
+        return page.html || null;
+      });
+      if (error) {
+        return sendError(req, res, error.status, error.message);
+      }
+      sendPage(req, res, html);
+    } catch (error) {
+      console.error('Error building diff:', error);
+      sendError(req, res, 500, 'Internal server error');
+    }
+  });
+
+  /**
+   * Search, live reload and the changed files cover the whole tree, so they follow the access rule of the root directory
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Next middleware
+   */
+  app.use(['/_events', '/_search', '/_changes', '/_stats', '/_ignore'], async (req, res, next) => {
+    const { status, message } = await resolveRequestPath(rootDir, '/', auth, req.user);
+    if (status) {
+      return sendAccessError(req, res, status, message);
+    }
+    next();
+  });
+
+  /**
+   * Files changed since the working tree branched off a base branch (`?base=`, by default
+   * the `diffBase` option or the remote's default branch, main or master), each linked to its diff.
+   * Responds with JSON when requested via `?format=json` or the Accept header, HTML otherwise
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   */
+  app.get('/_changes', async (req, res) => {
+    res.vary('Accept');
+    if (!settings.git) {
+      return sendError(req, res, 404, 'Not a git repository');
+    }
+
+    const base = (typeof req.query.base === 'string' && req.query.base) || settings.diffBase;
+    try {
+      if (wantsJson(req)) {
+        const changes = await describeChanges(rootDir, { base, canRead: readFilterFor(req) });
+        return changes.status ? sendError(req, res, changes.status, changes.message) : res.json(changes);
+      }
+
+      const page = await renderChangesPage(rootDir, {
+        base,
+        canRead:  readFilterFor(req),
+        theme:    settings.theme,
+        basePath: req.baseUrl,
+        nonce:    NONCE_PLACEHOLDER
+      });
+      if (page.status) {
+        return sendError(req, res, page.status, page.message);
+      }
+      sendPage(req, res, page.html);
+    } catch (error) {
+      console.error('Error listing changed files:', error);
+      sendError(req, res, 500, 'Internal server error');
+    }
+  });
+
+  /**
+   * Server-sent events stream notifying open pages of file changes under rootDir
+   */
+  app.get('/_events', liveReload.handleEvents);
+
+  /**
+   * Tells why a path is hidden, e.g. /_ignore?path=/packages/foo/dist/app.js: whether it is a
+   * dotfile, whether it is ignored and which rule file, line and pattern decided it. Responds with JSON.
+   * The path must pass the symlink policy and access rules, as when it is opened.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   */
+  app.get('/_ignore', async (req, res) => {
+    const requestedPath = typeof req.query.path === 'string' ? req.query.path : '';
+    if (!requestedPath.startsWith('/') || requestedPath.includes('\0') || !isSubPath(rootDir, path.join(rootDir, requestedPath))) {
+      return sendError(req, res, 400, 'Bad request: Expected ?path=/<path inside the served directory>');
+    }
+
+    const { fullPath, status, message } = await checkRequestPath(rootDir, requestedPath, auth, req.user, { allowHidden: true });
+    if (status) {
+      return sendAccessError(req, res, status, message);
+    }
+
+    const { hidden, ignored, directory, rule } = await explainIgnore(fullPath, rootDir);
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      path:      requestedPath,
+      visible:   !hidden && !ignored,
+      hidden,
+      ignored,
+      directory: directory && `/${directory}`,
+      rule
+    });
+  });
+
+  /**
+   * Hit and miss counts of the rendered page cache, as JSON
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   */
+  app.get('/_stats', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ cache: cache.stats() });
+  });
+
+  /**
+   * Full-text search across all non-ignored text files under rootDir. Like the listings, it leaves
+   * out drafts unless the drafts option is on or `?drafts=1` is given.
+   * Responds with JSON when requested via `?format=json` or the Accept header, HTML otherwise
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   */
+  app.get('/_search', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q : '';
+    res.vary('Accept');
+
+    try {
+      const showDrafts = settings.drafts || Boolean(req.query.drafts);
+      const results = await search(rootDir, query, { filter: readFilterFor(req), showDrafts });
+
+      if (wantsJson(req)) {
+        res.json({ query, total: results.length, results });
+      } else {
+        sendPage(req, res, generateSearchHTML(query, results, { theme: settings.theme, basePath: req.baseUrl, nonce: NONCE_PLACEHOLDER }));
+      }
+    } catch (error) {
+      console.error('Error searching files:', error);
+      sendError(req, res, 500, 'Internal server error');
+    }
+  });
+
+  /**
+   * Main route handler for serving files and directories
+   * Handles directory listings, file content with syntax highlighting, and security checks.
+   * With `?format=json` or `Accept: application/json`, directories and files are described as JSON instead.
+   * Text files above the maxFileSize option are shown a page at a time, starting at the byte `?offset=`.
+   * Directory entries are sorted by `?sort=` (name, size, modified or type) in `?order=` (asc or desc).
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   */
+  app.get('*', async (req, res) => {
+    const { requestedPath, fullPath, status, message } = await resolveRequestPath(rootDir, req.path, auth, req.user);
+
+    if (status) {
+      return sendAccessError(req, res, status, message);
+    }
+
+    try {
+      const stats = await fs.promises.stat(fullPath).catch(() => null);
+      if (!stats) {
+        return sendError(req, res, 404, 'File not found');
+      }
+
+      const showDrafts = settings.drafts || Boolean(req.query.drafts);
+      const canRead = readFilterFor(req);
+      const pageOptions = { theme: settings.theme, basePath: req.baseUrl, nonce: NONCE_PLACEHOLDER };
+      const fileKey = (kind, ...parts) => pageKey(req, fullPath, stats.isDirectory(), [kind, stats.mtimeMs, stats.size, ...parts]);
+      res.vary('Accept');
+
+      if (stats.isDirectory() && wantsJson(req)) {
+        const sort = parseListingSort(req.query);
+        res.json(await describeDirectory(fullPath, requestedPath, rootDir, { indexFiles: settings.index, showDrafts, canRead, sort }));
+      } else if (stats.isDirectory()) {
+        const showListing = Boolean(req.query.listing);
+        const sort = parseListingSort(req.query);
+        const key = await fileKey('directory', showDrafts, showListing, sort.key, sort.order, await getDirectorySignature(fullPath));
+        const html = await renderCached(res, key, () => renderDirectoryPage(fullPath, requestedPath, rootDir, {
+          ...pageOptions,
+          indexFiles: settings.index,
+          showDrafts,
+          canRead,
+          showListing,
+          sort,
+          showGit:    settings.git
+        }));
+        sendPage(req, res, html);
+      } else if (req.query.raw) {
+        await sendRawFile(req, res, fullPath);
+      } else if (wantsJson(req)) {
+        res.json(await describeFile(fullPath, requestedPath, { maxFileSize: settings.maxFileSize }));
+      } else if (req.query.view === 'history' || req.query.view === 'blame') {
+        const renderView = req.query.view === 'history' ? renderHistoryPage : renderBlamePage;
+        const html = settings.git
+          ? await renderCached(res, await fileKey(req.query.view), () => renderView(fullPath, requestedPath, pageOptions))
+          : null;
+        if (!html) {
+          return sendError(req, res, 404, 'No git history for this file');
+        }
+        sendPage(req, res, html);
+      } else {
+        const offset = /^\d+$/.test(req.query.offset) ? parseInt(req.query.offset, 10) : 0;
+        const html = await renderCached(res, await fileKey('file', offset), () => renderFilePage(fullPath, requestedPath, {
+          ...pageOptions,
+          showGit:       settings.git,
+          maxFileSize:   settings.maxFileSize,
+          highlightSize: settings.highlightSize,
+          offset
+        }));
+        sendPage(req, res, html);
+      }
+    } catch (error) {
+      console.error('Error serving file:', error);
+      sendError(req, res, 500, 'Internal server error');
+    }
+  });
+
+  /**
+   * Reports errors thrown by the handlers above (e.g. malformed percent-encoding in the URL)
+   * in the same format as the other error responses
+   * @param {Error} error - Thrown error
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Next middleware
+   */
+  app.use((error, req, res, next) => {
+    if (res.headersSent) {
+      return next(error);
+    }
+
+    const status = error instanceof URIError ? 400 : (error.status || 500);
+    if (status >= 500) {
+      console.error('Error handling request:', error);
+    }
+    sendError(req, res, status, status >= 500 ? 'Internal server error' : 'Bad request');
+  });
+
+  /**
+   * Stops watching files and closes open live reload streams
+   */
+  app.close = () => {
+    liveReload.close();
+  };
+
+  return app;
+}
+
+module.exports = {
+  createDocsServer
+};
@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Line diffs with highlighted code for the unified and side-by-side views,
+ * and block diffs of rendered markdown with inserted and removed words marked
+ */
+
+const hljs = require('highlight.js');
+const { structuredPatch, diffArrays, diffWords } = require('diff');
+
+const { escapeHtml, splitHtmlLines } = require('./htmlUtils');
+const { renderMarkdown }             = require('./markdownRenderer');
+const { parseFrontMatter }           = require('./frontMatter');
+
+/**
+ * Unchanged lines shown around each change
+ * @type {number}
+ */
+const CONTEXT_LINES = 3;
+
+/**
+ * Private-use characters marking removed and inserted words in markdown source. They pass
+ * through the markdown renderer untouched and are turned into <del> / <ins> afterwards.
+ * @type {{delStart: string, delEnd: string, insStart: string, insEnd: string}}
+ */
+const WORD_MARKERS = { delStart: '\uE000', delEnd: '\uE001', insStart: '\uE002', insEnd: '\uE003' };
+
+/**
+ * Highlights text and splits it into one HTML string per line
+ * @param {string} text - Text to highlight
+ * @param {string|null} language - highlight.js language, or null for plain text
+ * @returns {string[]} Highlighted lines
+ */
+function highlightLines(text, language) {
+  if (language && hljs.getLanguage(language)) {
+    try {
+      return splitHtmlLines(hljs.highlight(text, { language }).value);
+    } catch (error) {
+      // Fall through to plain text
+    }
+  }
+  return splitHtmlLines(escapeHtml(text));
+}
+
+/**
+ * Computes the changed hunks between two versions of a text file
+ * @param {string} oldText - Old content ('' when the file was added)
+ * @param {string} newText - New content ('' when the file was deleted)
+ * @param {Object} [options={}] - Diff options
+ * @param {string|null} [options.language=null] - highlight.js language of the file
+ * @param {number} [options.context=CONTEXT_LINES] - Unchanged lines shown around each change
+ * @returns {Array<{oldStart: number, newStart: number, lines: Array<{type: string, oldNumber: number|null,
+ *   newNumber: number|null, html: string}>}>} Hunks; line types are context, removed and added,
+ *   and html is the highlighted line
+ */
+function diffLines(oldText, newText, { language = null, context = CONTEXT_LINES } = {}) {
+  const oldLines = highlightLines(oldText, language);
+  const newLines = highlightLines(newText, language);
+  const patch = structuredPatch('', '', oldText, newText, '', '', { context });
+
+  return patch.hunks.map(hunk => {
+    let oldNumber = hunk.oldStart;
+    let newNumber = hunk.newStart;
+    const lines = [];
+
+    for (const line of hunk.lines) {
+      const marker = line[0];
+      if (marker === ' ') {
+        lines.push({ type: 'context', oldNumber, newNumber, html: newLines[newNumber - 1] || '' });
+        oldNumber++;
+        newNumber++;
+      } else if (marker === '-') {
+        lines.push({ type: 'removed', oldNumber, newNumber: null, html: oldLines[oldNumber - 1] || '' });
+        oldNumber++;
+      } else if (marker === '+') {
+        lines.push({ type: 'added', oldNumber: null, newNumber, html: newLines[newNumber - 1] || '' });
+        newNumber++;
+      }
+      // "\ No newline at end of file" lines are left out
+    }
+
+    return { oldStart: hunk.oldStart, newStart: hunk.newStart, lines };
+  });
+}
+
+/**
+ * Pairs the lines of a hunk for the side-by-side view: removed lines sit next to the
+ * lines added in their place, and context lines appear on both sides
+ * @param {Array<Object>} lines - Lines of a hunk from diffLines
+ * @returns {Array<{left: Object|null, right: Object|null}>} Rows of the side-by-side view
+ */
+function pairLines(lines) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const line of lines) {
+    if (line.type === 'removed') {
+      if (added.length > 0) {
+        flush();
+      }
+      removed.push(line);
+    } else if (line.type === 'added') {
+      added.push(line);
+    } else {
+      flush();
+      rows.push({ left: line, right: line });
+    }
+  }
+  flush();
+
+  return rows;
+}
+
+/**
+ * Splits markdown into blocks separated by blank lines, keeping fenced code blocks whole
+ * @param {string} markdown - Markdown source
+ * @returns {string[]} Blocks
+ */
+function splitMarkdownBlocks(markdown) {
+  const blocks = [];
+  let current = [];
+  let fence = null;
+
+  for (const line of markdown.split('\n')) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch && (!fence || fenceMatch[1].startsWith(fence))) {
+      fence = fence ? null : fenceMatch[1];
+    }
+
+    if (!fence && line.trim() === '') {
+      if (current.length > 0) {
+        blocks.push(current.join('\n'));
+        current = [];
+      }
+    } else {
+      current.push(line);
+    }
+  }
+  if (current.length > 0) {
+    blocks.push(current.join('\n'));
+  }
+
+  return blocks;
+}
+
+/**
+ * Checks whether a markdown block is a fenced code block
+ * @param {string} block - Markdown block
+ * @returns {boolean} True for fenced code
+ */
+function isFencedBlock(block) {
+  return /^\s*(`{3,}|~{3,})/.test(block);
+}
+
+/**
+ * Renders a changed block with the removed and inserted words marked. Inside tags (e.g. a
+ * changed link URL) only the new text is kept, so only text is wrapped in <del> / <ins>.
+ * @param {string} oldBlock - Old markdown block
+ * @param {string} newBlock - New markdown block
+ * @returns {string} Rendered HTML
+ */
+function renderWordDiff(oldBlock, newBlock) {
+  const { delStart, delEnd, insStart, insEnd } = WORD_MARKERS;
+  let atLineStart = true;
+
+  // Markers are closed at line ends and kept after heading, list and quote markers,
+  // so they never change the structure of the block
+  const wrap = (value, start, end) => value.split('\n').map((line, index) => {
+    const lineStart = index > 0 || atLineStart;
+    const [, prefix, text] = lineStart ? line.match(/^(\s*(?:#{1,6}\s+|[-*+]\s+|\d+[.)]\s+|>\s?)*)(.*)$/) : [null, '', line];
+    return text ? `${prefix}${start}${text}${end}` : prefix;
+  }).join('\n');
+
+  const marked = diffWords(oldBlock, newBlock).map(part => {
+    let value = part.value;
+    if (part.removed) {
+      value = wrap(part.value, delStart, delEnd);
+    } else if (part.added) {
+      value = wrap(part.value, insStart, insEnd);
+    }
+    atLineStart = part.value.endsWith('\n');
+    return value;
+  }).join('');
+
+  return renderMarkdown(marked).html
+    .replace(/<[^>]*>/g, tag => tag
+      .replace(/\uE000[^\uE001]*\uE001|%EE%80%80.*?%EE%80%81/gi, '')
+      .replace(/[\uE000-\uE003]|%EE%80%8[0-3]/gi, ''))
+    .split(delStart).join('<del class="diff-word">')
+    .split(delEnd).join('</del>')
+    .split(insStart).join('<ins class="diff-word">')
+    .split(insEnd).join('</ins>');
+}
+
+/**
+ * Renders the difference between two versions of a markdown file as prose: unchanged blocks
+ * as they are, removed and added blocks marked as such, and edited paragraphs with their
+ * removed and inserted words marked
+ * @param {string} oldText - Old markdown ('' when the file was added)
+ * @param {string} newText - New markdown ('' when the file was deleted)
+ * @returns {string} Rendered HTML
+ */
+function renderMarkdownDiff(oldText, newText) {
+  const oldBlocks = splitMarkdownBlocks(parseFrontMatter(oldText).body);
+  const newBlocks = splitMarkdownBlocks(parseFrontMatter(newText).body);
+  const output = [];
+  let removed = [];
+
+  const renderBlock = (block, className) => `<div class="diff-block ${className}">${renderMarkdown(block).html}</div>`;
+
+  // Removed blocks directly followed by added ones are paired up as edits
+  for (const change of diffArrays(oldBlocks, newBlocks)) {
+    if (change.removed) {
+      removed = change.value;
+      continue;
+    }
+
+    if (change.added) {
+      let next = 0;
+      for (const block of change.value) {
+        // Prose is paired with the next removed prose block, code with the next removed code block
+        const match = removed.findIndex((oldBlock, index) => index >= next && isFencedBlock(oldBlock) === isFencedBlock(block));
+        if (match === -1) {
+          output.push(renderBlock(block, 'diff-added'));
+          continue;
+        }
+        removed.slice(next, match).forEach(oldBlock => output.push(renderBlock(oldBlock, 'diff-removed')));
+        if (isFencedBlock(block)) {
+          output.push(renderBlock(removed[match], 'diff-removed'), renderBlock(block, 'diff-added'));
+        } else {
+          output.push(`<div class="diff-block diff-changed">${renderWordDiff(removed[match], block)}</div>`);
+        }
+        next = match + 1;
+      }
+      removed.slice(next).forEach(block => output.push(renderBlock(block, 'diff-removed')));
+    } else {
+      removed.forEach(block => output.push(renderBlock(block, 'diff-removed')));
+      change.value.forEach(block => output.push(renderBlock(block, 'diff-unchanged')));
+    }
+    removed = [];
+  }
+  removed.forEach(block => output.push(renderBlock(block, 'diff-removed')));
+
+  return output.join('\n');
+}
+
+module.exports = {
+  diffLines,
+  pairLines,
+  renderMarkdownDiff
+};
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Registry of file types. Each type declares the file names, extensions and shebang
+ * interpreters it covers, and the icon, type name, highlight.js language and renderer used for
+ * its files. Plugins can register more types or replace built-in ones.
+ */
+
+const path = require('node:path');
+
+/**
+ * Ways a text file can be shown:
+ * - `markdown`: rendered to HTML, with front matter and a table of contents
+ * - `mermaid`: drawn as a mermaid diagram
+ * - `html`: shown in a sandboxed frame
+ * - `code`: numbered lines, highlighted as the type's language
+ * @type {string[]}
+ */
+const RENDERERS = ['markdown', 'mermaid', 'html', 'code'];
+
+/**
+ * Type of files no registered type covers
+ * @type {{id: string, name: string, icon: string, language: null, renderer: string, extensions: string[], filenames: string[], interpreters: string[]}}
+ */
+const DEFAULT_FILE_TYPE = Object.freeze({
+  id:           'file',
+  name:         'file',
+  icon:         '📄',
+  language:     null,
+  renderer:     'code',
+  extensions:   [],
+  filenames:    [],
+  interpreters: []
+});
+
+/**
+ * Types available without plugins. `name` defaults to the id, `icon` to 📄 and `renderer` to `code`.
+ * @type {Array<Object>}
+ */
+const BUILT_IN_FILE_TYPES = [
+  { id: 'markdown', icon: '📝', language: 'markdown', renderer: 'markdown', extensions: ['.md', '.markdown'] },
+  { id: 'mermaid', icon: '📊', renderer: 'mermaid', extensions: ['.mermaid', '.mmd'] },
+  { id: 'html', icon: '🌐', language: 'html', renderer: 'html', extensions: ['.html', '.htm', '.xhtml'] },
+  { id: 'text', icon: '📄', language: 'plaintext', extensions: ['.txt', '.text', '.log'],
+    filenames: ['LICENSE', 'LICENCE', 'COPYING', 'AUTHORS', 'CONTRIBUTORS', 'NOTICE', 'CODEOWNERS'] },
+  { id: 'ignore-list', name: 'text', icon: '📄', language: 'plaintext',
+    filenames: ['.gitignore', '.gitattributes', '.dockerignore', '.npmignore', '.docsignore'] },
+  { id: 'csv', icon: '📋', language: 'plaintext', extensions: ['.csv', '.tsv'] },
+  { id: 'restructuredtext', icon: '📝', language: 'plaintext', extensions: ['.rst', '.rest'] },
+  { id: 'asciidoc', icon: '📝', language: 'asciidoc', extensions: ['.adoc', '.asciidoc'] },
+  { id: 'notebook', icon: '📓', language: 'json', extensions: ['.ipynb'] },
+  { id: 'latex', icon: '📝', language: 'latex', extensions: ['.tex', '.sty'] },
+
+  { id: 'javascript', icon: '📜', language: 'javascript', extensions: ['.js', '.mjs', '.cjs', '.jsx'], interpreters: ['node', 'nodejs', 'bun'] },
+  { id: 'typescript', icon: '📜', language: 'typescript', extensions: ['.ts', '.mts', '.cts', '.tsx'], interpreters: ['deno', 'ts-node', 'tsx'] },
+  { id: 'coffeescript', icon: '📜', language: 'coffeescript', extensions: ['.coffee'] },
+  { id: 'json', icon: '📋', language: 'json', extensions: ['.json', '.jsonc', '.json5', '.geojson', '.webmanifest'],
+    filenames: ['.babelrc', '.eslintrc', '.prettierrc', '.jshintrc', 'Pipfile.lock', 'composer.lock'] },
+  { id: 'vue', icon: '🌐', language: 'html', extensions: ['.vue'] },
+  { id: 'svelte', icon: '🌐', language: 'html', extensions: ['.svelte'] },
+  { id: 'xml', icon: '📋', language: 'xml', extensions: ['.xml', '.xsd', '.xsl', '.xslt', '.svg', '.plist', '.csproj'] },
+  { id: 'css', icon: '🎨', language: 'css', extensions: ['.css'] },
+  { id: 'scss', icon: '🎨', language: 'scss', extensions: ['.scss', '.sass'] },
+  { id: 'less', icon: '🎨', language: 'less', extensions: ['.less'] },
+  { id: 'stylus', icon: '🎨', language: 'stylus', extensions: ['.styl'] },
+  { id: 'handlebars', icon: '🌐', language: 'handlebars', extensions: ['.hbs', '.handlebars'] },
+  { id: 'twig', icon: '🌐', language: 'twig', extensions: ['.twig'] },
+  { id: 'erb', icon: '🌐', language: 'erb', extensions: ['.erb'] },
+  { id: 'haml', icon: '🌐', language: 'haml', extensions: ['.haml'] },
+  { id: 'graphql', icon: '📜', language: 'graphql', extensions: ['.graphql', '.gql'] },
+  { id: 'http', icon: '🌐', language: 'http', extensions: ['.http'] },
+
+  { id: 'yaml', icon: '⚙️', language: 'yaml', extensions: ['.yml', '.yaml'] },
+  { id: 'toml', icon: '⚙️', language: 'toml', extensions: ['.toml'], filenames: ['Pipfile', 'Cargo.lock'] },
+  { id: 'ini', icon: '⚙️', language: 'ini', extensions: ['.ini', '.cfg', '.conf'],
+    filenames: ['.gitconfig', '.gitmodules', '.editorconfig', '.npmrc'] },
+  { id: 'properties', icon: '⚙️', language: 'properties', extensions: ['.properties'] },
+  { id: 'dotenv', icon: '⚙️', language: 'bash', filenames: ['.env', '.envrc'] },
+  { id: 'hcl', icon: '⚙️', language: 'hcl', extensions: ['.tf', '.tfvars', '.hcl'] },
+  { id: 'nginx', icon: '⚙️', language: 'nginx', filenames: ['nginx.conf'] },
+  { id: 'apache', icon: '⚙️', language: 'apache', filenames: ['.htaccess', 'httpd.conf', 'apache2.conf'] },
+  { id: 'protobuf', icon: '📋', language: 'protobuf', extensions: ['.proto'] },
+  { id: 'thrift', icon: '📋', language: 'thrift', extensions: ['.thrift'] },
+  { id: 'sql', icon: '🗃️', language: 'sql', extensions: ['.sql'] },
+  { id: 'diff', icon: '🔀', language: 'diff', extensions: ['.diff', '.patch'] },
+
+  { id: 'dockerfile', icon: '🐳', language: 'dockerfile', extensions: ['.dockerfile'], filenames: ['Dockerfile', 'Containerfile'] },
+  { id: 'makefile', icon: '🛠️', language: 'makefile', extensions: ['.mk', '.mak'],
+    filenames: ['Makefile', 'makefile', 'GNUmakefile'], interpreters: ['make'] },
+  { id: 'cmake', icon: '🛠️', language: 'cmake', extensions: ['.cmake'], filenames: ['CMakeLists.txt'] },
+  { id: 'starlark', icon: '🛠️', language: 'python', filenames: ['BUILD', 'BUILD.bazel', 'WORKSPACE', 'Tiltfile'] },
+  { id: 'shell', icon: '💻', language: 'bash', extensions: ['.sh', '.bash', '.zsh', '.ksh'],
+    filenames: ['.bashrc', '.bash_profile', '.bash_aliases', '.bash_logout', '.profile', '.zshrc', '.zshenv', '.zprofile'],
+    interpreters: ['sh', 'bash', 'zsh', 'ksh', 'dash', 'ash', 'mksh'] },
+  { id: 'powershell', icon: '💻', language: 'powershell', extensions: ['.ps1', '.psm1', '.psd1'], interpreters: ['pwsh', 'powershell'] },
+  { id: 'batch', icon: '💻', language: 'dos', extensions: ['.bat', '.cmd'] },
+  { id: 'vim', icon: '📜', language: 'vim', extensions: ['.vim'], filenames: ['.vimrc', '_vimrc', '.gvimrc'] },
+
+  { id: 'python', icon: '🐍', language: 'python', extensions: ['.py', '.pyw', '.pyi'], interpreters: ['python', 'pypy'] },
+  { id: 'ruby', icon: '💎', language: 'ruby', extensions: ['.rb', '.rake', '.gemspec', '.ru'],
+    filenames: ['Gemfile', 'Rakefile', 'Vagrantfile', 'Podfile', 'Brewfile', 'Guardfile', 'Capfile', 'Fastfile'],
+    interpreters: ['ruby', 'jruby', 'rake'] },
+  { id: 'php', icon: '📜', language: 'php', extensions: ['.php', '.phtml'], interpreters: ['php'] },
+  { id: 'perl', icon: '📜', language: 'perl', extensions: ['.pl', '.pm'], interpreters: ['perl'] },
+  { id: 'lua', icon: '📜', language: 'lua', extensions: ['.lua'], interpreters: ['lua', 'luajit'] },
+  { id: 'r', icon: '📜', language: 'r', extensions: ['.r'], interpreters: ['Rscript'] },
+  { id: 'julia', icon: '📜', language: 'julia', extensions: ['.jl'], interpreters: ['julia'] },
+  { id: 'java', icon: '☕', language: 'java', extensions: ['.java'] },
+  { id: 'kotlin', icon: '📜', language: 'kotlin', extensions: ['.kt', '.kts'] },
+  { id: 'scala', icon: '📜', language: 'scala', extensions: ['.scala', '.sc'], interpreters: ['scala'] },
+  { id: 'groovy', icon: '📜', language: 'groovy', extensions: ['.groovy'], filenames: ['Jenkinsfile'], interpreters: ['groovy'] },
+  { id: 'gradle', icon: '🛠️', language: 'gradle', extensions: ['.gradle'] },
+  { id: 'c', icon: '📜', language: 'c', extensions: ['.c', '.h'] },
+  { id: 'cpp', icon: '📜', language: 'cpp', extensions: ['.cc', '.cpp', '.cxx', '.hh', '.hpp', '.hxx'] },
+  { id: 'arduino', icon: '📜', language: 'arduino', extensions: ['.ino'] },
+  { id: 'objectivec', icon: '📜', language: 'objectivec', extensions: ['.m', '.mm'] },
+  { id: 'csharp', icon: '📜', language: 'csharp', extensions: ['.cs'] },
+  { id: 'fsharp', icon: '📜', language: 'fsharp', extensions: ['.fs', '.fsi', '.fsx'] },
+  { id: 'vbnet', icon: '📜', language: 'vbnet', extensions: ['.vb'] },
+  { id: 'vbscript', icon: '📜', language: 'vbscript', extensions: ['.vbs'] },
+  { id: 'swift', icon: '📜', language: 'swift', extensions: ['.swift'], interpreters: ['swift'] },
+  { id: 'go', icon: '📜', language: 'go', extensions: ['.go'] },
+  { id: 'rust', icon: '📜', language: 'rust', extensions: ['.rs'] },
+  { id: 'dart', icon: '📜', language: 'dart', extensions: ['.dart'], interpreters: ['dart'] },
+  { id: 'elixir', icon: '📜', language: 'elixir', extensions: ['.ex', '.exs'], interpreters: ['elixir'] },
+  { id: 'erlang', icon: '📜', language: 'erlang', extensions: ['.erl', '.hrl'], interpreters: ['escript'] },
+  { id: 'haskell', icon: '📜', language: 'haskell', extensions: ['.hs'], interpreters: ['runhaskell', 'runghc'] },
+  { id: 'ocaml', icon: '📜', language: 'ocaml', extensions: ['.ml', '.mli'], interpreters: ['ocaml'] },
+  { id: 'elm', icon: '📜', language: 'elm', extensions: ['.elm'] },
+  { id: 'clojure', icon: '📜', language: 'clojure', extensions: ['.clj', '.cljs', '.cljc', '.edn'] },
+  { id: 'lisp', icon: '📜', language: 'lisp', extensions: ['.lisp', '.el'] },
+  { id: 'scheme', icon: '📜', language: 'scheme', extensions: ['.scm', '.rkt'] },
+  { id: 'nim', icon: '📜', language: 'nim', extensions: ['.nim'] },
+  { id: 'nix', icon: '📜', language: 'nix', extensions: ['.nix'] },
+  { id: 'crystal', icon: '📜', language: 'crystal', extensions: ['.cr'], interpreters: ['crystal'] },
+  { id: 'd', icon: '📜', language: 'd', extensions: ['.d'] },
+  { id: 'verilog', icon: '📜', language: 'verilog', extensions: ['.v', '.sv'] },
+  { id: 'vhdl', icon: '📜', language: 'vhdl', extensions: ['.vhd', '.vhdl'] },
+  { id: 'assembly', icon: '📜', language: 'x86asm', extensions: ['.asm'] },
+  { id: 'wasm', icon: '📜', language: 'wasm', extensions: ['.wat'] },
+  { id: 'llvm', icon: '📜', language: 'llvm', extensions: ['.ll'] },
+  { id: 'glsl', icon: '📜', language: 'glsl', extensions: ['.glsl', '.vert', '.frag'] },
+  { id: 'fortran', icon: '📜', language: 'fortran', extensions: ['.f90', '.f95'] },
+  { id: 'ada', icon: '📜', language: 'ada', extensions: ['.ada', '.adb', '.ads'] },
+  { id: 'delphi', icon: '📜', language: 'delphi', extensions: ['.pas'] },
+  { id: 'tcl', icon: '📜', language: 'tcl', extensions: ['.tcl'], interpreters: ['tclsh', 'wish'] },
+  { id: 'awk', icon: '📜', language: 'awk', extensions: ['.awk'], interpreters: ['awk', 'gawk', 'mawk', 'nawk'] },
+  { id: 'gherkin', icon: '📜', language: 'gherkin', extensions: ['.feature'] },
+  { id: 'puppet', icon: '📜', language: 'puppet', extensions: ['.pp'] },
+  { id: 'qml', icon: '📜', language: 'qml', extensions: ['.qml'] },
+  { id: 'openscad', icon: '📜', language: 'openscad', extensions: ['.scad'] },
+  { id: 'sml', icon: '📜', language: 'sml', extensions: ['.sml'] },
+  { id: 'vala', icon: '📜', language: 'vala', extensions: ['.vala'] },
+  { id: 'xquery', icon: '📜', language: 'xquery', extensions: ['.xq', '.xquery'] },
+  { id: 'applescript', icon: '📜', language: 'applescript', extensions: ['.applescript'], interpreters: ['osascript'] },
+  { id: 'autohotkey', icon: '📜', language: 'autohotkey', extensions: ['.ahk'] },
+  { id: 'nsis', icon: '📜', language: 'nsis', extensions: ['.nsi'] }
+];
+
+/**
+ * Registered types by id, in registration order; later types win when they cover the same files
+ * @type {Map<string, Object>}
+ */
+const fileTypes = new Map();
+
+/**
+ * Lookup tables built from fileTypes: exact file names, lower-case extensions and interpreters
+ * @type {{filenames: Map<string, Object>, extensions: Map<string, Object>, interpreters: Map<string, Object>}}
+ */
+const lookup = { filenames: new Map(), extensions: new Map(), interpreters: new Map() };
+
+/**
+ * Rebuilds the lookup tables after a registration
+ */
+function rebuildLookup() {
+  for (const table of Object.values(lookup)) {
+    table.clear();
+  }
+  for (const type of fileTypes.values()) {
+    type.filenames.forEach(name => lookup.filenames.set(name, type));
+    type.extensions.forEach(ext => lookup.extensions.set(ext.toLowerCase(), type));
+    type.interpreters.forEach(name => lookup.interpreters.set(name, type));
+  }
+}
+
+/**
+ * Registers a file type, replacing any type with the same id. For files it shares with earlier
+ * types (the same extension or file name), the type registered last wins.
+ * @param {Object} definition - File type
+ * @param {string} definition.id - Unique id, e.g. `mdx`
+ * @param {string} [definition.name=definition.id] - Type shown in listings and the JSON API
+ * @param {string[]} [definition.extensions=[]] - Extensions including the dot, e.g. `.mdx`; may have several parts, e.g. `.d.ts`
+ * @param {string[]} [definition.filenames=[]] - Exact file names, e.g. `Dockerfile`
+ * @param {string[]} [definition.interpreters=[]] - Shebang interpreters without a version suffix, e.g. `python`
+ * @param {string} [definition.icon='📄'] - Icon shown in listings and search results
+ * @param {string|null} [definition.language=null] - highlight.js language
+ * @param {string} [definition.renderer='code'] - How files are shown, one of RENDERERS
+ * @returns {Object} Registered type, with defaults filled in
+ * @throws {Error} If the id is missing, a list is not a list of strings or the renderer is unknown
+ */
+function registerFileType(definition) {
+  if (!definition || typeof definition.id !== 'string' || !definition.id) {
+    throw new Error('File type is missing its id');
+  }
+
+  const type = { ...DEFAULT_FILE_TYPE, name: definition.id, ...definition };
+  for (const list of ['extensions', 'filenames', 'interpreters']) {
+    if (!Array.isArray(type[list]) || !type[list].every(item => typeof item === 'string' && item)) {
+      throw new Error(`File type "${type.id}": ${list} must be a list of names`);
+    }
+  }
+  if (type.extensions.some(ext => !ext.startsWith('.'))) {
+    throw new Error(`File type "${type.id}": extensions must start with a dot`);
+  }
+  if (!RENDERERS.includes(type.renderer)) {
+    throw new Error(`File type "${type.id}": unknown renderer "${type.renderer}", expected one of ${RENDERERS.join(', ')}`);
+  }
+
+  // Re-registering moves the type to the end, so it wins over the types registered before it
+  fileTypes.delete(type.id);
+  fileTypes.set(type.id, Object.freeze(type));
+  rebuildLookup();
+  return fileTypes.get(type.id);
+}
+
+/**
+ * Finds the type registered for a file's exact name, e.g. `Makefile`
+ * @param {string} fileName - File name or path
+ * @returns {Object|null} File type, or null if no type lists the name
+ */
+function findFileTypeByName(fileName) {
+  return lookup.filenames.get(path.basename(fileName)) || null;
+}
+
+/**
+ * Finds the type registered for a file's extension. Longer extensions are tried first,
+ * so `.d.ts` can be told apart from `.ts`; a dotfile's leading dot does not start an extension.
+ * @param {string} fileName - File name or path
+ * @returns {Object|null} File type, or null if no type lists the extension
+ */
+function findFileTypeByExtension(fileName) {
+  const name = path.basename(fileName).toLowerCase();
+  for (let dot = name.indexOf('.', 1); dot !== -1; dot = name.indexOf('.', dot + 1)) {
+    const type = lookup.extensions.get(name.slice(dot));
+    if (type) {
+      return type;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the type registered for a shebang interpreter
+ * @param {string} interpreter - Program name without its directory, e.g. `python`
+ * @returns {Object|null} File type, or null if no type lists the interpreter
+ */
+function findFileTypeByInterpreter(interpreter) {
+  return lookup.interpreters.get(interpreter) || null;
+}
+
+/**
+ * Gets the type of a file from its name, then its extension
+ * @param {string} fileName - File name or path
+ * @returns {Object} File type; DEFAULT_FILE_TYPE if no registered type covers the file
+ */
+function getFileTypeFor(fileName) {
+  return findFileTypeByName(fileName) || findFileTypeByExtension(fileName) || DEFAULT_FILE_TYPE;
+}
+
+/**
+ * Lists the registered file types
+ * @returns {Array<Object>} File types in registration order
+ */
+function listFileTypes() {
+  return [...fileTypes.values()];
+}
+
+BUILT_IN_FILE_TYPES.forEach(registerFileType);
+
+module.exports = {
+  RENDERERS,
+  DEFAULT_FILE_TYPE,
+  registerFileType,
+  findFileTypeByName,
+  findFileTypeByExtension,
+  findFileTypeByInterpreter,
+  getFileTypeFor,
+  listFileTypes
+};
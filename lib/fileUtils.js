@@ -5,72 +5,164 @@
 const fs   = require('node:fs');
 const path = require('node:path');
 
+const { getFileTypeFor } = require('./fileTypes');
+
+/**
+ * Columns a directory listing can be sorted by, with the order each starts in when picked
+ * @type {Object<string, string>}
+ */
+const LISTING_SORTS = { name: 'asc', size: 'desc', modified: 'desc', type: 'asc' };
+
+/**
+ * Listing order used when none is requested
+ * @type {{key: string, order: string}}
+ */
+const DEFAULT_LISTING_SORT = { key: 'name', order: 'asc' };
+
+/**
+ * Reads the listing order from the `sort` and `order` query parameters, falling back to
+ * the default for unknown values
+ * @param {Object} [query={}] - Parsed query string
+ * @returns {{key: string, order: string}} Column to sort by and `asc` or `desc`
+ */
+function parseListingSort({ sort, order } = {}) {
+  if (typeof sort !== 'string' || !Object.prototype.hasOwnProperty.call(LISTING_SORTS, sort)) {
+    return DEFAULT_LISTING_SORT;
+  }
+  return { key: sort, order: order === 'asc' || order === 'desc' ? order : LISTING_SORTS[sort] };
+}
+
+/**
+ * Compares two directory entries for a listing order. Directories always come first;
+ * entries that tie on the column are sorted by name.
+ * @param {Object} a - File information object
+ * @param {Object} b - File information object
+ * @param {{key: string, order: string}} sort - Listing order
+ * @returns {number} Negative, zero or positive, as for Array.prototype.sort
+ */
+function compareEntries(a, b, { key, order }) {
+  if (a.isDirectory !== b.isDirectory) {
+    return a.isDirectory ? -1 : 1;
+  }
+
+  let result = 0;
+  if (key === 'size') {
+    result = (a.size || 0) - (b.size || 0);
+  } else if (key === 'modified') {
+    result = a.modified - b.modified;
+  } else if (key === 'type') {
+    result = a.type.localeCompare(b.type);
+  }
+  if (result === 0) {
+    result = a.name.localeCompare(b.name);
+  }
+  return order === 'desc' ? -result : result;
+}
+
 /**
  * Gets file information including size, modification time, and type
  * @param {string} filePath - The path to the file
- * @returns {Object} File information object
+ * @param {fs.Stats} [stats] - The file's stats, when the caller already has them
+ * @returns {Promise<Object>} File information object
  * @returns {string} returns.name - The file name
  * @returns {boolean} returns.isDirectory - Whether the file is a directory
  * @returns {number|null} returns.size - File size in bytes (null for directories)
  * @returns {Date} returns.modified - Last modification date
  * @returns {string} returns.extension - File extension
- * @returns {string} returns.type - File type classification
+ * @returns {string} returns.type - File type name from the file type registry, or `directory`
+ * @returns {string} returns.icon - Icon from the file type registry
  */
-function getFileInfo(filePath) {
-  const stats = fs.statSync(filePath);
-  const ext   = path.extname(filePath).toLowerCase();
+async function getFileInfo(filePath, stats = null) {
+  const fileStats = stats || await fs.promises.stat(filePath);
+  const ext       = path.extname(filePath).toLowerCase();
+  const fileType  = getFileTypeFor(filePath);
   return {
     name:        path.basename(filePath),
-    isDirectory: stats.isDirectory(),
-    size:        stats.isDirectory() ? null:        stats.size,
-    modified:    stats.mtime,
+    isDirectory: fileStats.isDirectory(),
+    size:        fileStats.isDirectory() ? null:        fileStats.size,
+    modified:    fileStats.mtime,
     extension:   ext,
-    type:        stats.isDirectory() ? 'directory': getFileType(ext)
+    type:        fileStats.isDirectory() ? 'directory': fileType.name,
+    icon:        fileStats.isDirectory() ? '📁':        fileType.icon
   };
 }
 
 /**
- * Maps file extensions to human-readable file types
- * @param {string} ext - File extension (including the dot)
- * @returns {string} Human-readable file type
+ * Number of leading bytes inspected when sniffing for binary content
+ * @type {number}
  */
-function getFileType(ext) {
-  const types = {
-    '.md':   'markdown',
-    '.html': 'html',
-    '.htm':  'html',
-    '.js':   'javascript',
-    '.ts':   'typescript',
-    '.json': 'json',
-    '.css':  'css',
-    '.py':   'python',
-    '.txt':  'text',
-    '.yml':  'yaml',
-    '.yaml': 'yaml'
-  };
-  return types[ext] || 'file';
+const BINARY_SNIFF_LENGTH = 8000;
+
+/**
+ * Checks whether a buffer looks like binary data (contains a NUL byte near the start)
+ * @param {Buffer} buffer - File content or its leading bytes
+ * @returns {boolean} True if the content appears to be binary
+ */
+function isBinaryContent(buffer) {
+  const length = Math.min(buffer.length, BINARY_SNIFF_LENGTH);
+  for (let i = 0; i < length; i++) {
+    if (buffer[i] === 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Reads a range of bytes from a file without loading the rest of it
+ * @param {string} filePath - The path to the file
+ * @param {number} start - Offset of the first byte
+ * @param {number} length - Maximum number of bytes to read
+ * @returns {Promise<Buffer>} Up to length bytes starting at start
+ */
+async function readFileRange(filePath, start, length) {
+  const buffer = Buffer.alloc(length);
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { bytesRead } = await handle.read(buffer, 0, length, start);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
 }
 
 /**
- * Gets an appropriate emoji icon for a file based on its extension
- * @param {string} ext - File extension (including the dot)
- * @returns {string} Emoji icon representing the file type
+ * Reads the leading bytes of a file
+ * @param {string} filePath - The path to the file
+ * @param {number} length - Maximum number of bytes to read
+ * @returns {Promise<Buffer>} Up to length bytes from the start of the file
  */
-function getFileIcon(ext) {
-  const icons = {
-    '.md':   '📝',
-    '.html': '🌐',
-    '.htm':  '🌐',
-    '.js':   '📜',
-    '.ts':   '📜',
-    '.json': '📋',
-    '.css':  '🎨',
-    '.py':   '🐍',
-    '.txt':  '📄',
-    '.yml':  '⚙️',
-    '.yaml': '⚙️'
-  };
-  return icons[ext] || '📄';
+function readFileStart(filePath, length) {
+  return readFileRange(filePath, 0, length);
+}
+
+/**
+ * Counts the line breaks before an offset in a file, streaming it rather than loading it
+ * @param {string} filePath - The path to the file
+ * @param {number} end - Offset to stop counting at (exclusive)
+ * @returns {Promise<number>} Number of line breaks before end
+ */
+async function countLineBreaks(filePath, end) {
+  if (end <= 0) {
+    return 0;
+  }
+
+  let count = 0;
+  for await (const chunk of fs.createReadStream(filePath, { end: end - 1 })) {
+    for (let index = chunk.indexOf(10); index !== -1; index = chunk.indexOf(10, index + 1)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Checks whether a file looks like binary data by sniffing its leading bytes
+ * @param {string} filePath - The path to the file
+ * @returns {Promise<boolean>} True if the file appears to be binary
+ */
+async function isBinaryFile(filePath) {
+  return isBinaryContent(await readFileStart(filePath, BINARY_SNIFF_LENGTH));
 }
 
 /**
@@ -86,9 +178,41 @@ function formatFileSize(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
+/**
+ * Formats a date relative to now, e.g. "3 days ago"
+ * @param {Date} date - Date in the past
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string} Relative time (e.g., "just now", "5 minutes ago", "2 years ago")
+ */
+function formatRelativeTime(date, now = Date.now()) {
+  const seconds = Math.max(0, Math.round((now - date.getTime()) / 1000));
+  const units = [
+    ['year', 365 * 24 * 3600],
+    ['month', 30 * 24 * 3600],
+    ['day', 24 * 3600],
+    ['hour', 3600],
+    ['minute', 60]
+  ];
+  for (const [unit, size] of units) {
+    const count = Math.floor(seconds / size);
+    if (count >= 1) {
+      return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+    }
+  }
+  return 'just now';
+}
+
 module.exports = {
+  LISTING_SORTS,
+  DEFAULT_LISTING_SORT,
+  parseListingSort,
+  compareEntries,
   getFileInfo,
-  getFileType,
-  getFileIcon,
-  formatFileSize
+  isBinaryContent,
+  isBinaryFile,
+  readFileStart,
+  readFileRange,
+  countLineBreaks,
+  formatFileSize,
+  formatRelativeTime
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview YAML front matter parsing for markdown files
+ */
+
+const yaml = require('js-yaml');
+
+const { readFileStart }  = require('./fileUtils');
+const { getFileTypeFor } = require('./fileTypes');
+
+/**
+ * Matches a leading `---` YAML block, closed by `---` or `...`
+ * @type {RegExp}
+ */
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Number of leading bytes read when only the front matter of a file is needed
+ * @type {number}
+ */
+const FRONT_MATTER_READ_LENGTH = 64 * 1024;
+
+/**
+ * Splits YAML front matter from a markdown document
+ * @param {string} content - Markdown source
+ * @returns {{data: Object, body: string, lineOffset: number}} Parsed fields (empty when there is no valid
+ *   front matter), the remaining markdown, and the number of source lines taken up by the front matter
+ */
+function parseFrontMatter(content) {
+  const match = content.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { data: {}, body: content, lineOffset: 0 };
+  }
+
+  const source = match[1] || '';
+  let data;
+  try {
+    data = source.trim() ? yaml.load(source) : {};
+  } catch (error) {
+    // Not valid YAML - render the block as ordinary markdown
+    return { data: {}, body: content, lineOffset: 0 };
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, body: content, lineOffset: 0 };
+  }
+
+  return {
+    data,
+    body:       content.slice(match[0].length),
+    lineOffset: (match[0].match(/\n/g) || []).length
+  };
+}
+
+/**
+ * Checks whether a markdown file is marked `draft: true` in its front matter
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<boolean>} True if the file is a draft
+ */
+async function isDraftFile(filePath) {
+  if (getFileTypeFor(filePath).renderer !== 'markdown') {
+    return false;
+  }
+
+  try {
+    const start = await readFileStart(filePath, FRONT_MATTER_READ_LENGTH);
+    return parseFrontMatter(start.toString('utf-8')).data.draft === true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  parseFrontMatter,
+  isDraftFile
+};
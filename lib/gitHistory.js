@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Git history for served files: commit log, blame, last commits, file contents
+ * at a revision and changed files, read with the git command line. Everything degrades to "no information" when the
+ * served directory is not in a git repository or git is not installed.
+ */
+
+const fs           = require('node:fs');
+const path         = require('node:path');
+const { execFile } = require('node:child_process');
+
+const { findRepository } = require('./gitignoreParser');
+
+/**
+ * Maximum time a git command may take before it is given up on
+ * @type {number}
+ */
+const GIT_TIMEOUT_MS = 5000;
+
+/**
+ * Maximum number of commits walked to find the last commit of each directory entry
+ * @type {number}
+ */
+const MAX_DIRECTORY_COMMITS = 1000;
+
+/**
+ * Field and record separators used in git's --format output
+ * @type {{field: string, record: string}}
+ */
+const SEPARATORS = { field: '\x1f', record: '\x1e' };
+
+/**
+ * git log --format placeholders, in the order parseCommit reads them
+ * @type {string}
+ */
+const COMMIT_FORMAT = ['%H', '%h', '%an', '%ae', '%aI', '%s', '%P'].join('%x1f');
+
+/**
+ * Branches tried, in order, when no base branch is given for the changed files
+ * @type {string[]}
+ */
+const DEFAULT_BASE_BRANCHES = ['origin/HEAD', 'main', 'master'];
+
+/**
+ * Change kinds reported by `git diff --name-status`
+ * @type {Object<string, string>}
+ */
+const CHANGE_STATUSES = { A: 'added', M: 'modified', D: 'deleted', T: 'modified' };
+
+/**
+ * Files in the git directory that change on every commit, checkout, reset or `git add`
+ * @type {string[]}
+ */
+const STATE_FILES = ['HEAD', 'index', path.join('logs', 'HEAD')];
+
+/**
+ * Runs git in a directory
+ * @param {string} cwd - Working directory
+ * @param {string[]} args - git arguments
+ * @returns {Promise<string|null>} Standard output, or null if git failed or is not installed
+ */
+function runGit(cwd, args) {
+  return new Promise((resolve) => {
+    try {
+      execFile('git', ['-c', 'core.quotePath=false', ...args], {
+        cwd,
+        encoding:    'utf-8',
+        timeout:     GIT_TIMEOUT_MS,
+        maxBuffer:   64 * 1024 * 1024,
+        windowsHide: true
+      }, (error, stdout) => resolve(error ? null : stdout));
+    } catch (error) {
+      // e.g. cwd is not a directory
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Finds the git repository a directory belongs to
+ * @param {string} dirPath - Absolute directory path
+ * @returns {Promise<string|null>} Real path of the repository's top-level directory, or null when it is not in a repository
+ */
+async function getRepositoryRoot(dirPath) {
+  const repository = await findRepository(dirPath);
+  return repository ? fs.promises.realpath(repository.root) : null;
+}
+
+/**
+ * Gets a fingerprint of a repository's state that changes whenever commits are made or
+ * checked out and files are staged, without running git
+ * @param {string} dirPath - Absolute directory path
+ * @returns {Promise<string>} Fingerprint, or an empty string when the directory is not in a repository
+ */
+async function getRepositoryState(dirPath) {
+  const repository = await findRepository(dirPath);
+  if (!repository) {
+    return '';
+  }
+
+  const mtimes = await Promise.all(STATE_FILES.map(name => fs.promises.stat(path.join(repository.gitDir, name))
+    .then(stats => stats.mtimeMs, () => 0)));
+  return mtimes.join(':');
+}
+
+/**
+ * Parses one commit printed with COMMIT_FORMAT
+ * @param {string} record - Formatted commit
+ * @returns {{hash: string, shortHash: string, author: string, email: string, date: Date, subject: string, parents: string[]}} Commit
+ */
+function parseCommit(record) {
+  const [hash, shortHash, author, email, date, subject, parents = ''] = record.split(SEPARATORS.field);
+  return { hash, shortHash, author, email, date: new Date(date), subject, parents: parents.split(' ').filter(Boolean) };
+}
+
+/**
+ * Gets the commits that changed a file, newest first, following renames
+ * @param {string} filePath - Absolute path to the file
+ * @param {Object} [options={}] - Log options
+ * @param {number} [options.limit=100] - Maximum number of commits
+ * @returns {Promise<Array<{hash: string, shortHash: string, author: string, email: string, date: Date, subject: string}>|null>}
+ *   Commits, or null when the file is not in a git repository
+ */
+async function getFileHistory(filePath, { limit = 100 } = {}) {
+  const dirPath = path.dirname(filePath);
+  if (!(await getRepositoryRoot(dirPath))) {
+    return null;
+  }
+
+  const output = await runGit(dirPath, [
+    'log', '--follow', `--max-count=${limit}`, `--format=${COMMIT_FORMAT}%x1e`, '--', path.basename(filePath)
+  ]);
+  if (output === null) {
+    return null;
+  }
+
+  return output.split(SEPARATORS.record)
+    .map(record => record.trim())
+    .filter(Boolean)
+    .map(parseCommit);
+}
+
+/**
+ * Gets the last commit that changed a file or directory
+ * @param {string} filePath - Absolute path to the file or directory
+ * @returns {Promise<{hash: string, shortHash: string, author: string, email: string, date: Date, subject: string}|null>}
+ *   Last commit, or null when the path is not in a git repository or has no commits
+ */
+async function getLastCommit(filePath) {
+  const isDirectory = (await fs.promises.stat(filePath)).isDirectory();
+  const cwd = isDirectory ? filePath : path.dirname(filePath);
+  if (!(await getRepositoryRoot(cwd))) {
+    return null;
+  }
+
+  const output = await runGit(cwd, ['log', '--max-count=1', `--format=${COMMIT_FORMAT}`, '--', isDirectory ? '.' : path.basename(filePath)]);
+  return output && output.trim() ? parseCommit(output.trim()) : null;
+}
+
+/**
+ * Gets the last commit of every entry of a directory with a single walk of the log
+ * @param {string} dirPath - Absolute path to the directory
+ * @returns {Promise<Map<string, {hash: string, shortHash: string, author: string, email: string, date: Date, subject: string}>>}
+ *   Last commits keyed by entry name; empty when the directory is not in a git repository
+ */
+async function getDirectoryCommits(dirPath) {
+  const commits = new Map();
+  const repositoryRoot = await getRepositoryRoot(dirPath);
+  if (!repositoryRoot) {
+    return commits;
+  }
+
+  const output = await runGit(dirPath, [
+    'log', '-z', '--name-only', `--max-count=${MAX_DIRECTORY_COMMITS}`, `--format=%x1e${COMMIT_FORMAT}`, '--', '.'
+  ]);
+  if (!output) {
+    return commits;
+  }
+
+  // Paths in the log are relative to the repository root
+  const dirPrefix = path.relative(repositoryRoot, await fs.promises.realpath(dirPath)).split(path.sep).join('/');
+
+  for (const record of output.split(SEPARATORS.record)) {
+    const [header, ...files] = record.split('\0');
+    if (!header) {
+      continue;
+    }
+
+    const commit = parseCommit(header);
+    for (const file of files) {
+      const repoPath = file.replace(/^\n/, '');
+      const relativePath = dirPrefix ? repoPath.slice(dirPrefix.length + 1) : repoPath;
+      const entryName = relativePath.split('/')[0];
+      if (entryName && !commits.has(entryName)) {
+        commits.set(entryName, commit);
+      }
+    }
+  }
+
+  return commits;
+}
+
+/**
+ * Gets the commit that last changed each line of a file. Lines changed in the
+ * working tree belong to a pseudo-commit with an all-zero hash.
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<Array<{hash: string, shortHash: string, author: string, date: Date, subject: string}>|null>}
+ *   One commit per line, or null when the file is not tracked in a git repository
+ */
+async function getBlame(filePath) {
+  const dirPath = path.dirname(filePath);
+  if (!(await getRepositoryRoot(dirPath))) {
+    return null;
+  }
+
+  const output = await runGit(dirPath, ['blame', '--porcelain', '--', path.basename(filePath)]);
+  if (output === null) {
+    return null;
+  }
+
+  const commits = new Map();
+  const lines = [];
+  let current = null;
+
+  for (const line of output.split('\n')) {
+    const header = line.match(/^([0-9a-f]{40}) \d+ \d+/);
+    if (header) {
+      if (!commits.has(header[1])) {
+        commits.set(header[1], { hash: header[1], shortHash: header[1].slice(0, 7), author: '', date: null, subject: '' });
+      }
+      current = commits.get(header[1]);
+    } else if (line.startsWith('\t')) {
+      lines.push(current);
+    } else if (current && line.startsWith('author ')) {
+      current.author = line.slice('author '.length);
+    } else if (current && line.startsWith('author-time ')) {
+      current.date = new Date(Number(line.slice('author-time '.length)) * 1000);
+    } else if (current && line.startsWith('summary ')) {
+      current.subject = line.slice('summary '.length);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Resolves a revision (branch, tag, commit hash, `HEAD~2`, ...) to a commit
+ * @param {string} dirPath - Directory in the repository
+ * @param {string} revision - Revision name
+ * @returns {Promise<string|null>} Full commit hash, or null when the revision does not name a commit
+ */
+async function resolveRevision(dirPath, revision) {
+  // Never let a revision be read as a command line option
+  if (!revision || revision.startsWith('-') || !(await getRepositoryRoot(dirPath))) {
+    return null;
+  }
+
+  const output = await runGit(dirPath, ['rev-parse', '--verify', '--quiet', '--end-of-options', `${revision}^{commit}`]);
+  return output ? output.trim() : null;
+}
+
+/**
+ * Reads a file as it was in a commit
+ * @param {string} filePath - Absolute path to the file in the working tree
+ * @param {string} commit - Commit hash, e.g. from resolveRevision
+ * @returns {Promise<string|null>} File content, or null when the file did not exist in that commit
+ */
+async function getFileAtRevision(filePath, commit) {
+  return runGit(path.dirname(filePath), ['show', `${commit}:./${path.basename(filePath)}`]);
+}
+
+/**
+ * Picks the branch changes are compared against when none is given: the remote's default
+ * branch, then main, then master
+ * @param {string} dirPath - Directory in the repository
+ * @returns {Promise<string|null>} Branch name, or null when none of them exists
+ */
+async function getDefaultBaseBranch(dirPath) {
+  for (const branch of DEFAULT_BASE_BRANCHES) {
+    if (await resolveRevision(dirPath, branch)) {
+      return branch;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the files under a directory that differ between the working tree and the point where
+ * it branched off a base branch, like the files of a pull request. Untracked files count as added.
+ * @param {string} dirPath - Absolute path to the directory
+ * @param {string} base - Base branch or other revision
+ * @returns {Promise<{mergeBase: string, files: Array<{path: string, status: string}>}|null>} Commit the changes
+ *   are compared against, and the changed files (absolute paths, status added, modified or deleted)
+ *   sorted by path; null when the directory is not in a git repository or base is not a revision
+ */
+async function getChangedFiles(dirPath, base) {
+  const baseCommit = await resolveRevision(dirPath, base);
+  if (!baseCommit) {
+    return null;
+  }
+
+  const mergeBaseOutput = await runGit(dirPath, ['merge-base', baseCommit, 'HEAD']);
+  const mergeBase = mergeBaseOutput ? mergeBaseOutput.trim() : baseCommit;
+
+  const diffOutput = await runGit(dirPath, ['diff', '--name-status', '--no-renames', '--relative', '-z', mergeBase, '--', '.']);
+  const untrackedOutput = await runGit(dirPath, ['ls-files', '-z', '--others', '--exclude-standard', '--', '.']);
+  if (diffOutput === null || untrackedOutput === null) {
+    return null;
+  }
+
+  const files = [];
+  const fields = diffOutput.split('\0');
+  for (let i = 0; i + 1 < fields.length; i += 2) {
+    files.push({ path: path.join(dirPath, fields[i + 1]), status: CHANGE_STATUSES[fields[i]] || 'modified' });
+  }
+  for (const untracked of untrackedOutput.split('\0').filter(Boolean)) {
+    files.push({ path: path.join(dirPath, untracked), status: 'added' });
+  }
+
+  files.sort((a, b) => a.path.localeCompare(b.path));
+  return { mergeBase, files };
+}
+
+module.exports = {
+  getRepositoryRoot,
+  getRepositoryState,
+  getFileHistory,
+  getLastCommit,
+  getDirectoryCommits,
+  getBlame,
+  resolveRevision,
+  getFileAtRevision,
+  getDefaultBaseBranch,
+  getChangedFiles
+};
@@ -1,106 +1,429 @@
 /**
- * @fileoverview Gitignore parsing utilities for filtering files and directories
+ * @fileoverview Gitignore parsing utilities for filtering files and directories. Rules come from
+ * `.git/info/exclude`, the `.gitignore` file of every directory and `.docsignore` files, which use
+ * the same syntax to hide files from the docs only.
  */
 
 const fs     = require('node:fs');
 const path   = require('node:path');
 const ignore = require('ignore');
 
+const { scopedMap } = require('./settingsScope');
+
+/**
+ * Rule files read from every directory. Rules in deeper directories override those above them,
+ * and .docsignore rules override .gitignore rules, so `!pattern` in a .docsignore shows a gitignored file.
+ * @type {string[]}
+ */
+const IGNORE_FILES = ['.gitignore', '.docsignore'];
+
+/**
+ * Patterns hidden whatever the rule files say
+ * @type {string[]}
+ */
+const BUILT_IN_PATTERNS = ['.git'];
+
+/**
+ * Parsed rule files by absolute path, null when the file does not exist
+ * @type {Map<string, Promise<{file: string, baseDir: string, ig: import('ignore').Ignore, patterns: Array<{pattern: string, line: number}>}|null>>}
+ */
+const ruleFileCache = new Map();
+
+/**
+ * Git repository found above a directory, null when there is none
+ * @type {Map<string, Promise<{root: string, gitDir: string}|null>>}
+ */
+const repositoryCache = new Map();
+
+/**
+ * Whether a path is ignored, by root directory and path, in least to most recently used order.
+ * Kept per app, like the settings it depends on.
+ * @type {Map<string, Promise<boolean>>}
+ */
+const ignoredCache = scopedMap();
+
 /**
- * Cache for gitignore instances by directory path
+ * Paths kept in ignoredCache before the least recently used is dropped; every path ever
+ * requested would otherwise stay in memory, including ones that do not exist
+ * @type {number}
+ */
+const MAX_IGNORED_CACHE_ENTRIES = 10000;
+
+/**
+ * Built-in and configured patterns by root directory, per app
  * @type {Map<string, import('ignore').Ignore>}
  */
-const gitignoreCache = new Map();
+const patternCache = scopedMap();
+
+/**
+ * Ignore settings by root directory, set with configureIgnoreRules, per app
+ * @type {Map<string, {gitignore: boolean, showHidden: boolean, patterns: string[]}>}
+ */
+const ignoreSettings = scopedMap();
+
+/**
+ * Sets how files under a root directory are filtered
+ * @param {string} rootDir - Root directory for the server
+ * @param {Object} [settings={}] - Ignore settings
+ * @param {boolean} [settings.gitignore=true] - Apply .gitignore and .git/info/exclude rules (.git is always ignored,
+ *   and .docsignore rules always apply)
+ * @param {boolean} [settings.showHidden=false] - Treat dotfiles and dot-directories as visible
+ * @param {string[]} [settings.patterns=[]] - Extra gitignore-style patterns, applied even when .gitignore rules are not.
+ *   Rule files cannot re-include what they hide.
+ */
+function configureIgnoreRules(rootDir, { gitignore = true, showHidden = false, patterns = [] } = {}) {
+  ignoreSettings.set(rootDir, { gitignore, showHidden, patterns });
+  clearGitignoreCache();
+}
+
+/**
+ * Gets the ignore settings for a root directory
+ * @param {string} rootDir - Root directory for the server
+ * @returns {{gitignore: boolean, showHidden: boolean, patterns: string[]}} Ignore settings
+ */
+function getIgnoreSettings(rootDir) {
+  return ignoreSettings.get(rootDir) || { gitignore: true, showHidden: false, patterns: [] };
+}
+
+/**
+ * Converts a path under baseDir to the slash-separated form rules are matched against
+ * @param {string} baseDir - Directory the rules are relative to
+ * @param {string} filePath - Absolute path
+ * @returns {string|null} Relative path, or null when filePath is baseDir itself or outside it
+ */
+function toRulePath(baseDir, filePath) {
+  const relativePath = path.relative(baseDir, filePath);
+  if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    return null;
+  }
+  // Convert Windows path separators to Unix style for gitignore matching
+  return relativePath.split(path.sep).join('/');
+}
 
 /**
- * Loads and parses .gitignore files from the given directory and its parents
- * @param {string} rootDir - The root directory to start searching from
- * @returns {import('ignore').Ignore} Configured ignore instance
+ * Reads and parses a rule file
+ * @param {string} filePath - Absolute path to a .gitignore, .docsignore or info/exclude file
+ * @param {string} baseDir - Directory its patterns are relative to
+ * @returns {Promise<{file: string, baseDir: string, ig: import('ignore').Ignore, patterns: Array<{pattern: string, line: number}>}|null>}
+ *   Parsed rules, or null when the file does not exist
  */
-function loadGitignoreRules(rootDir) {
-  if (gitignoreCache.has(rootDir)) {
-    return gitignoreCache.get(rootDir);
+function loadRuleFile(filePath, baseDir) {
+  if (!ruleFileCache.has(filePath)) {
+    ruleFileCache.set(filePath, fs.promises.readFile(filePath, 'utf-8').then((content) => {
+      const patterns = content
+        .split(/\r?\n/)
+        .map((pattern, index) => ({ pattern, line: index + 1 }))
+        .filter(({ pattern }) => pattern.trim() && !pattern.startsWith('#'));
+      return { file: filePath, baseDir, ig: ignore().add(patterns.map(({ pattern }) => pattern)), patterns };
+    }, (error) => {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        console.warn(`Warning: Could not read ignore file at ${filePath}:`, error.message);
+      }
+      return null;
+    }));
   }
+  return ruleFileCache.get(filePath);
+}
 
-  const ig = ignore();
-  
-  ig.add('.git');
-  
-  let currentDir = rootDir;
-  const checkedDirs = new Set();
-  
-  while (currentDir && !checkedDirs.has(currentDir)) {
-    checkedDirs.add(currentDir);
-    
-    const gitignorePath = path.join(currentDir, '.gitignore');
-    
-    if (fs.existsSync(gitignorePath)) {
+/**
+ * Finds the git repository a directory is in by looking for .git in it and its parents. Shared by the
+ * ignore rules, language detection and git history, and forgotten with clearGitignoreCache.
+ * @param {string} dirPath - Absolute directory path
+ * @returns {Promise<{root: string, gitDir: string}|null>} Repository root and git directory, or null outside a repository
+ */
+function findRepository(dirPath) {
+  if (!repositoryCache.has(dirPath)) {
+    repositoryCache.set(dirPath, (async () => {
+      const dotGit = path.join(dirPath, '.git');
       try {
-        const gitignoreContent = fs.readFileSync(gitignorePath, 'utf-8');
-        ig.add(gitignoreContent);
+        if ((await fs.promises.stat(dotGit)).isDirectory()) {
+          return { root: dirPath, gitDir: dotGit };
+        }
+        // Worktrees and submodules have a .git file pointing at the git directory
+        const match = (await fs.promises.readFile(dotGit, 'utf-8')).match(/^gitdir:\s*(.+)$/m);
+        return match ? { root: dirPath, gitDir: path.resolve(dirPath, match[1].trim()) } : null;
       } catch (error) {
-        console.warn(`Warning: Could not read .gitignore file at ${gitignorePath}:`, error.message);
+        const parentDir = path.dirname(dirPath);
+        return parentDir === dirPath ? null : findRepository(parentDir);
       }
-    }
-    
-    const parentDir = path.dirname(currentDir);
-    const isFilesystemRoot = parentDir === currentDir;
-    if (isFilesystemRoot) {
+    })());
+  }
+  return repositoryCache.get(dirPath);
+}
+
+/**
+ * Lists the rule files that apply to a path, lowest precedence first: .git/info/exclude, then
+ * the .gitignore files from the top directory down to the path's directory, then the
+ * .docsignore files in the same order. The top directory is the repository root, or the
+ * file system root outside a repository.
+ * @param {string} filePath - Absolute path
+ * @param {string} rootDir - Root directory for the server
+ * @returns {Promise<Array<{file: string, baseDir: string, ig: import('ignore').Ignore, patterns: Array<{pattern: string, line: number}>}>>}
+ *   Parsed rule files
+ */
+async function getRuleFiles(filePath, rootDir) {
+  const repository = await findRepository(rootDir);
+  const topDir = repository ? repository.root : path.parse(rootDir).root;
+
+  const dirs = [];
+  for (let dir = path.dirname(filePath); ; dir = path.dirname(dir)) {
+    dirs.unshift(dir);
+    if (dir === topDir || path.dirname(dir) === dir) {
       break;
     }
-    currentDir = parentDir;
   }
-  
-  gitignoreCache.set(rootDir, ig);
-  return ig;
+
+  const ruleFiles = [];
+  if (getIgnoreSettings(rootDir).gitignore) {
+    if (repository) {
+      ruleFiles.push(loadRuleFile(path.join(repository.gitDir, 'info', 'exclude'), repository.root));
+    }
+    ruleFiles.push(...dirs.map(dir => loadRuleFile(path.join(dir, '.gitignore'), dir)));
+  }
+  ruleFiles.push(...dirs.map(dir => loadRuleFile(path.join(dir, '.docsignore'), dir)));
+
+  return (await Promise.all(ruleFiles)).filter(Boolean);
+}
+
+/**
+ * Gets the built-in and configured patterns of a root directory
+ * @param {string} rootDir - Root directory for the server
+ * @returns {import('ignore').Ignore} Ignore instance
+ */
+function getPatternRules(rootDir) {
+  if (!patternCache.has(rootDir)) {
+    patternCache.set(rootDir, ignore().add(BUILT_IN_PATTERNS).add(getIgnoreSettings(rootDir).patterns));
+  }
+  return patternCache.get(rootDir);
+}
+
+/**
+ * Checks a path against an ignore instance. Directories are also checked with a trailing slash,
+ * so patterns like `build/` match the directory itself and not only what is inside it.
+ * @param {import('ignore').Ignore} ig - Ignore instance
+ * @param {string} rulePath - Slash-separated path relative to the rules' directory
+ * @param {function(): Promise<boolean>} isDirectory - Tells whether the path is a directory (only called when needed)
+ * @returns {Promise<{ignored: boolean, unignored: boolean}>} Whether a rule ignored or re-included the path
+ */
+async function testRules(ig, rulePath, isDirectory) {
+  const result = ig.test(rulePath);
+  if (result.ignored || result.unignored || !(await isDirectory())) {
+    return result;
+  }
+  return ig.test(`${rulePath}/`);
+}
+
+/**
+ * Lists the directories above a path that a rule file ignores, as patterns re-including them.
+ * node-ignore treats everything inside an ignored directory as ignored, but by the time a rule
+ * file is consulted the path's directories are known not to be ignored overall (a later file,
+ * e.g. a .docsignore with `!build/`, re-included them), so they must not hide the path here.
+ * @param {import('ignore').Ignore} ig - Rules of the file
+ * @param {string} rulePath - Slash-separated path relative to the rule file's directory
+ * @returns {string[]} Patterns such as `!/build/`, empty when no parent directory is ignored
+ */
+function getParentReincludes(ig, rulePath) {
+  const segments = rulePath.split('/');
+  const reincludes = [];
+  for (let depth = 1; depth < segments.length; depth++) {
+    const dirPath = segments.slice(0, depth).join('/');
+    if (ig.test(`${dirPath}/`).ignored) {
+      reincludes.push(`!/${dirPath}/`);
+    }
+  }
+  return reincludes;
+}
+
+/**
+ * Checks a path against a rule file, ignoring what the file says about the path's directories
+ * @param {{ig: import('ignore').Ignore, baseDir: string, parentRules?: Map<string, import('ignore').Ignore>}} ruleFile - Loaded rule file
+ * @param {string} filePath - Absolute path
+ * @param {function(): Promise<boolean>} isDirectory - Tells whether the path is a directory
+ * @returns {Promise<{ignored: boolean, unignored: boolean}>} Whether a rule ignored or re-included the path
+ */
+function testRuleFile(ruleFile, filePath, isDirectory) {
+  const rulePath = toRulePath(ruleFile.baseDir, filePath);
+  const reincludes = getParentReincludes(ruleFile.ig, rulePath);
+  if (reincludes.length === 0) {
+    return testRules(ruleFile.ig, rulePath, isDirectory);
+  }
+
+  ruleFile.parentRules = ruleFile.parentRules || new Map();
+  const key = reincludes.join('\n');
+  if (!ruleFile.parentRules.has(key)) {
+    ruleFile.parentRules.set(key, ignore().add(ruleFile.ig).add(reincludes));
+  }
+  return testRules(ruleFile.parentRules.get(key), rulePath, isDirectory);
+}
+
+/**
+ * Creates a lazy, memoised check of whether a path is a directory
+ * @param {string} filePath - Absolute path
+ * @returns {function(): Promise<boolean>} Check
+ */
+function directoryCheck(filePath) {
+  let isDirectory = null;
+  return () => {
+    if (isDirectory === null) {
+      isDirectory = fs.promises.stat(filePath).then(stats => stats.isDirectory(), () => false);
+    }
+    return isDirectory;
+  };
+}
+
+/**
+ * Works out whether a path is ignored, without the cache
+ * @param {string} filePath - Absolute path to the file or directory
+ * @param {string} rootDir - Root directory for the server
+ * @param {string} rulePath - filePath relative to rootDir, slash-separated
+ * @returns {Promise<boolean>} True if the file should be ignored
+ */
+async function checkIgnored(filePath, rootDir, rulePath) {
+  const isDirectory = directoryCheck(filePath);
+  if ((await testRules(getPatternRules(rootDir), rulePath, isDirectory)).ignored) {
+    return true;
+  }
+
+  // A file inside an ignored directory cannot be re-included, as in git
+  if (await shouldIgnoreFile(path.dirname(filePath), rootDir)) {
+    return true;
+  }
+
+  let ignored = false;
+  for (const ruleFile of await getRuleFiles(filePath, rootDir)) {
+    const result = await testRuleFile(ruleFile, filePath, isDirectory);
+    if (result.ignored || result.unignored) {
+      ignored = result.ignored;
+    }
+  }
+  return ignored;
 }
 
 /**
  * Checks if a file or directory should be ignored based on gitignore rules
  * @param {string} filePath - Absolute path to the file or directory
  * @param {string} rootDir - Root directory for the server
- * @returns {boolean} True if the file should be ignored
+ * @returns {Promise<boolean>} True if the file should be ignored
  */
 function shouldIgnoreFile(filePath, rootDir) {
-  const ig = loadGitignoreRules(rootDir);
-  const relativePath = path.relative(rootDir, filePath);
-  
-  // If the file is outside the root directory, don't ignore it
-  if (relativePath.startsWith('..')) {
+  const rulePath = toRulePath(rootDir, filePath);
+
+  // The root directory itself and files outside it are never ignored
+  if (rulePath === null) {
+    return Promise.resolve(false);
+  }
+
+  const cacheKey = `${rootDir}\0${filePath}`;
+  const ignored = ignoredCache.get(cacheKey) || checkIgnored(filePath, rootDir, rulePath);
+  ignoredCache.delete(cacheKey);
+  ignoredCache.set(cacheKey, ignored);
+  if (ignoredCache.size > MAX_IGNORED_CACHE_ENTRIES) {
+    ignoredCache.delete(ignoredCache.keys().next().value);
+  }
+  return ignored;
+}
+
+/**
+ * Explains why a path is hidden: whether it is a dotfile, and which rule (file, line and
+ * pattern) decided that it, or the directory it is in, is ignored or re-included
+ * @param {string} filePath - Absolute path to the file or directory
+ * @param {string} rootDir - Root directory for the server
+ * @returns {Promise<{hidden: boolean, ignored: boolean, directory: string|null,
+ *   rule: {source: string, line: number|null, pattern: string, negated: boolean}|null}>}
+ *   Whether the path is hidden as a dotfile and ignored, the ignored directory containing it
+ *   (relative to rootDir, null when the path itself matched), and the last rule that matched.
+ *   Rule sources are rule files relative to rootDir, "built-in" or "options".
+ */
+async function explainIgnore(filePath, rootDir) {
+  const hidden = isHiddenFile(filePath, rootDir);
+  const rulePath = toRulePath(rootDir, filePath);
+  if (rulePath === null) {
+    return { hidden, ignored: false, directory: null, rule: null };
+  }
+
+  const parentDir = path.dirname(filePath);
+  if (await shouldIgnoreFile(parentDir, rootDir)) {
+    const parent = await explainIgnore(parentDir, rootDir);
+    return { hidden, ignored: true, directory: parent.directory || toRulePath(rootDir, parentDir), rule: parent.rule };
+  }
+
+  const isDirectory = directoryCheck(filePath);
+  let rule = null;
+
+  // Patterns are checked one at a time, in order of precedence, so the last one that matched is known
+  const fixedPatterns = [
+    ...BUILT_IN_PATTERNS.map(pattern => ({ source: 'built-in', pattern })),
+    ...getIgnoreSettings(rootDir).patterns.map(pattern => ({ source: 'options', pattern }))
+  ];
+  for (const { source, pattern } of fixedPatterns) {
+    if ((await testRules(ignore().add(pattern), rulePath, isDirectory)).ignored) {
+      return { hidden, ignored: true, directory: null, rule: { source, line: null, pattern, negated: false } };
+    }
+  }
+
+  for (const ruleFile of await getRuleFiles(filePath, rootDir)) {
+    const relativePath = toRulePath(ruleFile.baseDir, filePath);
+    const reincludes = getParentReincludes(ruleFile.ig, relativePath);
+    for (const { pattern, line } of ruleFile.patterns) {
+      const result = await testRules(ignore().add(pattern).add(reincludes), relativePath, isDirectory);
+      if (result.ignored || result.unignored) {
+        rule = { source: path.relative(rootDir, ruleFile.file).split(path.sep).join('/'), line, pattern, negated: result.unignored };
+      }
+    }
+  }
+
+  return { hidden, ignored: Boolean(rule && !rule.negated), directory: null, rule };
+}
+
+/**
+ * Checks if a file or directory is hidden, i.e. its name or the name of one of its
+ * parent directories under rootDir starts with a dot, and hidden files are not shown
+ * @param {string} filePath - Absolute path to the file or directory
+ * @param {string} rootDir - Root directory for the server
+ * @returns {boolean} True if the file should be hidden
+ */
+function isHiddenFile(filePath, rootDir) {
+  if (getIgnoreSettings(rootDir).showHidden) {
     return false;
   }
-  
-  const isRootDirectory = !relativePath || relativePath === '.'
-  if (isRootDirectory) {
+
+  const relativePath = path.relative(rootDir, filePath);
+  if (!relativePath || relativePath.startsWith('..')) {
     return false;
   }
-  
-  // Convert Windows path separators to Unix style for gitignore matching
-  const normalizedPath = relativePath.replace(/\\/g, '/');
-  
-  return ig.ignores(normalizedPath);
+
+  return relativePath.split(path.sep).some(segment => segment.startsWith('.'));
 }
 
 /**
  * Filters an array of file paths, removing those that should be ignored
  * @param {string[]} filePaths - Array of absolute file paths
  * @param {string} rootDir - Root directory for the server
- * @returns {string[]} Filtered array of file paths
+ * @returns {Promise<string[]>} Filtered array of file paths
  */
-function filterIgnoredFiles(filePaths, rootDir) {
-  return filePaths.filter(filePath => !shouldIgnoreFile(filePath, rootDir));
+async function filterIgnoredFiles(filePaths, rootDir) {
+  const ignored = await Promise.all(filePaths.map(filePath => shouldIgnoreFile(filePath, rootDir)));
+  return filePaths.filter((filePath, index) => !ignored[index]);
 }
 
 /**
  * Clears the gitignore cache (useful for testing or when .gitignore files change)
  */
 function clearGitignoreCache() {
-  gitignoreCache.clear();
+  ruleFileCache.clear();
+  repositoryCache.clear();
+  ignoredCache.clear();
+  patternCache.clear();
 }
 
 module.exports = {
-  loadGitignoreRules,
+  IGNORE_FILES,
+  configureIgnoreRules,
+  getIgnoreSettings,
+  isHiddenFile,
   shouldIgnoreFile,
+  explainIgnore,
   filterIgnoredFiles,
+  findRepository,
   clearGitignoreCache
-};
\ No newline at end of file
+};
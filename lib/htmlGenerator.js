@@ -3,9 +3,1449 @@
  */
 
 const path = require('node:path');
-const { marked } = require('marked');
 const hljs = require('highlight.js');
-const { getFileIcon, formatFileSize } = require('./fileUtils');
+const {
+  LISTING_SORTS,
+  DEFAULT_LISTING_SORT,
+  formatFileSize,
+  formatRelativeTime
+} = require('./fileUtils');
+const { getFileTypeFor } = require('./fileTypes');
+const { escapeHtml, encodeUrlPath, splitHtmlLines } = require('./htmlUtils');
+const { assetUrl } = require('./assets');
+const { renderMarkdown } = require('./markdownRenderer');
+const { parseFrontMatter } = require('./frontMatter');
+const { pairLines } = require('./fileDiff');
+
+/**
+ * Theme variables and layout overrides shared by every generated page
+ * @type {string}
+ */
+const BASE_STYLES = `
+  /* Dark mode override - takes precedence over Simple.css auto detection */
+  [data-theme="dark"] {
+    color-scheme: dark;
+    --bg: #212121;
+    --accent-bg: #2b2b2b;
+    --text: #dcdcdc;
+    --text-light: #ababab;
+    --border: #666;
+    --accent: #ffb300;
+    --accent-hover: #ffcc02;
+    --accent-text: var(--bg);
+    --code: #f06292;
+    --preformatted: #ccc;
+    --marked: #ffdd33;
+    --disabled: #111;
+  }
+
+  /* Light mode override */
+  [data-theme="light"] {
+    color-scheme: light;
+    --bg: #fff;
+    --accent-bg: #f5f7ff;
+    --text: #212121;
+    --text-light: #585858;
+    --border: #898EA4;
+    --accent: #0d47a1;
+    --accent-hover: #1976d2;
+    --accent-text: var(--bg);
+    --code: #d81b60;
+    --preformatted: #444;
+    --marked: #ffdd33;
+    --disabled: #efefef;
+  }
+
+  .theme-toggle { 
+    position: fixed; 
+    top: 1rem; 
+    right: 1rem; 
+    background: var(--accent); 
+    color: var(--accent-text); 
+    border: none; 
+    padding: 0.5rem 1rem; 
+    border-radius: 4px; 
+    cursor: pointer; 
+    font-size: 1.2rem; 
+    z-index: 1000;
+    transition: all 0.3s ease;
+  }
+  .theme-toggle:hover { 
+    background: var(--accent-hover); 
+    transform: scale(1.05);
+  }
+  /* Override Simple.css grid layout for wider content */
+  body {
+    display: block !important;
+    grid-template-columns: none !important;
+    max-width: 1200px !important;
+    margin: 0 auto !important;
+    padding: 1rem !important;
+  }
+
+  main {
+    display: block !important;
+    grid-column: none !important;
+    max-width: none !important;
+    width: 100% !important;
+  }
+
+  @media (max-width: 1240px) {
+    body {
+      max-width: calc(100% - 2rem) !important;
+    }
+  }
+
+  .search-form {
+    display: flex;
+    gap: 0.5rem;
+    margin: 0.5rem 0 0;
+  }
+  .search-form input[type="search"] {
+    flex: 1;
+    margin: 0;
+  }
+  .search-form button {
+    margin: 0;
+  }
+
+  .file-actions {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem;
+    margin-top: 0.5rem;
+  }
+  .file-actions a {
+    border: 1px solid var(--accent);
+    border-radius: 4px;
+    padding: 0.25rem 0.75rem;
+    font-size: 0.9rem;
+    text-decoration: none;
+  }
+  .file-actions a:hover {
+    background: var(--accent);
+    color: var(--accent-text);
+  }
+`;
+
+/**
+ * Theme toggle script for pages without syntax highlighting or diagrams
+ * @type {string}
+ */
+const THEME_SCRIPT = `
+  function toggleTheme() {
+    const html = document.documentElement;
+    const button = document.querySelector('.theme-toggle');
+    const currentTheme = html.getAttribute('data-theme');
+
+    if (currentTheme === 'dark') {
+      html.setAttribute('data-theme', 'light');
+      button.textContent = '🌙';
+      localStorage.setItem('theme', 'light');
+    } else {
+      html.setAttribute('data-theme', 'dark');
+      button.textContent = '☀️';
+      localStorage.setItem('theme', 'dark');
+    }
+  }
+
+  // Load saved theme - Simple.css uses data-theme on html element
+  const savedTheme = localStorage.getItem('theme') || document.documentElement.getAttribute('data-theme') || 'light';
+  document.documentElement.setAttribute('data-theme', savedTheme);
+  document.querySelector('.theme-toggle').textContent = savedTheme === 'dark' ? '☀️' : '🌙';
+  document.querySelector('.theme-toggle').addEventListener('click', () => window.toggleTheme());
+`;
+
+/**
+ * Renders the live reload client: it listens to /_events and reloads the page when the file
+ * it shows, or an entry of the directory it lists, changes. The scroll position is kept across reloads.
+ * @param {string} [basePath=''] - Path the server is mounted under
+ * @returns {string} Script body
+ */
+function renderLiveReloadScript(basePath = '') {
+  return `
+  (function() {
+    if (!window.EventSource) return;
+
+    const basePath = ${JSON.stringify(basePath).replace(/</g, '\\u003c')};
+    const currentPath = decodeURIComponent(location.pathname).slice(basePath.length).replace(/\\/+$/, '') || '/';
+    const scrollKey = 'docs-server-scroll:' + currentPath;
+    const savedScroll = sessionStorage.getItem(scrollKey);
+    if (savedScroll !== null) {
+      sessionStorage.removeItem(scrollKey);
+      window.addEventListener('load', () => window.scrollTo(0, Number(savedScroll)));
+    }
+
+    const parentOf = (changedPath) => changedPath.slice(0, changedPath.lastIndexOf('/')) || '/';
+
+    const source = new EventSource(basePath + '/_events');
+    source.addEventListener('change', (event) => {
+      const { paths } = JSON.parse(event.data);
+      const affected = paths.some(changedPath =>
+        changedPath === '*' || changedPath === currentPath || parentOf(changedPath) === currentPath
+      );
+      if (affected) {
+        sessionStorage.setItem(scrollKey, String(window.scrollY));
+        location.reload();
+      }
+    });
+  })();
+`;
+}
+
+/**
+ * Styles for rendered content: code blocks, highlight.js and mermaid diagrams
+ * @type {string}
+ */
+const CONTENT_STYLES = `
+  pre { 
+    background: var(--accent-bg) !important; 
+    border: 1px solid var(--border); 
+    border-radius: 4px; 
+    overflow-x: auto; 
+  }
+  /* Override highlight.js background in dark mode */
+  [data-theme="dark"] .hljs { 
+    background: var(--accent-bg) !important; 
+  }
+
+  /* Mermaid diagram styling */
+  .mermaid-diagram {
+    background: var(--accent-bg);
+    border: 1px solid var(--border);
+    border-radius: 4px;
+    padding: 1rem;
+    margin: 1rem 0;
+    text-align: center;
+    overflow-x: auto;
+  }
+
+  /* Ensure mermaid diagrams work with dark mode */
+  [data-theme="dark"] .mermaid-diagram {
+    background: var(--accent-bg);
+  }
+
+  /* Front matter metadata panel */
+  .front-matter {
+    display: grid;
+    grid-template-columns: max-content 1fr;
+    gap: 0.25rem 1rem;
+    margin: 0.75rem 0 0;
+    font-size: 0.9rem;
+  }
+  .front-matter dt {
+    color: var(--text-light);
+    text-transform: capitalize;
+  }
+  .front-matter dd {
+    margin: 0;
+  }
+  .front-matter .tag {
+    display: inline-block;
+    background: var(--bg);
+    border: 1px solid var(--border);
+    border-radius: 1rem;
+    padding: 0 0.5rem;
+  }
+
+  /* Heading permalinks, revealed on hover */
+  .heading-anchor {
+    margin-left: 0.4rem;
+    font-weight: normal;
+    text-decoration: none;
+    opacity: 0;
+    transition: opacity 0.2s ease;
+  }
+  :is(h1, h2, h3, h4, h5, h6):hover .heading-anchor,
+  .heading-anchor:focus {
+    opacity: 0.6;
+  }
+  :is(h1, h2, h3, h4, h5, h6)[id] {
+    scroll-margin-top: 1rem;
+  }
+`;
+
+/**
+ * Theme toggle script for pages with rendered content. Also switches the highlight.js
+ * theme and renders (and re-renders on theme change) mermaid diagrams.
+ * @type {string}
+ */
+const CONTENT_SCRIPT = `
+  function toggleTheme() {
+    const html = document.documentElement;
+    const button = document.querySelector('.theme-toggle');
+    const currentTheme = html.getAttribute('data-theme');
+    const lightTheme = document.getElementById('hljs-light');
+    const darkTheme = document.getElementById('hljs-dark');
+
+    if (currentTheme === 'dark') {
+      html.setAttribute('data-theme', 'light');
+      button.textContent = '🌙';
+      localStorage.setItem('theme', 'light');
+      if (lightTheme) lightTheme.disabled = false;
+      if (darkTheme) darkTheme.disabled = true;
+    } else {
+      html.setAttribute('data-theme', 'dark');
+      button.textContent = '☀️';
+      localStorage.setItem('theme', 'dark');
+      if (lightTheme) lightTheme.disabled = true;
+      if (darkTheme) darkTheme.disabled = false;
+    }
+  }
+
+  // Load saved theme - Simple.css uses data-theme on html element
+  const savedTheme = localStorage.getItem('theme') || document.documentElement.getAttribute('data-theme') || 'light';
+  document.documentElement.setAttribute('data-theme', savedTheme);
+  document.querySelector('.theme-toggle').textContent = savedTheme === 'dark' ? '☀️' : '🌙';
+  const lightTheme = document.getElementById('hljs-light');
+  const darkTheme = document.getElementById('hljs-dark');
+  if (savedTheme === 'dark') {
+    if (lightTheme) lightTheme.disabled = true;
+    if (darkTheme) darkTheme.disabled = false;
+  }
+
+  // Initialize Mermaid
+  mermaid.initialize({ 
+    startOnLoad: false,
+    securityLevel: 'strict',
+    theme: savedTheme === 'dark' ? 'dark' : 'default'
+  });
+
+  // Shows a diagram's source as text when it cannot be rendered
+  function showDiagramSource(diagram, content) {
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    code.textContent = content;
+    pre.appendChild(code);
+    diagram.replaceChildren(pre);
+  }
+
+  // Function to render mermaid diagrams
+  function renderMermaidDiagrams() {
+    const diagrams = document.querySelectorAll('.mermaid-diagram');
+    diagrams.forEach((diagram, index) => {
+      const content = diagram.getAttribute('data-diagram');
+      const id = 'mermaid-' + index;
+      diagram.innerHTML = '';
+      diagram.id = id;
+
+      try {
+        mermaid.render(id + '-svg', content).then(({svg}) => {
+          diagram.innerHTML = svg;
+        }).catch(err => {
+          console.error('Mermaid rendering error:', err);
+          showDiagramSource(diagram, content);
+        });
+      } catch (err) {
+        console.error('Mermaid rendering error:', err);
+        showDiagramSource(diagram, content);
+      }
+    });
+  }
+
+  // Render diagrams after page load
+  renderMermaidDiagrams();
+
+  // Update mermaid theme when switching themes
+  const originalToggleTheme = window.toggleTheme;
+  window.toggleTheme = function() {
+    originalToggleTheme();
+    const currentTheme = document.documentElement.getAttribute('data-theme');
+    mermaid.initialize({ 
+      startOnLoad: false,
+      securityLevel: 'strict',
+      theme: currentTheme === 'dark' ? 'dark' : 'default'
+    });
+    setTimeout(renderMermaidDiagrams, 100);
+  };
+  document.querySelector('.theme-toggle').addEventListener('click', () => window.toggleTheme());
+`;
+
+/**
+ * Styles for the table of contents sidebar on markdown pages
+ * @type {string}
+ */
+const TOC_STYLES = `
+  .content-layout.has-toc {
+    display: grid;
+    grid-template-columns: minmax(0, 1fr) 16rem;
+    gap: 2rem;
+    align-items: start;
+  }
+  .toc {
+    position: sticky;
+    top: 1rem;
+    max-height: calc(100vh - 2rem);
+    overflow-y: auto;
+    font-size: 0.9rem;
+  }
+  .toc details {
+    background: var(--accent-bg);
+    border: 1px solid var(--border);
+    border-radius: 4px;
+    padding: 0.5rem 1rem;
+    margin: 0;
+  }
+  .toc summary {
+    cursor: pointer;
+    font-weight: bold;
+  }
+  .toc ul {
+    list-style: none;
+    padding-left: 1rem;
+    margin: 0.25rem 0;
+  }
+  .toc nav > ul {
+    padding-left: 0;
+  }
+  .toc a {
+    display: block;
+    padding: 0.1rem 0 0.1rem 0.5rem;
+    border-left: 2px solid transparent;
+    color: var(--text-light);
+    text-decoration: none;
+  }
+  .toc a:hover {
+    color: var(--accent);
+  }
+  .toc a.active {
+    border-left-color: var(--accent);
+    color: var(--text);
+    font-weight: bold;
+  }
+
+  @media (max-width: 900px) {
+    .content-layout.has-toc {
+      display: flex;
+      flex-direction: column-reverse;
+    }
+    .toc {
+      position: static;
+      max-height: none;
+      width: 100%;
+    }
+  }
+`;
+
+/**
+ * Scroll-spy for the table of contents: highlights the entry of the section being read
+ * @type {string}
+ */
+const TOC_SCRIPT = `
+  (function() {
+    const links = document.querySelectorAll('.toc a[data-target]');
+    const headings = Array.from(links)
+      .map(link => document.getElementById(link.dataset.target))
+      .filter(Boolean);
+    if (headings.length === 0) return;
+
+    let scheduled = false;
+    const updateActive = () => {
+      scheduled = false;
+      let current = headings[0];
+      for (const heading of headings) {
+        if (heading.getBoundingClientRect().top > 80) break;
+        current = heading;
+      }
+      links.forEach(link => link.classList.toggle('active', link.dataset.target === current.id));
+    };
+
+    window.addEventListener('scroll', () => {
+      if (!scheduled) {
+        scheduled = true;
+        requestAnimationFrame(updateActive);
+      }
+    }, { passive: true });
+    updateActive();
+  })();
+`;
+
+/**
+ * Files with more lines than this are shown in a virtualised line view, which only keeps
+ * the rows on screen in the document
+ * @type {number}
+ */
+const VIRTUAL_LINE_THRESHOLD = 3000;
+
+/**
+ * Styles for the line view of code files: a line number gutter, selected lines and the
+ * range pager of large files
+ * @type {string}
+ */
+const LINE_VIEW_STYLES = `
+  .line-view {
+    font-family: var(--mono-font), monospace;
+    font-size: 0.9rem;
+    border: 1px solid var(--border);
+    border-radius: 4px;
+    overflow: auto;
+    padding: 0.5rem 0;
+    margin: 1rem 0;
+  }
+  .line-view .line {
+    display: flex;
+    white-space: pre;
+    line-height: 1.5;
+    min-height: 1.5em;
+    scroll-margin-top: 30vh;
+  }
+  .line-view .line.selected,
+  .line-view .line.selected .line-number {
+    background: rgba(255, 221, 51, 0.3);
+  }
+  .line-number {
+    flex: none;
+    position: sticky;
+    left: 0;
+    min-width: 7ch;
+    padding: 0 1ch;
+    margin-right: 1ch;
+    text-align: right;
+    color: var(--text-light);
+    background: var(--accent-bg);
+    border-right: 1px solid var(--border);
+    text-decoration: none;
+    cursor: pointer;
+    user-select: none;
+  }
+  .line-number::before {
+    content: attr(data-line);
+  }
+  .line-number:hover {
+    color: var(--accent);
+  }
+  .line-code {
+    flex: 1 0 auto;
+    padding-right: 1ch;
+  }
+  .wrap-code .line-view:not(.line-view-virtual) .line {
+    white-space: pre-wrap;
+  }
+  .wrap-code .line-view:not(.line-view-virtual) .line-code {
+    flex-shrink: 1;
+    min-width: 0;
+    overflow-wrap: anywhere;
+  }
+  .line-view-virtual {
+    height: 75vh;
+  }
+  .line-view-spacer {
+    position: relative;
+  }
+  .line-view-rows {
+    position: absolute;
+    top: 0;
+    left: 0;
+    min-width: 100%;
+  }
+  .file-pager {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 0.5rem 1rem;
+    padding: 0.5rem 1rem;
+    background: var(--accent-bg);
+    border: 1px solid var(--border);
+    border-radius: 4px;
+    font-size: 0.9rem;
+  }
+  .file-pager .pager-summary {
+    margin-right: auto;
+    color: var(--text-light);
+  }
+`;
+
+/**
+ * Line view behaviour: selects the lines named in the URL fragment (#L12 or #L12-L20) and
+ * scrolls to them, updates the fragment when a line number is clicked (shift-click extends
+ * the selection to a range), and for long files renders only the rows around the visible
+ * part of the view, re-rendering them as it scrolls
+ * @type {string}
+ */
+const LINE_VIEW_SCRIPT = `
+  (function() {
+    const view = document.querySelector('.line-view');
+    if (!view) return;
+
+    const data = document.getElementById('line-view-data');
+    const isVirtual = view.classList.contains('line-view-virtual') && data;
+    let selection = null;
+    let anchorLine = null;
+
+    const parseFragment = () => {
+      const match = location.hash.match(/^#L([0-9]+)(?:-L([0-9]+))?$/);
+      if (!match) return null;
+      const first = Number(match[1]);
+      const last = Number(match[2] || match[1]);
+      return { start: Math.min(first, last), end: Math.max(first, last) };
+    };
+    const isSelected = (number) => selection !== null && number >= selection.start && number <= selection.end;
+
+    let renderRows = null;
+    let lineHeight = 0;
+    let firstLine = 1;
+    if (isVirtual) {
+      const lines = JSON.parse(data.textContent);
+      const spacer = view.querySelector('.line-view-spacer');
+      const rows = view.querySelector('.line-view-rows');
+      const overscan = 50;
+      let scheduled = false;
+      firstLine = Number(view.dataset.firstLine);
+
+      const renderRow = (html, number) =>
+        '<div class="line' + (isSelected(number) ? ' selected' : '') + '" id="L' + number + '">' +
+        '<a class="line-number" href="#L' + number + '" data-line="' + number + '"></a>' +
+        '<span class="line-code">' + html + '</span></div>';
+
+      rows.innerHTML = renderRow(' ', firstLine);
+      lineHeight = rows.firstChild.getBoundingClientRect().height || 20;
+      spacer.style.height = lines.length * lineHeight + 'px';
+
+      renderRows = () => {
+        scheduled = false;
+        const start = Math.max(0, Math.floor(view.scrollTop / lineHeight) - overscan);
+        const end = Math.min(lines.length, Math.ceil((view.scrollTop + view.clientHeight) / lineHeight) + overscan);
+        rows.style.transform = 'translateY(' + start * lineHeight + 'px)';
+        rows.innerHTML = lines.slice(start, end).map((html, index) => renderRow(html, firstLine + start + index)).join('');
+      };
+
+      view.addEventListener('scroll', () => {
+        if (!scheduled) {
+          scheduled = true;
+          requestAnimationFrame(renderRows);
+        }
+      }, { passive: true });
+    }
+
+    const applySelection = (scroll) => {
+      selection = parseFragment();
+      if (isVirtual) {
+        if (scroll && selection) {
+          view.scrollIntoView({ block: 'start' });
+          view.scrollTop = Math.max(0, (selection.start - firstLine) * lineHeight - view.clientHeight / 3);
+        }
+        renderRows();
+        return;
+      }
+
+      view.querySelectorAll('.line.selected').forEach(row => row.classList.remove('selected'));
+      if (!selection) return;
+      for (let number = selection.start; number <= selection.end; number++) {
+        const row = document.getElementById('L' + number);
+        if (row) row.classList.add('selected');
+      }
+      const firstRow = document.getElementById('L' + selection.start);
+      if (scroll && firstRow) firstRow.scrollIntoView({ block: 'start' });
+    };
+
+    view.addEventListener('click', (event) => {
+      const link = event.target.closest('.line-number');
+      if (!link) return;
+      event.preventDefault();
+
+      const number = Number(link.dataset.line);
+      if (event.shiftKey && anchorLine !== null) {
+        window.getSelection().removeAllRanges();
+        const start = Math.min(anchorLine, number);
+        const end = Math.max(anchorLine, number);
+        history.replaceState(null, '', start === end ? '#L' + start : '#L' + start + '-L' + end);
+      } else {
+        anchorLine = number;
+        history.replaceState(null, '', '#L' + number);
+      }
+      applySelection(false);
+    });
+
+    window.addEventListener('hashchange', () => applySelection(true));
+    applySelection(true);
+    anchorLine = selection ? selection.start : null;
+  })();
+`;
+
+/**
+ * Styles for the copy and wrap buttons added to code blocks
+ * @type {string}
+ */
+const CODE_TOOLS_STYLES = `
+  .code-block {
+    position: relative;
+  }
+  .code-tools {
+    position: absolute;
+    top: 0.4rem;
+    right: 0.4rem;
+    display: flex;
+    gap: 0.25rem;
+    opacity: 0;
+    transition: opacity 0.2s ease;
+  }
+  .code-block:hover .code-tools,
+  .code-tools:focus-within {
+    opacity: 1;
+  }
+  .code-tools button {
+    margin: 0;
+    padding: 0.1rem 0.5rem;
+    font-size: 0.75rem;
+  }
+  .wrap-code article pre,
+  .wrap-code article pre code {
+    white-space: pre-wrap;
+    overflow-wrap: anywhere;
+  }
+`;
+
+/**
+ * Adds a copy button to every code block (code views and fenced blocks in markdown) and a
+ * soft-wrap toggle to those that can wrap. The wrap setting is remembered across pages.
+ * @type {string}
+ */
+const CODE_TOOLS_SCRIPT = `
+  (function() {
+    const root = document.documentElement;
+    root.classList.toggle('wrap-code', localStorage.getItem('wrapCode') === 'true');
+
+    // The Clipboard API needs a secure context; plain HTTP pages fall back to execCommand
+    const copyText = (text) => {
+      if (navigator.clipboard && window.isSecureContext) {
+        return navigator.clipboard.writeText(text);
+      }
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.setAttribute('readonly', '');
+      textarea.style.position = 'fixed';
+      textarea.style.opacity = '0';
+      document.body.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+      return copied ? Promise.resolve() : Promise.reject(new Error('Copy failed'));
+    };
+
+    // Virtualised views only have the rows on screen in the document, so their text comes from the line data
+    const blockText = (block) => {
+      const data = document.getElementById('line-view-data');
+      if (block.classList.contains('line-view-virtual') && data) {
+        const container = document.createElement('div');
+        container.innerHTML = JSON.parse(data.textContent).join('\\n');
+        return container.textContent;
+      }
+      if (block.classList.contains('line-view')) {
+        return Array.from(block.querySelectorAll('.line-code'), line => line.textContent).join('\\n');
+      }
+      return block.textContent;
+    };
+
+    const createButton = (label, title) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.title = title;
+      return button;
+    };
+
+    document.querySelectorAll('article pre, article .line-view').forEach(block => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'code-block';
+      block.parentNode.insertBefore(wrapper, block);
+      wrapper.appendChild(block);
+
+      const tools = document.createElement('div');
+      tools.className = 'code-tools';
+
+      if (!block.classList.contains('line-view-virtual')) {
+        const wrapButton = createButton('Wrap', 'Wrap long lines');
+        wrapButton.setAttribute('aria-pressed', String(root.classList.contains('wrap-code')));
+        wrapButton.addEventListener('click', () => {
+          const wrap = root.classList.toggle('wrap-code');
+          localStorage.setItem('wrapCode', String(wrap));
+          document.querySelectorAll('.code-tools [aria-pressed]').forEach(button => button.setAttribute('aria-pressed', String(wrap)));
+        });
+        tools.appendChild(wrapButton);
+      }
+
+      const copyButton = createButton('Copy', 'Copy to clipboard');
+      copyButton.addEventListener('click', () => {
+        const showResult = (label) => {
+          copyButton.textContent = label;
+          setTimeout(() => { copyButton.textContent = 'Copy'; }, 1500);
+        };
+        copyText(blockText(block)).then(() => showResult('Copied!'), () => showResult('Copy failed'));
+      });
+      tools.appendChild(copyButton);
+
+      wrapper.appendChild(tools);
+    });
+  })();
+`;
+
+/**
+ * Styles for directory listings: sortable column headers, the filter bar and the tree sidebar
+ * @type {string}
+ */
+const LISTING_STYLES = `
+  th .sort-link {
+    color: inherit;
+    text-decoration: none;
+  }
+  th .sort-link:hover {
+    color: var(--accent);
+  }
+  .listing-tools {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 0.5rem 1rem;
+    margin-top: 1rem;
+  }
+  .listing-tools[hidden] {
+    display: none;
+  }
+  .listing-filter {
+    flex: 1;
+    min-width: 12rem;
+    margin: 0;
+  }
+  .listing-tools label {
+    display: inline;
+    margin: 0;
+    font-size: 0.9rem;
+  }
+  .filter-count {
+    color: var(--text-light);
+    font-size: 0.9rem;
+  }
+  .no-matches td {
+    color: var(--text-light);
+    text-align: center;
+  }
+
+  .directory-layout.has-tree {
+    display: grid;
+    grid-template-columns: 16rem minmax(0, 1fr);
+    gap: 2rem;
+    align-items: start;
+  }
+  .tree-panel {
+    position: sticky;
+    top: 1rem;
+    font-size: 0.9rem;
+  }
+  .tree-panel details {
+    background: var(--accent-bg);
+    border: 1px solid var(--border);
+    border-radius: 4px;
+    padding: 0.5rem 0.75rem;
+    margin: 0;
+  }
+  .tree-panel summary {
+    cursor: pointer;
+    font-weight: bold;
+  }
+  .tree-panel nav {
+    position: relative;
+    max-height: calc(100vh - 6rem);
+    overflow: auto;
+  }
+  .tree,
+  .tree ul {
+    list-style: none;
+    padding-left: 0;
+    margin: 0;
+  }
+  .tree ul {
+    padding-left: 1rem;
+  }
+  .tree li {
+    white-space: nowrap;
+    margin: 0;
+  }
+  .tree .tree-twisty {
+    display: inline-block;
+    width: 1.25rem;
+    padding: 0;
+    margin: 0;
+    border: none;
+    background: none;
+    color: var(--text-light);
+    font-size: 0.75rem;
+  }
+  .tree button.tree-twisty {
+    cursor: pointer;
+  }
+  .tree button.tree-twisty:hover {
+    background: none;
+    color: var(--accent);
+  }
+  .tree a {
+    text-decoration: none;
+  }
+  .tree a[aria-current="page"] {
+    font-weight: bold;
+  }
+  .tree .tree-message {
+    color: var(--text-light);
+    padding-left: 1.25rem;
+  }
+  .hide-hidden .tree .hidden-entry {
+    display: none;
+  }
+
+  @media (max-width: 900px) {
+    .directory-layout.has-tree {
+      display: block;
+    }
+    .tree-panel {
+      position: static;
+      margin-bottom: 1rem;
+    }
+  }
+`;
+
+/**
+ * Filter-as-you-type and hidden files toggle for the listing table. Whether dotfiles are shown
+ * is remembered across pages and also applies to the tree sidebar.
+ * @type {string}
+ */
+const LISTING_SCRIPT = `
+  (function() {
+    const root = document.documentElement;
+    root.classList.toggle('hide-hidden', localStorage.getItem('showHidden') === 'false');
+
+    const tools = document.querySelector('.listing-tools');
+    if (!tools) return;
+    tools.hidden = false;
+
+    const rows = Array.from(document.querySelectorAll('.file-table tbody tr[data-name]'));
+    const noMatches = document.querySelector('.file-table .no-matches');
+    const filter = tools.querySelector('.listing-filter');
+    const count = tools.querySelector('.filter-count');
+    const hiddenToggle = tools.querySelector('.hidden-toggle input');
+
+    const update = () => {
+      const query = filter.value.trim().toLowerCase();
+      const hideHidden = root.classList.contains('hide-hidden');
+      let shown = 0;
+      rows.forEach(row => {
+        row.hidden = !row.dataset.name.includes(query) || (hideHidden && row.classList.contains('hidden-entry'));
+        if (!row.hidden) shown++;
+      });
+      noMatches.hidden = shown > 0 || rows.length === 0;
+      count.textContent = shown < rows.length ? shown + ' of ' + rows.length + ' shown' : '';
+    };
+
+    if (hiddenToggle) {
+      hiddenToggle.checked = !root.classList.contains('hide-hidden');
+      hiddenToggle.addEventListener('change', () => {
+        root.classList.toggle('hide-hidden', !hiddenToggle.checked);
+        localStorage.setItem('showHidden', String(hiddenToggle.checked));
+        update();
+      });
+    }
+
+    filter.addEventListener('input', update);
+    filter.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        filter.value = '';
+        update();
+      }
+    });
+    update();
+  })();
+`;
+
+/**
+ * Tree sidebar of the whole served directory. Each directory's entries are fetched from the JSON
+ * API when it is expanded; on load, the directories down to the current one are expanded.
+ * @type {string}
+ */
+const TREE_SCRIPT = `
+  (function() {
+    const panel = document.querySelector('.tree-panel');
+    if (!panel) return;
+
+    const basePath = panel.dataset.basePath;
+    const currentPath = panel.dataset.current;
+    const details = panel.querySelector('details');
+    const nav = panel.querySelector('nav');
+    const tree = panel.querySelector('.tree');
+
+    // Collapsed by default on narrow screens, then as the visitor last left it
+    const savedOpen = localStorage.getItem('treeOpen');
+    details.open = savedOpen === null ? !window.matchMedia('(max-width: 900px)').matches : savedOpen === 'true';
+    details.addEventListener('toggle', () => localStorage.setItem('treeOpen', String(details.open)));
+
+    const urlFor = (filePath) => basePath + filePath.split('/').map(encodeURIComponent).join('/');
+
+    const message = (text) => {
+      const item = document.createElement('li');
+      item.className = 'tree-message';
+      item.textContent = text;
+      return item;
+    };
+
+    const fill = (list, dirPath) => {
+      list.replaceChildren(message('Loading…'));
+      return fetch(urlFor(dirPath) + '?format=json')
+        .then(response => {
+          if (!response.ok) throw new Error(response.statusText);
+          return response.json();
+        })
+        .then(directory => {
+          list.replaceChildren(...directory.files.map(createNode));
+          if (directory.files.length === 0) list.appendChild(message('Empty'));
+          return list;
+        })
+        .catch(() => {
+          list.replaceChildren(message('Could not load'));
+          return list;
+        });
+    };
+
+    const setExpanded = (item, expanded) => {
+      item.setAttribute('aria-expanded', String(expanded));
+      item.querySelector(':scope > .tree-twisty').textContent = expanded ? '▾' : '▸';
+    };
+
+    const expand = (item) => {
+      setExpanded(item, true);
+      const existing = item.querySelector(':scope > ul');
+      if (existing) {
+        existing.hidden = false;
+        return Promise.resolve(existing);
+      }
+      const list = document.createElement('ul');
+      list.setAttribute('role', 'group');
+      item.appendChild(list);
+      return fill(list, item.dataset.path);
+    };
+
+    const collapse = (item) => {
+      setExpanded(item, false);
+      item.querySelector(':scope > ul').hidden = true;
+    };
+
+    function createNode(entry) {
+      const item = document.createElement('li');
+      item.setAttribute('role', 'treeitem');
+      item.dataset.path = entry.path;
+      if (entry.name.startsWith('.')) item.classList.add('hidden-entry');
+
+      const twisty = document.createElement(entry.isDirectory ? 'button' : 'span');
+      twisty.className = 'tree-twisty';
+      const link = document.createElement('a');
+      link.href = urlFor(entry.path);
+      link.textContent = (entry.isDirectory ? '📁 ' : '📄 ') + entry.name;
+      if (entry.path === currentPath) link.setAttribute('aria-current', 'page');
+      item.append(twisty, link);
+
+      if (entry.isDirectory) {
+        twisty.type = 'button';
+        twisty.setAttribute('aria-label', 'Expand ' + entry.name);
+        setExpanded(item, false);
+        twisty.addEventListener('click', () => {
+          if (item.getAttribute('aria-expanded') === 'true') {
+            collapse(item);
+          } else {
+            expand(item);
+          }
+        });
+      }
+      return item;
+    }
+
+    fill(tree, '/').then(async (list) => {
+      let dirPath = '';
+      for (const segment of currentPath.split('/').filter(Boolean)) {
+        dirPath += '/' + segment;
+        const item = Array.from(list.children).find(child => child.dataset.path === dirPath);
+        if (!item) break;
+        list = await expand(item);
+      }
+      const current = tree.querySelector('[aria-current="page"]');
+      if (current) {
+        nav.scrollTop = current.offsetTop - nav.clientHeight / 2;
+      }
+    });
+  })();
+`;
+
+/**
+ * Styles for git information: last edited line, file view tabs, history and blame tables
+ * @type {string}
+ */
+const GIT_STYLES = `
+  .last-edited {
+    margin: 0.5rem 0 0;
+    color: var(--text-light);
+    font-size: 0.9rem;
+  }
+  .file-tabs {
+    display: flex;
+    gap: 0.25rem;
+    margin-top: 0.75rem;
+    border-bottom: 1px solid var(--border);
+  }
+  .file-tabs a {
+    padding: 0.25rem 0.75rem;
+    border: 1px solid transparent;
+    border-bottom: none;
+    border-radius: 4px 4px 0 0;
+    text-decoration: none;
+  }
+  .file-tabs a[aria-current="page"] {
+    border-color: var(--border);
+    background: var(--bg);
+    color: var(--text);
+    font-weight: bold;
+  }
+  .commit-hash {
+    font-family: monospace;
+  }
+  .blame {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 0.85rem;
+  }
+  .blame td {
+    padding: 0 0.5rem;
+    border: none;
+    vertical-align: top;
+  }
+  .blame tr.blame-start td {
+    border-top: 1px solid var(--border);
+  }
+  .blame .blame-commit {
+    width: 16rem;
+    max-width: 16rem;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    color: var(--text-light);
+  }
+  .blame .blame-line {
+    text-align: right;
+    color: var(--text-light);
+    user-select: none;
+  }
+  .blame .blame-code {
+    white-space: pre;
+    font-family: monospace;
+  }
+  .last-commit {
+    color: var(--text-light);
+    font-size: 0.9rem;
+  }
+`;
+
+/**
+ * Styles for diffs: side-by-side and unified line tables, rendered markdown blocks and
+ * the changed files list
+ * @type {string}
+ */
+const DIFF_STYLES = `
+  .diff-summary code { font-size: 0.9rem; }
+  .diff-modes {
+    display: flex;
+    gap: 1rem;
+    margin-bottom: 1rem;
+  }
+  .diff-modes a[aria-current="page"] {
+    color: var(--text);
+    font-weight: bold;
+    text-decoration: none;
+  }
+  .diff {
+    width: 100%;
+    border-collapse: collapse;
+    table-layout: fixed;
+    font-size: 0.85rem;
+  }
+  .diff td {
+    padding: 0 0.5rem;
+    border: none;
+    vertical-align: top;
+  }
+  .diff .diff-number-col { width: 3.5rem; }
+  .diff .diff-number {
+    text-align: right;
+    color: var(--text-light);
+    user-select: none;
+  }
+  .diff .diff-code {
+    white-space: pre-wrap;
+    word-break: break-all;
+    font-family: monospace;
+  }
+  .diff .diff-hunk td {
+    background: var(--accent-bg);
+    color: var(--text-light);
+    font-family: monospace;
+  }
+  .diff .diff-removed { background: rgba(248, 81, 73, 0.15); }
+  .diff .diff-added { background: rgba(46, 160, 67, 0.15); }
+  .diff .diff-empty { background: var(--accent-bg); }
+  .diff-block {
+    border-left: 4px solid transparent;
+    padding-left: 1rem;
+  }
+  .diff-block.diff-removed {
+    border-color: rgb(248, 81, 73);
+    background: rgba(248, 81, 73, 0.1);
+  }
+  .diff-block.diff-added {
+    border-color: rgb(46, 160, 67);
+    background: rgba(46, 160, 67, 0.1);
+  }
+  .diff-block.diff-changed { border-color: rgb(210, 153, 34); }
+  del.diff-word { background: rgba(248, 81, 73, 0.3); }
+  ins.diff-word {
+    background: rgba(46, 160, 67, 0.3);
+    text-decoration: none;
+  }
+  .change-status {
+    display: inline-block;
+    min-width: 5rem;
+    font-size: 0.85rem;
+  }
+  .change-status.added { color: rgb(46, 160, 67); }
+  .change-status.deleted { color: rgb(248, 81, 73); }
+  .change-status.modified { color: rgb(210, 153, 34); }
+`;
+
+/**
+ * Renders a commit's author date relative to now, with the exact date as a tooltip
+ * @param {Date} date - Commit date
+ * @returns {string} <time> element
+ */
+function renderCommitTime(date) {
+  return `<time datetime="${date.toISOString()}" title="${escapeHtml(date.toLocaleString())}">${formatRelativeTime(date)}</time>`;
+}
+
+/**
+ * Renders the "Last edited by ..." line and the Content / History / Blame tabs of a file page
+ * @param {string} filePath - Path to the file relative to root
+ * @param {{lastCommit: Object|null, canBlame: boolean}|null} git - Git information for the file, or null outside a git repository
+ * @param {string} [view='content'] - Current view: content, history, blame or diff
+ * @param {string} [basePath=''] - Path the server is mounted under
+ * @returns {string} Git header HTML, or an empty string without git information
+ */
+function renderGitHeader(filePath, git, view = 'content', basePath = '') {
+  if (!git) {
+    return '';
+  }
+
+  const { lastCommit, canBlame } = git;
+  const lastEdited = lastCommit
+    ? `<p class="last-edited">Last edited by <strong>${escapeHtml(lastCommit.author)}</strong>, ${renderCommitTime(lastCommit.date)}
+        &middot; <span title="${escapeHtml(lastCommit.hash)}">${escapeHtml(lastCommit.subject)}</span></p>`
+    : '<p class="last-edited">Not committed yet</p>';
+
+  const fileUrl = basePath + encodeUrlPath(filePath);
+  const views = [['content', 'Content', fileUrl], ['history', 'History', `${fileUrl}?view=history`]];
+  if (canBlame) {
+    views.push(['blame', 'Blame', `${fileUrl}?view=blame`]);
+  }
+  views.push(['diff', 'Changes', `${basePath}/_diff${encodeUrlPath(filePath)}`]);
+  const tabs = views
+    .map(([name, label, href]) => `<a href="${href}"${name === view ? ' aria-current="page"' : ''}>${label}</a>`)
+    .join('');
+
+  return `
+    ${lastEdited}
+    <nav class="file-tabs">${tabs}</nav>
+  `;
+}
+
+/**
+ * Sandbox flags for the frame showing HTML files. Without allow-same-origin, their scripts
+ * cannot reach this site's cookies, storage or pages.
+ * @type {string}
+ */
+const HTML_PREVIEW_SANDBOX = 'allow-scripts allow-popups allow-forms';
+
+/**
+ * Renders a nested table of contents from a document's headings.
+ * Skipped levels (e.g. an h4 directly under an h2) are nested only one level deeper.
+ * @param {Array<{level: number, text: string, id: string}>} headings - Headings in document order
+ * @returns {string} Table of contents HTML, or an empty string for fewer than two headings
+ */
+function renderTableOfContents(headings) {
+  if (headings.length < 2) {
+    return '';
+  }
+
+  const minLevel = Math.min(...headings.map(heading => heading.level));
+  let html = '';
+  let depth = 0;
+
+  for (const heading of headings) {
+    const level = Math.min(heading.level - minLevel + 1, depth + 1);
+    if (level > depth) {
+      html += '<ul>';
+      depth = level;
+    } else {
+      html += '</li>';
+      while (depth > level) {
+        html += '</ul></li>';
+        depth--;
+      }
+    }
+    html += `<li><a href="#${heading.id}" data-target="${heading.id}">${escapeHtml(heading.text)}</a>`;
+  }
+
+  while (depth > 0) {
+    html += '</li></ul>';
+    depth--;
+  }
+
+  return `
+    <aside class="toc">
+      <details open>
+        <summary>Contents</summary>
+        <nav>${html}</nav>
+      </details>
+    </aside>
+  `;
+}
+
+/**
+ * Formats a front matter value for display
+ * @param {*} value - Parsed YAML value
+ * @returns {string} HTML for the value
+ */
+function formatFrontMatterValue(value) {
+  if (value instanceof Date) {
+    return escapeHtml(value.toLocaleDateString(undefined, { timeZone: 'UTC' }));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => `<span class="tag">${escapeHtml(typeof item === 'object' ? JSON.stringify(item) : String(item))}</span>`).join(' ');
+  }
+  if (value && typeof value === 'object') {
+    return `<code>${escapeHtml(JSON.stringify(value))}</code>`;
+  }
+  return escapeHtml(String(value));
+}
+
+/**
+ * Renders front matter fields (other than the title) as a metadata panel
+ * @param {Object} frontMatter - Parsed front matter
+ * @returns {string} Metadata panel HTML, or an empty string when there is nothing to show
+ */
+function renderFrontMatterPanel(frontMatter) {
+  const fields = Object.entries(frontMatter).filter(([key, value]) => key !== 'title' && value !== null && value !== undefined);
+  if (fields.length === 0) {
+    return '';
+  }
+
+  const rows = fields.map(([key, value]) => `
+    <dt>${escapeHtml(key)}</dt>
+    <dd>${formatFrontMatterValue(value)}</dd>
+  `).join('');
+
+  return `
+    <dl class="front-matter">
+      ${rows}
+    </dl>
+  `;
+}
+
+/**
+ * Renders the nonce attribute that lets a script run under the Content-Security-Policy
+ * @param {string|null} nonce - Nonce of the current response, or null for static pages
+ * @returns {string} Attribute with a leading space, or an empty string
+ */
+function nonceAttribute(nonce) {
+  return nonce ? ` nonce="${escapeHtml(nonce)}"` : '';
+}
+
+/**
+ * Renders the <head> tags loading the highlight.js themes and mermaid
+ * @param {string} [basePath=''] - Path the server is mounted under
+ * @param {string|null} [nonce=null] - Script nonce of the current response
+ * @returns {string} Link and script tags
+ */
+function renderContentHead(basePath = '', nonce = null) {
+  return `
+    <link rel="stylesheet" href="${assetUrl('hljs/default.min.css', basePath)}" id="hljs-light">
+    <link rel="stylesheet" href="${assetUrl('hljs/github-dark.min.css', basePath)}" id="hljs-dark" disabled>
+    <script src="${assetUrl('mermaid.min.js', basePath)}"${nonceAttribute(nonce)}></script>
+  `;
+}
+
+/**
+ * Renders the search box shown in page headers
+ * @param {string} [query=''] - Current query, pre-filled into the input
+ * @param {string} [basePath=''] - Path the server is mounted under
+ * @returns {string} Search form HTML
+ */
+function renderSearchForm(query = '', basePath = '') {
+  return `
+    <form class="search-form" action="${basePath}/_search" method="get" role="search">
+      <input type="search" name="q" value="${escapeHtml(query)}" placeholder="Search docs…" aria-label="Search docs">
+      <button type="submit">Search</button>
+    </form>
+  `;
+}
+
+/**
+ * Renders the "View raw" and "Download" links shown on file pages
+ * @param {string} filePath - Path to the file relative to root
+ * @param {string} [basePath=''] - Path the server is mounted under
+ * @returns {string} File actions HTML
+ */
+function renderFileActions(filePath, basePath = '') {
+  return `
+    <div class="file-actions">
+      <a href="${basePath}/_raw${encodeUrlPath(filePath)}">View raw</a>
+      <a href="${basePath}/_raw${encodeUrlPath(filePath)}?download=1" download>Download</a>
+    </div>
+  `;
+}
+
+/**
+ * Builds the query string of a directory page, leaving out the defaults
+ * @param {Object} params - Page state
+ * @param {boolean} params.showListing - Show the raw listing instead of the index file
+ * @param {{key: string, order: string}} params.sort - Listing order
+ * @returns {string} Query string with its leading `?`, or an empty string
+ */
+function listingQuery({ showListing, sort }) {
+  const params = new URLSearchParams();
+  if (showListing) {
+    params.set('listing', '1');
+  }
+  if (sort.key !== DEFAULT_LISTING_SORT.key || sort.order !== DEFAULT_LISTING_SORT.order) {
+    params.set('sort', sort.key);
+    params.set('order', sort.order);
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Renders a listing column header. On the server it links to the listing sorted by the column,
+ * reversing the order when the column is already the sorted one.
+ * @param {string} label - Column name
+ * @param {string} key - Sort key of the column, one of LISTING_SORTS
+ * @param {Object} listing - Listing state
+ * @param {{key: string, order: string}} listing.sort - Current listing order
+ * @param {boolean} listing.showListing - Show the raw listing instead of the index file
+ * @param {string|null} listing.pageUrl - URL of the directory page, or null in static builds
+ * @returns {string} HTML header cell
+ */
+function renderSortHeader(label, key, { sort, showListing, pageUrl }) {
+  const isSorted = sort.key === key;
+  const ariaSort = isSorted ? ` aria-sort="${sort.order === 'asc' ? 'ascending' : 'descending'}"` : '';
+  if (!pageUrl) {
+    return `<th${ariaSort}>${label}</th>`;
+  }
+
+  const order = isSorted ? (sort.order === 'asc' ? 'desc' : 'asc') : LISTING_SORTS[key];
+  const href = pageUrl + listingQuery({ showListing, sort: { key, order } });
+  const arrow = isSorted ? (sort.order === 'asc' ? ' ▲' : ' ▼') : '';
+  return `<th${ariaSort}><a class="sort-link" href="${escapeHtml(href)}">${label}${arrow}</a></th>`;
+}
 
 /**
  * Generates HTML for directory listing with breadcrumbs and file table
@@ -13,123 +1453,584 @@ const { getFileIcon, formatFileSize } = require('./fileUtils');
  * @param {Array<Object>} files - Array of file information objects
  * @param {string} currentPath - Current path relative to root
  * @param {string} rootDir - Root directory path
+ * @param {Object} [options={}] - Rendering options
+ * @param {{name: string, html: string}|null} [options.readme=null] - Rendered index file (index.md, README.md) shown as the landing content
+ * @param {boolean} [options.showListing=false] - Show only the file table, even when there is a readme
+ * @param {boolean} [options.isStatic=false] - Leave out features that need the server (search, live reload)
+ * @param {string} [options.theme='light'] - Theme used until the visitor picks one with the toggle
+ * @param {string} [options.basePath=''] - Path the server is mounted under, prefixed to every link
+ * @param {string|null} [options.nonce=null] - Script nonce of the current response
+ * @param {Map<string, Object>|null} [options.commits=null] - Last commit of each entry by name, shown in a
+ *   "Last commit" column; null outside a git repository
+ * @param {{key: string, order: string}} [options.sort=DEFAULT_LISTING_SORT] - Order the entries are in,
+ *   marked on the column headers
  * @returns {string} Complete HTML document for directory listing
  */
-function generateDirectoryHTML(dirPath, files, currentPath, rootDir) {
+function generateDirectoryHTML(dirPath, files, currentPath, rootDir, options = {}) {
+  const {
+    readme = null,
+    showListing = false,
+    isStatic = false,
+    theme = 'light',
+    basePath = '',
+    nonce = null,
+    commits = null,
+    sort = DEFAULT_LISTING_SORT
+  } = options;
+  const showReadme = Boolean(readme) && !showListing;
+  const pageUrl = `${basePath}${encodeUrlPath(currentPath || '/')}`;
+  const isSorted = sort.key !== DEFAULT_LISTING_SORT.key || sort.order !== DEFAULT_LISTING_SORT.order;
+  const listing = { sort, showListing, pageUrl: isStatic ? null : pageUrl };
   const relativePath = path.relative(rootDir, dirPath);
   const breadcrumbs = relativePath ? relativePath.split(path.sep) : [];
   
-  let breadcrumbHTML = `<a href="/">📁 Root</a>`;
-  let buildPath = '';
+  let breadcrumbHTML = `<a href="${basePath}/">📁 Root</a>`;
+  let buildPath = basePath;
   for (const crumb of breadcrumbs) {
-    buildPath += '/' + crumb;
-    breadcrumbHTML += ` / <a href="${buildPath}">${crumb}</a>`;
+    buildPath += '/' + encodeURIComponent(crumb);
+    breadcrumbHTML += ` / <a href="${buildPath}">${escapeHtml(crumb)}</a>`;
   }
 
   const fileRows = files.map(file => {
-    const filePath = currentPath ? `${currentPath}/${file.name}` : file.name;
-    const icon = file.isDirectory ? '📁' : getFileIcon(file.extension);
+    const filePath = basePath + encodeUrlPath(`${currentPath}/${file.name}`);
     const size = file.isDirectory ? '-' : formatFileSize(file.size);
     const modified = file.modified.toLocaleDateString();
+    const commit = commits && commits.get(file.name);
+    const commitCell = commits
+      ? `<td class="last-commit">${commit ? `<span title="${escapeHtml(`${commit.shortHash} by ${commit.author}`)}">${escapeHtml(commit.subject)}</span>, ${renderCommitTime(commit.date)}` : ''}</td>`
+      : '';
     
     return `
-      <tr>
-        <td><a href="${filePath}">${icon} ${file.name}</a></td>
+      <tr data-name="${escapeHtml(file.name.toLowerCase())}"${file.name.startsWith('.') ? ' class="hidden-entry"' : ''}>
+        <td><a href="${filePath}">${file.icon} ${escapeHtml(file.name)}</a></td>
         <td>${size}</td>
         <td>${modified}</td>
         <td>${file.type}</td>
+        ${commitCell}
       </tr>
     `;
   }).join('');
 
+  const hasHiddenFiles = files.some(file => file.name.startsWith('.'));
+  const listingTools = `
+    <div class="listing-tools" hidden>
+      <input type="search" class="listing-filter" placeholder="Filter this directory" aria-label="Filter files in this directory">
+      ${hasHiddenFiles ? '<label class="hidden-toggle"><input type="checkbox" checked> Show hidden files</label>' : ''}
+      <span class="filter-count" aria-live="polite"></span>
+    </div>
+  `;
+
+  const fileTable = `
+    ${files.length > 0 ? listingTools : ''}
+    <table class="file-table">
+      <thead>
+        <tr>
+          ${renderSortHeader('Name', 'name', listing)}
+          ${renderSortHeader('Size', 'size', listing)}
+          ${renderSortHeader('Modified', 'modified', listing)}
+          ${renderSortHeader('Type', 'type', listing)}
+          ${commits ? '<th>Last commit</th>' : ''}
+        </tr>
+      </thead>
+      <tbody>
+        ${fileRows}
+        <tr class="no-matches" hidden><td colspan="${commits ? 5 : 4}">No matching files</td></tr>
+      </tbody>
+    </table>
+  `;
+
+  let listingToggle = '';
+  if (readme && !isStatic) {
+    listingToggle = showListing
+      ? `<a class="listing-toggle" href="${escapeHtml(pageUrl + listingQuery({ showListing: false, sort }))}">📝 Show ${escapeHtml(readme.name)}</a>`
+      : `<a class="listing-toggle" href="${escapeHtml(pageUrl + listingQuery({ showListing: true, sort }))}">📁 Show raw listing</a>`;
+  }
+
+  const content = showReadme ? `
+    <article class="readme">
+      ${readme.html}
+    </article>
+    
+    <details class="directory-listing"${isSorted ? ' open' : ''}>
+      <summary>📁 ${files.length} ${files.length === 1 ? 'item' : 'items'} in this directory</summary>
+      ${fileTable}
+    </details>
+  ` : `
+    <section>
+      ${fileTable}
+    </section>
+  `;
+
+  return `
+    <!DOCTYPE html>
+    <html data-theme="${theme}">
+    <head>
+      <title>Directory: ${escapeHtml(relativePath || 'Root')}</title>
+      ${showReadme && (basePath || currentPath) ? `<base href="${basePath}${encodeUrlPath(currentPath)}/">` : ''}
+      <link rel="stylesheet" href="${assetUrl('simple.min.css', basePath)}">
+      ${showReadme ? renderContentHead(basePath, nonce) : ''}
+      <style>
+        ${BASE_STYLES}
+
+        .breadcrumb { 
+          background: var(--accent-bg); 
+          padding: 1rem; 
+          border-radius: 4px; 
+          margin-bottom: 1rem; 
+        }
+        .file-icon { margin-right: 0.5rem; }
+        .back-button { margin-bottom: 1rem; }
+        .back-button a { 
+          background: var(--accent); 
+          color: var(--accent-text); 
+          padding: 0.5rem 1rem; 
+          border-radius: 4px; 
+          text-decoration: none; 
+        }
+        .back-button a:hover { background: var(--accent-hover); }
+        table { margin-top: 1rem; }
+        .directory-title { 
+          display: flex; 
+          align-items: center; 
+          gap: 0.5rem; 
+          margin-bottom: 1rem; 
+        }
+        .listing-toggle { 
+          margin-left: auto; 
+          font-size: 0.9rem; 
+        }
+        .changes-link { font-size: 0.9rem; }
+        .listing-toggle + .changes-link { margin-left: 1rem; }
+        h1 + .changes-link { margin-left: auto; }
+        ${LISTING_STYLES}
+        .readme { 
+          border-bottom: 1px solid var(--border); 
+          margin-bottom: 1rem; 
+        }
+        .directory-listing summary { cursor: pointer; }
+        ${commits ? GIT_STYLES : ''}
+
+        ${showReadme ? CONTENT_STYLES : ''}
+      </style>
+    </head>
+    <body>
+      <button class="theme-toggle" type="button">🌙</button>
+      
+      <main>
+        <nav class="breadcrumb">
+          ${breadcrumbHTML}
+          ${isStatic ? '' : renderSearchForm('', basePath)}
+        </nav>
+        
+        ${currentPath ? `<div class="back-button"><a href="${basePath}${encodeUrlPath(path.dirname(currentPath) || '/')}">&larr; Back</a></div>` : ''}
+        
+        <header class="directory-title">
+          <h1>📁 ${escapeHtml(relativePath || 'Root Directory')}</h1>
+          ${listingToggle}
+          ${commits && !isStatic ? `<a class="changes-link" href="${basePath}/_changes">🔀 Changed files</a>` : ''}
+        </header>
+        
+        <div class="directory-layout${isStatic ? '' : ' has-tree'}">
+          ${isStatic ? '' : `
+            <aside class="tree-panel" data-base-path="${escapeHtml(basePath)}" data-current="${escapeHtml(currentPath)}">
+              <details open>
+                <summary>🌲 Files</summary>
+                <nav aria-label="Directory tree"><ul class="tree" role="tree"></ul></nav>
+              </details>
+            </aside>
+          `}
+          <div class="directory-content">
+            ${content}
+          </div>
+        </div>
+      </main>
+      
+      <script${nonceAttribute(nonce)}>
+        ${showReadme ? CONTENT_SCRIPT : THEME_SCRIPT}
+        ${LISTING_SCRIPT}
+        ${isStatic ? '' : TREE_SCRIPT}
+        ${isStatic ? '' : renderLiveReloadScript(basePath)}
+      </script>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Renders the content of a text file: markdown to HTML, mermaid sources to a diagram
+ * container and code to highlighted HTML
+ * @param {string} content - File content
+ * @param {Object} [options={}] - How to render the content
+ * @param {boolean} [options.isMarkdown=false] - Render as markdown
+ * @param {string|null} [options.language=null] - Language for syntax highlighting
+ * @param {boolean} [options.isMermaid=false] - Render as a mermaid diagram
+ * @returns {{html: string, headings: Array<{level: number, text: string, id: string}>, frontMatter: Object}}
+ *   Rendered HTML, plus the heading outline and front matter of markdown files
+ */
+function renderFileContent(content, { isMarkdown = false, language = null, isMermaid = false } = {}) {
+  if (isMermaid) {
+    return {
+      html:        `<div class="mermaid-diagram" data-diagram="${escapeHtml(content)}">${escapeHtml(content)}</div>`,
+      headings:    [],
+      frontMatter: {}
+    };
+  }
+
+  if (isMarkdown) {
+    const { data: frontMatter, body } = parseFrontMatter(content);
+    const { html, headings } = renderMarkdown(body);
+    return { html, headings, frontMatter };
+  }
+
+  if (language) {
+    try {
+      const highlighted = hljs.highlight(content, { language });
+      return { html: `<pre><code class="hljs ${language}">${highlighted.value}</code></pre>`, headings: [], frontMatter: {} };
+    } catch (e) {
+      // Unknown language - fall through to plain text
+    }
+  }
+
+  return { html: `<pre><code>${escapeHtml(content)}</code></pre>`, headings: [], frontMatter: {} };
+}
+
+/**
+ * Renders code as numbered lines, each with an `L<number>` anchor. Files with more than
+ * VIRTUAL_LINE_THRESHOLD lines are sent as data and rendered a screenful at a time by LINE_VIEW_SCRIPT.
+ * @param {string} content - Text to show
+ * @param {string|null} language - highlight.js language, or null for plain text
+ * @param {Object} lineView - Line view options
+ * @param {boolean} lineView.highlight - Highlight the code; large files are shown as plain text
+ * @param {number} lineView.firstLine - Line number of the first line of content
+ * @returns {string} Line view HTML
+ */
+function renderLineView(content, language, { highlight, firstLine }) {
+  let html = escapeHtml(content);
+  if (highlight && language && hljs.getLanguage(language)) {
+    try {
+      html = hljs.highlight(content, { language }).value;
+    } catch (error) {
+      // Keep the plain text
+    }
+  }
+  const lines = splitHtmlLines(html);
+
+  if (lines.length > VIRTUAL_LINE_THRESHOLD) {
+    // JSON is not parsed as HTML, but "</script>" inside it would still end the element
+    const data = JSON.stringify(lines).replace(/</g, '\\u003c');
+    return `
+      <div class="line-view line-view-virtual hljs" data-first-line="${firstLine}" tabindex="0">
+        <div class="line-view-spacer"><div class="line-view-rows"></div></div>
+      </div>
+      <script type="application/json" id="line-view-data">${data}</script>
+    `;
+  }
+
+  const rows = lines.map((line, index) => {
+    const number = firstLine + index;
+    return `<div class="line" id="L${number}"><a class="line-number" href="#L${number}" data-line="${number}"></a><span class="line-code">${line}</span></div>`;
+  });
+  return `<div class="line-view hljs" tabindex="0">${rows.join('')}</div>`;
+}
+
+/**
+ * Renders the pager shown above and below a page of a large file: which lines and bytes are
+ * shown, with links to the previous and next pages (or, in a static site, to the full file)
+ * @param {string} filePath - Path to the file relative to root
+ * @param {{start: number, end: number, size: number, firstLine: number, lineCount: number, previous: number|null}} range -
+ *   Byte range shown, the file size, the shown lines and the offset of the previous page
+ * @param {string} [basePath=''] - Path the server is mounted under
+ * @param {boolean} [isStatic=false] - Link to the full file instead of other pages
+ * @returns {string} Pager HTML
+ */
+function renderFilePager(filePath, range, basePath = '', isStatic = false) {
+  const { start, end, size, firstLine, lineCount, previous } = range;
+  const pageUrl = (offset) => `${basePath}${encodeUrlPath(filePath)}${offset > 0 ? `?offset=${offset}` : ''}`;
+  const lastLine = firstLine + Math.max(lineCount, 1) - 1;
+  const links = isStatic
+    ? [`<a href="${basePath}/_raw${encodeUrlPath(filePath)}?download=1" download>⬇️ Download the full file</a>`]
+    : [
+      start > 0 ? `<a href="${pageUrl(0)}">⏮ Start</a>` : '',
+      previous !== null ? `<a href="${pageUrl(previous)}">← Previous</a>` : '',
+      end < size ? `<a href="${pageUrl(end)}">Load more →</a>` : ''
+    ];
+
+  return `
+    <nav class="file-pager" aria-label="File pages">
+      <span class="pager-summary">
+        Lines ${firstLine.toLocaleString()}–${lastLine.toLocaleString()},
+        ${formatFileSize(end - start)} of ${formatFileSize(size)} shown
+      </span>
+      ${links.join('\n')}
+    </nav>
+  `;
+}
+
+/**
+ * Generates HTML for individual file content with syntax highlighting and dark mode
+ * @param {string} fileName - Name of the file being displayed
+ * @param {string} content - File content to display
+ * @param {string} filePath - Path to the file (for back navigation)
+ * @param {boolean} [isMarkdown=false] - Whether to render as markdown
+ * @param {string|null} [language=null] - Language for syntax highlighting
+ * @param {boolean} [isHtml=false] - Whether the file is HTML, shown in a sandboxed frame
+ * @param {boolean} [isMermaid=false] - Whether to render as mermaid diagram
+ * @param {Object} [options={}] - Rendering options
+ * @param {boolean} [options.isStatic=false] - Leave out features that need the server (search, live reload)
+ * @param {string} [options.theme='light'] - Theme used until the visitor picks one with the toggle
+ * @param {string} [options.basePath=''] - Path the server is mounted under, prefixed to every link
+ * @param {string|null} [options.nonce=null] - Script nonce of the current response
+ * @param {{lastCommit: Object|null, canBlame: boolean}|null} [options.git=null] - Git information shown in the header, null outside a git repository
+ * @param {{highlight: boolean, firstLine: number, range: Object|null}|null} [options.lineView=null] - Show the content
+ *   as numbered lines, for large and long files; range is the part of the file shown (see renderFilePager), or null for all of it
+ * @param {{html: string, title: string|null, headings: Array<Object>, frontMatter: Object, styles: string}|null} [options.rendered=null] -
+ *   Document rendered by a renderer plugin (see renderers.renderDocument), shown instead of the content
+ * @returns {string} Complete HTML document for file display
+ */
+function generateFileHTML(fileName, content, filePath, isMarkdown = false, language = null, isHtml = false, isMermaid = false, options = {}) {
+  const { isStatic = false, theme = 'light', basePath = '', nonce = null, git = null, lineView = null, rendered = null } = options;
+  const backPath = basePath + encodeUrlPath(path.dirname(filePath) || '/');
+  
+  let tableOfContents = '';
+  let pageTitle = escapeHtml(fileName);
+  let metadataPanel = '';
+  let processedContent;
+
+  if (lineView) {
+    const pager = lineView.range ? renderFilePager(filePath, lineView.range, basePath, isStatic) : '';
+    processedContent = `${pager}${renderLineView(content, language, lineView)}${pager}`;
+  } else if (rendered) {
+    processedContent = rendered.html;
+    if (rendered.title) {
+      pageTitle = escapeHtml(rendered.title);
+    }
+    metadataPanel = renderFrontMatterPanel(rendered.frontMatter);
+    tableOfContents = renderTableOfContents(rendered.headings);
+  } else if (isHtml) {
+    // HTML files run in a sandboxed frame: their scripts get a unique origin, away from this site's pages and storage
+    processedContent = `
+      <iframe class="html-preview" src="${basePath}/_raw${encodeUrlPath(filePath)}" title="${pageTitle}"
+        sandbox="${HTML_PREVIEW_SANDBOX}" referrerpolicy="no-referrer"></iframe>
+    `;
+  } else {
+    const { html, headings, frontMatter } = renderFileContent(content, { isMarkdown, language, isMermaid });
+    processedContent = html;
+    if (isMarkdown) {
+      if (typeof frontMatter.title === 'string' && frontMatter.title.trim()) {
+        pageTitle = escapeHtml(frontMatter.title);
+      }
+      metadataPanel = renderFrontMatterPanel(frontMatter);
+      tableOfContents = renderTableOfContents(headings);
+    }
+  }
+  return `
+    <!DOCTYPE html>
+    <html data-theme="${theme}">
+    <head>
+      <title>${pageTitle}</title>
+      <link rel="stylesheet" href="${assetUrl('simple.min.css', basePath)}">
+      ${renderContentHead(basePath, nonce)}
+      <style>
+        ${BASE_STYLES}
+
+        .file-header { 
+          background: var(--accent-bg); 
+          padding: 1rem; 
+          border-radius: 4px; 
+          margin-bottom: 1rem; 
+        }
+        .back-button { margin-bottom: 1rem; }
+        .back-button a { 
+          background: var(--accent); 
+          color: var(--accent-text); 
+          padding: 0.5rem 1rem; 
+          border-radius: 4px; 
+          text-decoration: none; 
+        }
+        .back-button a:hover { background: var(--accent-hover); }
+        .file-title { 
+          margin: 0; 
+          display: flex; 
+          align-items: center; 
+          gap: 0.5rem; 
+        }
+        .html-preview {
+          width: 100%;
+          height: 80vh;
+          border: 1px solid var(--border);
+          border-radius: 4px;
+          background: #fff;
+        }
+
+        ${CONTENT_STYLES}
+        ${git ? GIT_STYLES : ''}
+        ${tableOfContents ? TOC_STYLES : ''}
+        ${lineView ? LINE_VIEW_STYLES : ''}
+        ${isHtml ? '' : CODE_TOOLS_STYLES}
+        ${rendered ? rendered.styles.replace(/<\//g, '<\\/') : ''}
+      </style>
+    </head>
+    <body>
+      <button class="theme-toggle" type="button">🌙</button>
+      
+      <main>
+        <header class="file-header">
+          <div class="back-button"><a href="${backPath}">&larr; Back</a></div>
+          <h1 class="file-title">📄 ${pageTitle}</h1>
+          ${metadataPanel}
+          ${renderFileActions(filePath, basePath)}
+          ${isStatic ? '' : renderSearchForm('', basePath)}
+          ${renderGitHeader(filePath, git, 'content', basePath)}
+        </header>
+        
+        <div class="content-layout${tableOfContents ? ' has-toc' : ''}">
+          <article>
+            ${processedContent}
+          </article>
+          ${tableOfContents}
+        </div>
+      </main>
+      
+      <script${nonceAttribute(nonce)}>
+        ${CONTENT_SCRIPT}
+        ${tableOfContents ? TOC_SCRIPT : ''}
+        ${lineView ? LINE_VIEW_SCRIPT : ''}
+        ${isHtml ? '' : CODE_TOOLS_SCRIPT}
+        
+        ${isStatic ? '' : renderLiveReloadScript(basePath)}
+      </script>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Generates HTML for displaying images with navigation and dark mode support
+ * @param {string} fileName - Name of the image file being displayed
+ * @param {string} filePath - Path to the image file (for back navigation and src)
+ * @param {Object} [options={}] - Rendering options
+ * @param {boolean} [options.isStatic=false] - Leave out features that need the server (search, live reload)
+ * @param {string} [options.theme='light'] - Theme used until the visitor picks one with the toggle
+ * @param {string} [options.basePath=''] - Path the server is mounted under, prefixed to every link
+ * @param {string|null} [options.nonce=null] - Script nonce of the current response
+ * @param {{lastCommit: Object|null, canBlame: boolean}|null} [options.git=null] - Git information shown in the header, null outside a git repository
+ * @returns {string} Complete HTML document for image display
+ */
+function generateImageHTML(fileName, filePath, options = {}) {
+  const { isStatic = false, theme = 'light', basePath = '', nonce = null, git = null } = options;
+  const backPath = basePath + encodeUrlPath(path.dirname(filePath) || '/');
+  const title = escapeHtml(fileName);
+  
+  return `
+    <!DOCTYPE html>
+    <html data-theme="${theme}">
+    <head>
+      <title>${title}</title>
+      <link rel="stylesheet" href="${assetUrl('simple.min.css', basePath)}">
+      <style>
+        ${BASE_STYLES}
+
+        .image-header { 
+          background: var(--accent-bg); 
+          padding: 1rem; 
+          border-radius: 4px; 
+          margin-bottom: 1rem; 
+        }
+        .back-button { margin-bottom: 1rem; }
+        .back-button a { 
+          background: var(--accent); 
+          color: var(--accent-text); 
+          padding: 0.5rem 1rem; 
+          border-radius: 4px; 
+          text-decoration: none; 
+        }
+        .back-button a:hover { background: var(--accent-hover); }
+        .image-title { 
+          margin: 0; 
+          display: flex; 
+          align-items: center; 
+          gap: 0.5rem; 
+        }
+        .image-container {
+          text-align: center;
+          background: var(--accent-bg);
+          border: 1px solid var(--border);
+          border-radius: 4px;
+          padding: 1rem;
+          margin: 1rem 0;
+        }
+        .image-container img {
+          max-width: 100%;
+          height: auto;
+          border-radius: 4px;
+          box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+        }
+        [data-theme="dark"] .image-container img {
+          box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+        }
+        ${git ? GIT_STYLES : ''}
+      </style>
+    </head>
+    <body>
+      <button class="theme-toggle" type="button">🌙</button>
+      
+      <main>
+        <header class="image-header">
+          <div class="back-button"><a href="${backPath}">&larr; Back</a></div>
+          <h1 class="image-title">🖼️ ${title}</h1>
+          ${renderFileActions(filePath, basePath)}
+          ${isStatic ? '' : renderSearchForm('', basePath)}
+          ${renderGitHeader(filePath, git, 'content', basePath)}
+        </header>
+        
+        <div class="image-container">
+          <img src="${basePath}/_raw${encodeUrlPath(filePath)}" alt="${title}" />
+        </div>
+      </main>
+      
+      <script${nonceAttribute(nonce)}>
+        ${THEME_SCRIPT}
+        ${isStatic ? '' : renderLiveReloadScript(basePath)}
+      </script>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Generates HTML for binary files: a metadata card with a download link instead of decoded content
+ * @param {string} fileName - Name of the file being displayed
+ * @param {string} filePath - Path to the file (for back navigation and download links)
+ * @param {Object} fileInfo - File information object from getFileInfo
+ * @param {string|null} mimeType - Detected MIME type, if known
+ * @param {Object} [options={}] - Rendering options
+ * @param {boolean} [options.isStatic=false] - Leave out features that need the server (search, live reload)
+ * @param {string} [options.theme='light'] - Theme used until the visitor picks one with the toggle
+ * @param {string} [options.basePath=''] - Path the server is mounted under, prefixed to every link
+ * @param {string|null} [options.nonce=null] - Script nonce of the current response
+ * @param {{lastCommit: Object|null, canBlame: boolean}|null} [options.git=null] - Git information shown in the header, null outside a git repository
+ * @returns {string} Complete HTML document for binary file display
+ */
+function generateBinaryHTML(fileName, filePath, fileInfo, mimeType, options = {}) {
+  const { isStatic = false, theme = 'light', basePath = '', nonce = null, git = null } = options;
+  const backPath = basePath + encodeUrlPath(path.dirname(filePath) || '/');
+  const title = escapeHtml(fileName);
+  
   return `
     <!DOCTYPE html>
-    <html>
+    <html data-theme="${theme}">
     <head>
-      <title>Directory: ${relativePath || 'Root'}</title>
-      <link rel="stylesheet" href="https://cdn.simplecss.org/simple.min.css">
+      <title>${title}</title>
+      <link rel="stylesheet" href="${assetUrl('simple.min.css', basePath)}">
       <style>
-        /* Dark mode override - takes precedence over Simple.css auto detection */
-        [data-theme="dark"] {
-          color-scheme: dark;
-          --bg: #212121;
-          --accent-bg: #2b2b2b;
-          --text: #dcdcdc;
-          --text-light: #ababab;
-          --border: #666;
-          --accent: #ffb300;
-          --accent-hover: #ffcc02;
-          --accent-text: var(--bg);
-          --code: #f06292;
-          --preformatted: #ccc;
-          --marked: #ffdd33;
-          --disabled: #111;
-        }
-        
-        /* Light mode override */
-        [data-theme="light"] {
-          color-scheme: light;
-          --bg: #fff;
-          --accent-bg: #f5f7ff;
-          --text: #212121;
-          --text-light: #585858;
-          --border: #898EA4;
-          --accent: #0d47a1;
-          --accent-hover: #1976d2;
-          --accent-text: var(--bg);
-          --code: #d81b60;
-          --preformatted: #444;
-          --marked: #ffdd33;
-          --disabled: #efefef;
-        }
-
-        .theme-toggle { 
-          position: fixed; 
-          top: 1rem; 
-          right: 1rem; 
-          background: var(--accent); 
-          color: var(--accent-text); 
-          border: none; 
-          padding: 0.5rem 1rem; 
-          border-radius: 4px; 
-          cursor: pointer; 
-          font-size: 1.2rem; 
-          z-index: 1000;
-          transition: all 0.3s ease;
-        }
-        .theme-toggle:hover { 
-          background: var(--accent-hover); 
-          transform: scale(1.05);
-        }
-        /* Override Simple.css grid layout for wider content */
-        body {
-          display: block !important;
-          grid-template-columns: none !important;
-          max-width: 1200px !important;
-          margin: 0 auto !important;
-          padding: 1rem !important;
-        }
-        
-        main {
-          display: block !important;
-          grid-column: none !important;
-          max-width: none !important;
-          width: 100% !important;
-        }
-        
-        @media (max-width: 1240px) {
-          body {
-            max-width: calc(100% - 2rem) !important;
-          }
-        }
+        ${BASE_STYLES}
 
-        .breadcrumb { 
+        .file-header { 
           background: var(--accent-bg); 
           padding: 1rem; 
           border-radius: 4px; 
           margin-bottom: 1rem; 
         }
-        .file-icon { margin-right: 0.5rem; }
         .back-button { margin-bottom: 1rem; }
         .back-button a { 
           background: var(--accent); 
@@ -139,67 +2040,58 @@ function generateDirectoryHTML(dirPath, files, currentPath, rootDir) {
           text-decoration: none; 
         }
         .back-button a:hover { background: var(--accent-hover); }
-        table { margin-top: 1rem; }
-        .directory-title { 
+        .file-title { 
+          margin: 0; 
           display: flex; 
           align-items: center; 
           gap: 0.5rem; 
-          margin-bottom: 1rem; 
         }
+        .binary-card {
+          background: var(--accent-bg);
+          border: 1px solid var(--border);
+          border-radius: 4px;
+          padding: 1rem;
+          margin: 1rem 0;
+        }
+        .binary-card dl {
+          display: grid;
+          grid-template-columns: max-content 1fr;
+          gap: 0.25rem 1rem;
+        }
+        .binary-card dt { font-weight: bold; }
+        .binary-card dd { margin: 0; }
+        ${git ? GIT_STYLES : ''}
       </style>
     </head>
     <body>
-      <button class="theme-toggle" onclick="toggleTheme()">🌙</button>
+      <button class="theme-toggle" type="button">🌙</button>
       
       <main>
-        <nav class="breadcrumb">
-          ${breadcrumbHTML}
-        </nav>
-        
-        ${currentPath ? `<div class="back-button"><a href="${path.dirname(currentPath) || '/'}">&larr; Back</a></div>` : ''}
-        
-        <header class="directory-title">
-          <h1>📁 ${relativePath || 'Root Directory'}</h1>
+        <header class="file-header">
+          <div class="back-button"><a href="${backPath}">&larr; Back</a></div>
+          <h1 class="file-title">${fileInfo.icon} ${title}</h1>
+          ${renderFileActions(filePath, basePath)}
+          ${isStatic ? '' : renderSearchForm('', basePath)}
+          ${renderGitHeader(filePath, git, 'content', basePath)}
         </header>
         
-        <section>
-          <table>
-            <thead>
-              <tr>
-                <th>Name</th>
-                <th>Size</th>
-                <th>Modified</th>
-                <th>Type</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${fileRows}
-            </tbody>
-          </table>
+        <section class="binary-card">
+          <p>This is a binary file and cannot be displayed as text.</p>
+          <dl>
+            <dt>Size</dt>
+            <dd>${formatFileSize(fileInfo.size)} (${fileInfo.size.toLocaleString()} bytes)</dd>
+            <dt>Type</dt>
+            <dd>${escapeHtml(mimeType || 'application/octet-stream')}</dd>
+            <dt>Modified</dt>
+            <dd>${fileInfo.modified.toLocaleString()}</dd>
+          </dl>
+          <a href="${basePath}/_raw${encodeUrlPath(filePath)}?download=1" download>⬇️ Download ${title}</a>
         </section>
       </main>
       
-      <script>
-        function toggleTheme() {
-          const html = document.documentElement;
-          const button = document.querySelector('.theme-toggle');
-          const currentTheme = html.getAttribute('data-theme');
-          
-          if (currentTheme === 'dark') {
-            html.setAttribute('data-theme', 'light');
-            button.textContent = '🌙';
-            localStorage.setItem('theme', 'light');
-          } else {
-            html.setAttribute('data-theme', 'dark');
-            button.textContent = '☀️';
-            localStorage.setItem('theme', 'dark');
-          }
-        }
-        
-        // Load saved theme - Simple.css uses data-theme on html element
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        document.documentElement.setAttribute('data-theme', savedTheme);
-        document.querySelector('.theme-toggle').textContent = savedTheme === 'dark' ? '☀️' : '🌙';
+      <script${nonceAttribute(nonce)}>
+        ${THEME_SCRIPT}
+        ${isStatic ? '' : renderLiveReloadScript(basePath)}
       </script>
     </body>
     </html>
@@ -207,264 +2099,29 @@ function generateDirectoryHTML(dirPath, files, currentPath, rootDir) {
 }
 
 /**
- * Generates HTML for individual file content with syntax highlighting and dark mode
- * @param {string} fileName - Name of the file being displayed
- * @param {string} content - File content to display
- * @param {string} filePath - Path to the file (for back navigation)
- * @param {boolean} [isMarkdown=false] - Whether to render as markdown
- * @param {string|null} [language=null] - Language for syntax highlighting
- * @param {boolean} [isHtml=false] - Whether the file is HTML (special handling)
- * @param {boolean} [isMermaid=false] - Whether to render as mermaid diagram
- * @returns {string} Complete HTML document for file display
+ * Generates the page around a file's History or Blame view
+ * @param {string} fileName - Name of the file
+ * @param {string} filePath - Path to the file relative to root
+ * @param {string} view - Current view: history, blame or diff
+ * @param {string} body - View content
+ * @param {Object} options - Page options (isStatic, theme, basePath, nonce, git)
+ * @returns {string} Complete HTML document
  */
-function generateFileHTML(fileName, content, filePath, isMarkdown = false, language = null, isHtml = false, isMermaid = false) {
-  const backPath = path.dirname(filePath) || '/';
-  
-  let processedContent = content;
-  if (isHtml) {
-    // For HTML files, inject the navigation header and dark mode support
-    processedContent = content.replace(
-      '<head>',
-      `<head>
-        <link rel="stylesheet" href="https://cdn.simplecss.org/simple.min.css">
-        <style>
-          /* Dark mode override - takes precedence over Simple.css auto detection */
-          [data-theme="dark"] {
-            color-scheme: dark;
-            --bg: #212121;
-            --accent-bg: #2b2b2b;
-            --text: #dcdcdc;
-            --text-light: #ababab;
-            --border: #666;
-            --accent: #ffb300;
-            --accent-hover: #ffcc02;
-            --accent-text: var(--bg);
-            --code: #f06292;
-            --preformatted: #ccc;
-            --marked: #ffdd33;
-            --disabled: #111;
-          }
-          
-          /* Light mode override */
-          [data-theme="light"] {
-            color-scheme: light;
-            --bg: #fff;
-            --accent-bg: #f5f7ff;
-            --text: #212121;
-            --text-light: #585858;
-            --border: #898EA4;
-            --accent: #0d47a1;
-            --accent-hover: #1976d2;
-            --accent-text: var(--bg);
-            --code: #d81b60;
-            --preformatted: #444;
-            --marked: #ffdd33;
-            --disabled: #efefef;
-          }
-
-          .theme-toggle { 
-            position: fixed; 
-            top: 1rem; 
-            right: 1rem; 
-            background: var(--accent); 
-            color: var(--accent-text); 
-            border: none; 
-            padding: 0.5rem 1rem; 
-            border-radius: 4px; 
-            cursor: pointer; 
-            font-size: 1.2rem; 
-            z-index: 1000;
-            transition: all 0.3s ease;
-          }
-          .theme-toggle:hover { 
-            background: var(--accent-hover); 
-            transform: scale(1.05);
-          }
-          /* Override Simple.css grid layout for wider content */
-          body {
-            display: block !important;
-            grid-template-columns: none !important;
-            max-width: 1200px !important;
-            margin: 0 auto !important;
-            padding: 1rem !important;
-          }
-          
-          main {
-            display: block !important;
-            grid-column: none !important;
-            max-width: none !important;
-            width: 100% !important;
-          }
-          
-          @media (max-width: 1240px) {
-            body {
-              max-width: calc(100% - 2rem) !important;
-            }
-          }
-
-          .nav-header { 
-            background: var(--accent-bg); 
-            padding: 1rem; 
-            margin-bottom: 1rem; 
-            border-radius: 4px; 
-          }
-          .nav-header a { 
-            background: var(--accent); 
-            color: var(--accent-text); 
-            padding: 0.5rem 1rem; 
-            border-radius: 4px; 
-            text-decoration: none; 
-            display: inline-block;
-            margin-bottom: 0.5rem;
-          }
-          .nav-header a:hover { background: var(--accent-hover); }
-          .nav-header h2 { 
-            margin: 0; 
-            display: flex; 
-            align-items: center; 
-            gap: 0.5rem; 
-          }
-        </style>`
-    ).replace(
-      '<body>',
-      `<body>
-        <button class="theme-toggle" onclick="toggleTheme()">🌙</button>
-        <div class="nav-header">
-          <a href="${backPath}">&larr; Back</a>
-          <h2>📄 ${fileName}</h2>
-        </div>
-        <script>
-          function toggleTheme() {
-            const html = document.documentElement;
-            const button = document.querySelector('.theme-toggle');
-            const currentTheme = html.getAttribute('data-theme');
-            
-            if (currentTheme === 'dark') {
-              html.setAttribute('data-theme', 'light');
-              button.textContent = '🌙';
-              localStorage.setItem('theme', 'light');
-            } else {
-              html.setAttribute('data-theme', 'dark');
-              button.textContent = '☀️';
-              localStorage.setItem('theme', 'dark');
-            }
-          }
-          
-          // Load saved theme - Simple.css uses data-theme on html element
-          const savedTheme = localStorage.getItem('theme') || 'light';
-          document.documentElement.setAttribute('data-theme', savedTheme);
-          document.querySelector('.theme-toggle').textContent = savedTheme === 'dark' ? '☀️' : '🌙';
-        </script>`
-    );
-    return processedContent;
-  } else if (isMermaid) {
-    processedContent = `<div class="mermaid-diagram" data-diagram="${content.replace(/"/g, '&quot;')}">${content}</div>`;
-  } else if (isMarkdown) {
-    const renderer = new marked.Renderer();
-    const originalCode = renderer.code;
-    
-    renderer.code = function(code, info) {
-      if (info === 'mermaid') {
-        return `<div class="mermaid-diagram" data-diagram="${code.replace(/"/g, '&quot;')}">${code}</div>`;
-      }
-      return originalCode.call(this, code, info);
-    };
-    
-    processedContent = marked(content, { renderer });
-  } else if (language) {
-    try {
-      const highlighted = hljs.highlight(content, { language });
-      processedContent = `<pre><code class="hljs ${language}">${highlighted.value}</code></pre>`;
-    } catch (e) {
-      processedContent = `<pre><code>${content}</code></pre>`;
-    }
-  } else {
-    processedContent = `<pre><code>${content}</code></pre>`;
-  }
+function renderGitViewPage(fileName, filePath, view, body, options) {
+  const { isStatic = false, theme = 'light', basePath = '', nonce = null, git = null } = options;
+  const backPath = basePath + encodeUrlPath(path.dirname(filePath) || '/');
+  const title = escapeHtml(fileName);
+  const viewTitle = { history: 'History', blame: 'Blame', diff: 'Changes' }[view];
 
   return `
     <!DOCTYPE html>
-    <html>
+    <html data-theme="${theme}">
     <head>
-      <title>${fileName}</title>
-      <link rel="stylesheet" href="https://cdn.simplecss.org/simple.min.css">
-      <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/default.min.css" id="hljs-light">
-      <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github-dark.min.css" id="hljs-dark" disabled>
-      <script src="https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.min.js"></script>
+      <title>${viewTitle} of ${title}</title>
+      <link rel="stylesheet" href="${assetUrl('simple.min.css', basePath)}">
+      ${renderContentHead(basePath, nonce)}
       <style>
-        /* Dark mode override - takes precedence over Simple.css auto detection */
-        [data-theme="dark"] {
-          color-scheme: dark;
-          --bg: #212121;
-          --accent-bg: #2b2b2b;
-          --text: #dcdcdc;
-          --text-light: #ababab;
-          --border: #666;
-          --accent: #ffb300;
-          --accent-hover: #ffcc02;
-          --accent-text: var(--bg);
-          --code: #f06292;
-          --preformatted: #ccc;
-          --marked: #ffdd33;
-          --disabled: #111;
-        }
-        
-        /* Light mode override */
-        [data-theme="light"] {
-          color-scheme: light;
-          --bg: #fff;
-          --accent-bg: #f5f7ff;
-          --text: #212121;
-          --text-light: #585858;
-          --border: #898EA4;
-          --accent: #0d47a1;
-          --accent-hover: #1976d2;
-          --accent-text: var(--bg);
-          --code: #d81b60;
-          --preformatted: #444;
-          --marked: #ffdd33;
-          --disabled: #efefef;
-        }
-
-        .theme-toggle { 
-          position: fixed; 
-          top: 1rem; 
-          right: 1rem; 
-          background: var(--accent); 
-          color: var(--accent-text); 
-          border: none; 
-          padding: 0.5rem 1rem; 
-          border-radius: 4px; 
-          cursor: pointer; 
-          font-size: 1.2rem; 
-          z-index: 1000;
-          transition: all 0.3s ease;
-        }
-        .theme-toggle:hover { 
-          background: var(--accent-hover); 
-          transform: scale(1.05);
-        }
-        /* Override Simple.css grid layout for wider content */
-        body {
-          display: block !important;
-          grid-template-columns: none !important;
-          max-width: 1200px !important;
-          margin: 0 auto !important;
-          padding: 1rem !important;
-        }
-        
-        main {
-          display: block !important;
-          grid-column: none !important;
-          max-width: none !important;
-          width: 100% !important;
-        }
-        
-        @media (max-width: 1240px) {
-          body {
-            max-width: calc(100% - 2rem) !important;
-          }
-        }
+        ${BASE_STYLES}
 
         .file-header { 
           background: var(--accent-bg); 
@@ -487,125 +2144,320 @@ function generateFileHTML(fileName, content, filePath, isMarkdown = false, langu
           align-items: center; 
           gap: 0.5rem; 
         }
-        pre { 
-          background: var(--accent-bg) !important; 
-          border: 1px solid var(--border); 
-          border-radius: 4px; 
-          overflow-x: auto; 
-        }
-        /* Override highlight.js background in dark mode */
-        [data-theme="dark"] .hljs { 
-          background: var(--accent-bg) !important; 
-        }
-        
-        /* Mermaid diagram styling */
-        .mermaid-diagram {
-          background: var(--accent-bg);
-          border: 1px solid var(--border);
-          border-radius: 4px;
-          padding: 1rem;
-          margin: 1rem 0;
-          text-align: center;
-          overflow-x: auto;
-        }
-        
-        /* Ensure mermaid diagrams work with dark mode */
-        [data-theme="dark"] .mermaid-diagram {
-          background: var(--accent-bg);
-        }
+        ${GIT_STYLES}
+        ${view === 'diff' ? `${DIFF_STYLES}${CONTENT_STYLES}` : ''}
       </style>
     </head>
     <body>
-      <button class="theme-toggle" onclick="toggleTheme()">🌙</button>
+      <button class="theme-toggle" type="button">🌙</button>
       
       <main>
         <header class="file-header">
           <div class="back-button"><a href="${backPath}">&larr; Back</a></div>
-          <h1 class="file-title">📄 ${fileName}</h1>
+          <h1 class="file-title">📄 ${title}</h1>
+          ${renderFileActions(filePath, basePath)}
+          ${isStatic ? '' : renderSearchForm('', basePath)}
+          ${renderGitHeader(filePath, git, view, basePath)}
         </header>
         
-        <article>
-          ${processedContent}
-        </article>
+        ${body}
       </main>
       
-      <script>
-        function toggleTheme() {
-          const html = document.documentElement;
-          const button = document.querySelector('.theme-toggle');
-          const currentTheme = html.getAttribute('data-theme');
-          const lightTheme = document.getElementById('hljs-light');
-          const darkTheme = document.getElementById('hljs-dark');
-          
-          if (currentTheme === 'dark') {
-            html.setAttribute('data-theme', 'light');
-            button.textContent = '🌙';
-            localStorage.setItem('theme', 'light');
-            if (lightTheme) lightTheme.disabled = false;
-            if (darkTheme) darkTheme.disabled = true;
-          } else {
-            html.setAttribute('data-theme', 'dark');
-            button.textContent = '☀️';
-            localStorage.setItem('theme', 'dark');
-            if (lightTheme) lightTheme.disabled = true;
-            if (darkTheme) darkTheme.disabled = false;
-          }
+      <script${nonceAttribute(nonce)}>
+        ${CONTENT_SCRIPT}
+        ${isStatic ? '' : renderLiveReloadScript(basePath)}
+      </script>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Generates HTML for the commit history of a file
+ * @param {string} fileName - Name of the file
+ * @param {string} filePath - Path to the file relative to root
+ * @param {Array<Object>} commits - Commits that changed the file, newest first (see gitHistory.getFileHistory)
+ * @param {Object} [options={}] - Page options (isStatic, theme, basePath, nonce, git)
+ * @returns {string} Complete HTML document for the file history
+ */
+function generateHistoryHTML(fileName, filePath, commits, options = {}) {
+  const { basePath = '' } = options;
+  const diffUrl = `${basePath}/_diff${encodeUrlPath(filePath)}`;
+  const rows = commits.map(commit => `
+    <tr>
+      <td class="commit-hash" title="${escapeHtml(commit.hash)}">${escapeHtml(commit.shortHash)}</td>
+      <td>${escapeHtml(commit.subject)}</td>
+      <td title="${escapeHtml(commit.email)}">${escapeHtml(commit.author)}</td>
+      <td>${renderCommitTime(commit.date)}</td>
+      <td>${commit.parents.length > 0 ? `<a href="${diffUrl}?from=${commit.parents[0]}&amp;to=${commit.hash}">Diff</a>` : ''}</td>
+    </tr>
+  `).join('');
+
+  const body = commits.length > 0
+    ? `
+      <table class="history">
+        <thead>
+          <tr>
+            <th>Commit</th>
+            <th>Message</th>
+            <th>Author</th>
+            <th>Date</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows}
+        </tbody>
+      </table>
+    `
+    : '<p>This file has not been committed yet.</p>';
+
+  return renderGitViewPage(fileName, filePath, 'history', body, options);
+}
+
+/**
+ * Generates HTML for the blame view of a file: the highlighted code with the commit
+ * that last changed each line next to it
+ * @param {string} fileName - Name of the file
+ * @param {string} filePath - Path to the file relative to root
+ * @param {string} content - File content
+ * @param {string|null} language - highlight.js language, or null for plain text
+ * @param {Array<Object>} blame - Commit of each line (see gitHistory.getBlame)
+ * @param {Object} [options={}] - Page options (isStatic, theme, basePath, nonce, git)
+ * @returns {string} Complete HTML document for the blame view
+ */
+function generateBlameHTML(fileName, filePath, content, language, blame, options = {}) {
+  let highlighted;
+  try {
+    highlighted = language && hljs.getLanguage(language) ? hljs.highlight(content, { language }).value : escapeHtml(content);
+  } catch (error) {
+    highlighted = escapeHtml(content);
+  }
+  const codeLines = splitHtmlLines(highlighted);
+
+  const rows = codeLines.map((code, index) => {
+    const commit = blame[index];
+    const startsRun = commit && (index === 0 || !blame[index - 1] || blame[index - 1].hash !== commit.hash);
+    let commitCell = '';
+    if (startsRun) {
+      commitCell = /^0+$/.test(commit.hash)
+        ? 'Not committed yet'
+        : `<span class="commit-hash">${escapeHtml(commit.shortHash)}</span>
+           <span title="${escapeHtml(commit.subject)}">${escapeHtml(commit.author)}, ${renderCommitTime(commit.date)}</span>`;
+    }
+    return `<tr${startsRun ? ' class="blame-start"' : ''}><td class="blame-commit">${commitCell}</td><td class="blame-line">${index + 1}</td><td class="blame-code hljs">${code}</td></tr>`;
+  }).join('\n');
+
+  const body = `
+    <table class="blame">
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+  `;
+
+  return renderGitViewPage(fileName, filePath, 'blame', body, options);
+}
+
+/**
+ * Renders the hunks of a diff as a side-by-side table
+ * @param {Array<Object>} hunks - Hunks from fileDiff.diffLines
+ * @returns {string} Table HTML
+ */
+function renderSplitDiff(hunks) {
+  const cells = (line, side) => {
+    if (!line) {
+      return '<td class="diff-number diff-empty"></td><td class="diff-code diff-empty"></td>';
+    }
+    const number = side === 'left' ? line.oldNumber : line.newNumber;
+    return `<td class="diff-number">${number}</td><td class="diff-code diff-${line.type}">${line.html}</td>`;
+  };
+
+  const rows = hunks.map(hunk => [
+    `<tr class="diff-hunk"><td colspan="4">@@ -${hunk.oldStart} +${hunk.newStart} @@</td></tr>`,
+    ...pairLines(hunk.lines).map(({ left, right }) => `<tr>${cells(left, 'left')}${cells(right, 'right')}</tr>`)
+  ].join('\n')).join('\n');
+
+  return `
+    <table class="diff diff-split">
+      <colgroup><col class="diff-number-col"><col><col class="diff-number-col"><col></colgroup>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Renders the hunks of a diff as a unified table
+ * @param {Array<Object>} hunks - Hunks from fileDiff.diffLines
+ * @returns {string} Table HTML
+ */
+function renderUnifiedDiff(hunks) {
+  const signs = { context: ' ', removed: '-', added: '+' };
+  const rows = hunks.map(hunk => [
+    `<tr class="diff-hunk"><td colspan="3">@@ -${hunk.oldStart} +${hunk.newStart} @@</td></tr>`,
+    ...hunk.lines.map(line => `<tr class="diff-${line.type}">`
+      + `<td class="diff-number">${line.oldNumber || ''}</td>`
+      + `<td class="diff-number">${line.newNumber || ''}</td>`
+      + `<td class="diff-code">${signs[line.type]} ${line.html}</td></tr>`)
+  ].join('\n')).join('\n');
+
+  return `
+    <table class="diff diff-unified">
+      <colgroup><col class="diff-number-col"><col class="diff-number-col"><col></colgroup>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Generates HTML for the diff of a file between two revisions, or a revision and the working tree
+ * @param {string} fileName - Name of the file
+ * @param {string} filePath - Path to the file relative to root
+ * @param {Object} diff - Diff to show
+ * @param {{revision: string, label: string}} diff.from - Old revision, as requested, and its description
+ * @param {{revision: string|null, label: string}} diff.to - New revision, or null for the working tree
+ * @param {string} diff.mode - split, unified or rendered
+ * @param {boolean} diff.isMarkdown - Whether the rendered mode is offered
+ * @param {boolean} diff.isBinary - Whether either version is binary, so no diff is shown
+ * @param {Array<Object>} diff.hunks - Hunks from fileDiff.diffLines
+ * @param {string|null} diff.html - Rendered markdown diff in the rendered mode
+ * @param {Object} [options={}] - Page options (isStatic, theme, basePath, nonce, git)
+ * @returns {string} Complete HTML document for the diff
+ */
+function generateDiffHTML(fileName, filePath, diff, options = {}) {
+  const { basePath = '' } = options;
+  const { from, to, mode, isMarkdown, isBinary, hunks, html } = diff;
+
+  const modeUrl = (name) => {
+    const params = [`from=${encodeURIComponent(from.revision)}`];
+    if (to.revision) {
+      params.push(`to=${encodeURIComponent(to.revision)}`);
+    }
+    params.push(`mode=${name}`);
+    return `${basePath}/_diff${encodeUrlPath(filePath)}?${params.join('&amp;')}`;
+  };
+  const modes = [['split', 'Side by side'], ['unified', 'Unified']];
+  if (isMarkdown) {
+    modes.push(['rendered', 'Rendered']);
+  }
+  const modeLinks = modes
+    .map(([name, label]) => `<a href="${modeUrl(name)}"${name === mode ? ' aria-current="page"' : ''}>${label}</a>`)
+    .join('');
+
+  let content;
+  if (isBinary) {
+    content = '<p>Binary file changed; no diff is shown.</p>';
+  } else if (hunks.length === 0) {
+    content = '<p>No changes.</p>';
+  } else if (mode === 'rendered' && html !== null) {
+    content = `<article class="rendered-diff">${html}</article>`;
+  } else {
+    content = mode === 'unified' ? renderUnifiedDiff(hunks) : renderSplitDiff(hunks);
+  }
+
+  const body = `
+    <p class="diff-summary">Comparing <code>${escapeHtml(from.label)}</code> with <code>${escapeHtml(to.label)}</code></p>
+    <nav class="diff-modes">${modeLinks}</nav>
+    ${content}
+  `;
+
+  return renderGitViewPage(fileName, filePath, 'diff', body, options);
+}
+
+/**
+ * Generates HTML for the files changed since the working tree branched off a base branch
+ * @param {string} base - Base branch
+ * @param {string} mergeBase - Commit the changes are compared against
+ * @param {Array<{path: string, status: string}>} files - Changed files with their URL paths
+ * @param {Object} [options={}] - Page options
+ * @param {string} [options.theme='light'] - Theme used until the visitor picks one with the toggle
+ * @param {string} [options.basePath=''] - Path the server is mounted under
+ * @param {string|null} [options.nonce=null] - Script nonce of the current response
+ * @returns {string} Complete HTML document for the changed files
+ */
+function generateChangesHTML(base, mergeBase, files, options = {}) {
+  const { theme = 'light', basePath = '', nonce = null } = options;
+  const rows = files.map(file => {
+    const encodedPath = encodeUrlPath(file.path);
+    const fileLink = file.status === 'deleted'
+      ? escapeHtml(file.path)
+      : `<a href="${basePath}${encodedPath}">${escapeHtml(file.path)}</a>`;
+    return `
+      <tr>
+        <td><span class="change-status ${file.status}">${file.status}</span></td>
+        <td>${fileLink}</td>
+        <td><a href="${basePath}/_diff${encodedPath}?from=${mergeBase}">Diff</a></td>
+      </tr>
+    `;
+  }).join('');
+
+  const summary = files.length === 1
+    ? `1 file changed since <code>${escapeHtml(base)}</code>`
+    : `${files.length} files changed since <code>${escapeHtml(base)}</code>`;
+
+  return `
+    <!DOCTYPE html>
+    <html data-theme="${theme}">
+    <head>
+      <title>Changed files since ${escapeHtml(base)}</title>
+      <link rel="stylesheet" href="${assetUrl('simple.min.css', basePath)}">
+      <style>
+        ${BASE_STYLES}
+
+        .breadcrumb { 
+          background: var(--accent-bg); 
+          padding: 1rem; 
+          border-radius: 4px; 
+          margin-bottom: 1rem; 
         }
-        
-        // Load saved theme - Simple.css uses data-theme on html element
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        document.documentElement.setAttribute('data-theme', savedTheme);
-        document.querySelector('.theme-toggle').textContent = savedTheme === 'dark' ? '☀️' : '🌙';
-        const lightTheme = document.getElementById('hljs-light');
-        const darkTheme = document.getElementById('hljs-dark');
-        if (savedTheme === 'dark') {
-          if (lightTheme) lightTheme.disabled = true;
-          if (darkTheme) darkTheme.disabled = false;
+        .base-form {
+          display: flex;
+          gap: 0.5rem;
+          align-items: center;
         }
+        .base-form input { margin: 0; }
+        ${DIFF_STYLES}
+      </style>
+    </head>
+    <body>
+      <button class="theme-toggle" type="button">🌙</button>
+      
+      <main>
+        <nav class="breadcrumb">
+          <a href="${basePath}/">📁 Root</a> / Changed files
+          ${renderSearchForm('', basePath)}
+        </nav>
         
-        // Initialize Mermaid
-        mermaid.initialize({ 
-          startOnLoad: false,
-          theme: savedTheme === 'dark' ? 'dark' : 'default'
-        });
-        
-        // Function to render mermaid diagrams
-        function renderMermaidDiagrams() {
-          const diagrams = document.querySelectorAll('.mermaid-diagram');
-          diagrams.forEach((diagram, index) => {
-            const content = diagram.getAttribute('data-diagram');
-            const id = 'mermaid-' + index;
-            diagram.innerHTML = '';
-            diagram.id = id;
-            
-            try {
-              mermaid.render(id + '-svg', content).then(({svg}) => {
-                diagram.innerHTML = svg;
-              }).catch(err => {
-                console.error('Mermaid rendering error:', err);
-                diagram.innerHTML = '<pre><code>' + content + '</code></pre>';
-              });
-            } catch (err) {
-              console.error('Mermaid rendering error:', err);
-              diagram.innerHTML = '<pre><code>' + content + '</code></pre>';
-            }
-          });
-        }
+        <form class="base-form" action="${basePath}/_changes" method="get">
+          <label for="base">Base branch</label>
+          <input id="base" type="text" name="base" value="${escapeHtml(base)}">
+          <button type="submit">Compare</button>
+        </form>
         
-        // Render diagrams after page load
-        renderMermaidDiagrams();
+        <p>${summary} (merge base <code>${escapeHtml(mergeBase.slice(0, 7))}</code>)</p>
         
-        // Update mermaid theme when switching themes
-        const originalToggleTheme = window.toggleTheme;
-        window.toggleTheme = function() {
-          originalToggleTheme();
-          const currentTheme = document.documentElement.getAttribute('data-theme');
-          mermaid.initialize({ 
-            startOnLoad: false,
-            theme: currentTheme === 'dark' ? 'dark' : 'default'
-          });
-          setTimeout(renderMermaidDiagrams, 100);
-        };
+        ${files.length > 0 ? `
+        <table>
+          <thead>
+            <tr>
+              <th>Status</th>
+              <th>File</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows}
+          </tbody>
+        </table>
+        ` : ''}
+      </main>
+      
+      <script${nonceAttribute(nonce)}>
+        ${THEME_SCRIPT}
       </script>
     </body>
     </html>
@@ -613,170 +2465,112 @@ function generateFileHTML(fileName, content, filePath, isMarkdown = false, langu
 }
 
 /**
- * Generates HTML for displaying images with navigation and dark mode support
- * @param {string} fileName - Name of the image file being displayed
- * @param {string} filePath - Path to the image file (for back navigation and src)
- * @returns {string} Complete HTML document for image display
+ * Generates HTML for full-text search results
+ * @param {string} query - The search query
+ * @param {Array<Object>} results - Ranked results from the search index
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.theme='light'] - Theme used until the visitor picks one with the toggle
+ * @param {string} [options.basePath=''] - Path the server is mounted under, prefixed to every link
+ * @param {string|null} [options.nonce=null] - Script nonce of the current response
+ * @returns {string} Complete HTML document for the search results page
  */
-function generateImageHTML(fileName, filePath) {
-  const backPath = path.dirname(filePath) || '/';
-  
+function generateSearchHTML(query, results, options = {}) {
+  const { theme = 'light', basePath = '', nonce = null } = options;
+  const resultItems = results.map(result => {
+    const href = basePath + encodeUrlPath(result.path);
+    const icon = getFileTypeFor(result.name).icon;
+    const matchItems = result.matches.map(match => `
+      <li>
+        <a href="${href}${match.anchor ? '#' + escapeHtml(match.anchor) : ''}">
+          <span class="line-number">${match.line}</span>
+          <span class="snippet">${match.html}</span>
+        </a>
+      </li>
+    `).join('');
+
+    return `
+      <li class="search-result">
+        <h3><a href="${href}">${icon} ${escapeHtml(result.name)}</a></h3>
+        <div class="search-path">${escapeHtml(result.path)}</div>
+        ${matchItems ? `<ul class="search-matches">${matchItems}</ul>` : ''}
+      </li>
+    `;
+  }).join('');
+
+  let summary = 'Enter a search term to find text across all documents.';
+  if (query.trim()) {
+    summary = results.length === 1
+      ? `1 file matches <strong>${escapeHtml(query)}</strong>`
+      : `${results.length} files match <strong>${escapeHtml(query)}</strong>`;
+  }
+
   return `
     <!DOCTYPE html>
-    <html>
+    <html data-theme="${theme}">
     <head>
-      <title>${fileName}</title>
-      <link rel="stylesheet" href="https://cdn.simplecss.org/simple.min.css">
+      <title>Search${query ? ': ' + escapeHtml(query) : ''}</title>
+      <link rel="stylesheet" href="${assetUrl('simple.min.css', basePath)}">
       <style>
-        /* Dark mode override - takes precedence over Simple.css auto detection */
-        [data-theme="dark"] {
-          color-scheme: dark;
-          --bg: #212121;
-          --accent-bg: #2b2b2b;
-          --text: #dcdcdc;
-          --text-light: #ababab;
-          --border: #666;
-          --accent: #ffb300;
-          --accent-hover: #ffcc02;
-          --accent-text: var(--bg);
-          --code: #f06292;
-          --preformatted: #ccc;
-          --marked: #ffdd33;
-          --disabled: #111;
-        }
-        
-        /* Light mode override */
-        [data-theme="light"] {
-          color-scheme: light;
-          --bg: #fff;
-          --accent-bg: #f5f7ff;
-          --text: #212121;
-          --text-light: #585858;
-          --border: #898EA4;
-          --accent: #0d47a1;
-          --accent-hover: #1976d2;
-          --accent-text: var(--bg);
-          --code: #d81b60;
-          --preformatted: #444;
-          --marked: #ffdd33;
-          --disabled: #efefef;
-        }
-
-        .theme-toggle { 
-          position: fixed; 
-          top: 1rem; 
-          right: 1rem; 
-          background: var(--accent); 
-          color: var(--accent-text); 
-          border: none; 
-          padding: 0.5rem 1rem; 
-          border-radius: 4px; 
-          cursor: pointer; 
-          font-size: 1.2rem; 
-          z-index: 1000;
-          transition: all 0.3s ease;
-        }
-        .theme-toggle:hover { 
-          background: var(--accent-hover); 
-          transform: scale(1.05);
-        }
-        /* Override Simple.css grid layout for wider content */
-        body {
-          display: block !important;
-          grid-template-columns: none !important;
-          max-width: 1200px !important;
-          margin: 0 auto !important;
-          padding: 1rem !important;
-        }
-        
-        main {
-          display: block !important;
-          grid-column: none !important;
-          max-width: none !important;
-          width: 100% !important;
-        }
-        
-        @media (max-width: 1240px) {
-          body {
-            max-width: calc(100% - 2rem) !important;
-          }
-        }
+        ${BASE_STYLES}
 
-        .image-header { 
+        .breadcrumb { 
           background: var(--accent-bg); 
           padding: 1rem; 
           border-radius: 4px; 
           margin-bottom: 1rem; 
         }
-        .back-button { margin-bottom: 1rem; }
-        .back-button a { 
-          background: var(--accent); 
-          color: var(--accent-text); 
-          padding: 0.5rem 1rem; 
-          border-radius: 4px; 
-          text-decoration: none; 
+        .search-results {
+          list-style: none;
+          padding: 0;
         }
-        .back-button a:hover { background: var(--accent-hover); }
-        .image-title { 
-          margin: 0; 
-          display: flex; 
-          align-items: center; 
-          gap: 0.5rem; 
+        .search-result {
+          border-bottom: 1px solid var(--border);
+          padding: 0.5rem 0 1rem;
         }
-        .image-container {
-          text-align: center;
-          background: var(--accent-bg);
-          border: 1px solid var(--border);
-          border-radius: 4px;
-          padding: 1rem;
-          margin: 1rem 0;
+        .search-result h3 { margin: 0.5rem 0 0; }
+        .search-path {
+          color: var(--text-light);
+          font-size: 0.9rem;
         }
-        .image-container img {
-          max-width: 100%;
-          height: auto;
-          border-radius: 4px;
-          box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+        .search-matches {
+          list-style: none;
+          padding: 0;
+          margin: 0.5rem 0 0;
         }
-        [data-theme="dark"] .image-container img {
-          box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+        .search-matches a {
+          display: flex;
+          gap: 1rem;
+          color: var(--text);
+          text-decoration: none;
+          padding: 0.1rem 0;
+        }
+        .search-matches a:hover .snippet { text-decoration: underline; }
+        .line-number {
+          color: var(--text-light);
+          font-family: monospace;
+          min-width: 3rem;
+          text-align: right;
         }
       </style>
     </head>
     <body>
-      <button class="theme-toggle" onclick="toggleTheme()">🌙</button>
+      <button class="theme-toggle" type="button">🌙</button>
       
       <main>
-        <header class="image-header">
-          <div class="back-button"><a href="${backPath}">&larr; Back</a></div>
-          <h1 class="image-title">🖼️ ${fileName}</h1>
-        </header>
+        <nav class="breadcrumb">
+          <a href="${basePath}/">📁 Root</a> / Search
+          ${renderSearchForm(query, basePath)}
+        </nav>
         
-        <div class="image-container">
-          <img src="${filePath}" alt="${fileName}" />
-        </div>
+        <p>${summary}</p>
+        
+        <ul class="search-results">
+          ${resultItems}
+        </ul>
       </main>
       
-      <script>
-        function toggleTheme() {
-          const html = document.documentElement;
-          const button = document.querySelector('.theme-toggle');
-          const currentTheme = html.getAttribute('data-theme');
-          
-          if (currentTheme === 'dark') {
-            html.setAttribute('data-theme', 'light');
-            button.textContent = '🌙';
-            localStorage.setItem('theme', 'light');
-          } else {
-            html.setAttribute('data-theme', 'dark');
-            button.textContent = '☀️';
-            localStorage.setItem('theme', 'dark');
-          }
-        }
-        
-        // Load saved theme - Simple.css uses data-theme on html element
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        document.documentElement.setAttribute('data-theme', savedTheme);
-        document.querySelector('.theme-toggle').textContent = savedTheme === 'dark' ? '☀️' : '🌙';
+      <script${nonceAttribute(nonce)}>
+        ${THEME_SCRIPT}
       </script>
     </body>
     </html>
@@ -784,7 +2578,15 @@ function generateImageHTML(fileName, filePath) {
 }
 
 module.exports = {
+  HTML_PREVIEW_SANDBOX,
+  renderFileContent,
   generateDirectoryHTML,
   generateFileHTML,
-  generateImageHTML
+  generateImageHTML,
+  generateBinaryHTML,
+  generateHistoryHTML,
+  generateBlameHTML,
+  generateDiffHTML,
+  generateChangesHTML,
+  generateSearchHTML
 };
\ No newline at end of file
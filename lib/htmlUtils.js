@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Small string helpers for building and taking apart HTML
+ */
+
+/**
+ * Characters that must be escaped when interpolating text into HTML
+ * @type {Object<string, string>}
+ */
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Named entities decoded by {@link decodeEntities}
+ * @type {Object<string, string>}
+ */
+const HTML_ENTITIES = {
+  amp:  '&',
+  lt:   '<',
+  gt:   '>',
+  quot: '"',
+  nbsp: ' '
+};
+
+/**
+ * Escapes a string for safe use in HTML text and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Percent-encodes each segment of a URL path, so file names with spaces, "#", "?" or
+ * quotes make working links and are safe in HTML attributes
+ * @param {string} urlPath - Decoded URL path, e.g. /notes/a #1.md
+ * @returns {string} Encoded URL path, e.g. /notes/a%20%231.md
+ */
+function encodeUrlPath(urlPath) {
+  return urlPath.split('/').map(segment => encodeURIComponent(segment).replace(/'/g, '%27')).join('/');
+}
+
+/**
+ * Splits highlighted code (highlight.js output) into lines. Spans open at a line break are
+ * closed at the end of the line and reopened on the next, so every line is balanced HTML.
+ * @param {string} html - Highlighted HTML containing only <span> tags and escaped text
+ * @returns {string[]} HTML of each line; a trailing newline does not add an empty line
+ */
+function splitHtmlLines(html) {
+  const lines = [];
+  const openTags = [];
+  let line = '';
+
+  for (const token of html.replace(/\n$/, '').split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (token === '\n') {
+      lines.push(line + '</span>'.repeat(openTags.length));
+      line = openTags.join('');
+    } else if (token === '</span>') {
+      openTags.pop();
+      line += token;
+    } else if (token.startsWith('<span')) {
+      openTags.push(token);
+      line += token;
+    } else {
+      line += token;
+    }
+  }
+
+  lines.push(line + '</span>'.repeat(openTags.length));
+  return lines;
+}
+
+/**
+ * Decodes numeric and common named character references. As in browsers, numeric references
+ * to NUL, surrogates or values above U+10FFFF become U+FFFD.
+ * @param {string} text - Text containing HTML entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const isHex = code[1] === 'x' || code[1] === 'X';
+      const codePoint = parseInt(code.slice(isHex ? 2 : 1), isHex ? 16 : 10);
+      const isValid = codePoint > 0 && codePoint <= 0x10ffff && (codePoint < 0xd800 || codePoint > 0xdfff);
+      return isValid ? String.fromCodePoint(codePoint) : '\ufffd';
+    }
+    return HTML_ENTITIES[code.toLowerCase()] || entity;
+  });
+}
+
+/**
+ * Removes tags from an HTML fragment and decodes common entities, leaving plain text
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text content
+ */
+function stripTags(html) {
+  return decodeEntities(html.replace(/<(?:[^>"']|"[^"]*"|'[^']*')*>/g, ''));
+}
+
+module.exports = {
+  escapeHtml,
+  encodeUrlPath,
+  splitHtmlLines,
+  decodeEntities,
+  stripTags
+};
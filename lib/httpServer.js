@@ -0,0 +1,184 @@
+/**
+ * @fileoverview HTTP, HTTPS and HTTP/2 listeners for the docs app, the HTTP to HTTPS
+ * redirect listener and self-signed certificates for localhost
+ */
+
+const fs    = require('node:fs');
+const os    = require('node:os');
+const path  = require('node:path');
+const http  = require('node:http');
+const https = require('node:https');
+const http2 = require('node:http2');
+
+const express    = require('express');
+const selfsigned = require('selfsigned');
+
+/**
+ * Where the generated self-signed certificate is kept, so browsers only need one exception
+ * @type {string}
+ */
+const CERT_DIR = path.join(os.homedir(), '.docs-server', 'certs');
+
+/**
+ * Validity of generated certificates. Browsers reject server certificates valid for longer than 825 days.
+ * @type {number}
+ */
+const SELF_SIGNED_DAYS = 825;
+
+/**
+ * Loads the self-signed certificate for localhost, generating it on first use
+ * @returns {{cert: Buffer, key: Buffer, certFile: string, keyFile: string, created: boolean}}
+ *   Certificate and key, the files they are stored in, and whether they were just generated
+ */
+function getSelfSignedCertificate() {
+  const certFile = path.join(CERT_DIR, 'localhost-cert.pem');
+  const keyFile  = path.join(CERT_DIR, 'localhost-key.pem');
+
+  if (fs.existsSync(certFile) && fs.existsSync(keyFile)) {
+    return { cert: fs.readFileSync(certFile), key: fs.readFileSync(keyFile), certFile, keyFile, created: false };
+  }
+
+  const pems = selfsigned.generate([{ name: 'commonName', value: 'localhost' }], {
+    days:       SELF_SIGNED_DAYS,
+    keySize:    2048,
+    algorithm:  'sha256',
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      {
+        name:     'subjectAltName',
+        altNames: [
+          { type: 2, value: 'localhost' },
+          { type: 7, ip: '127.0.0.1' },
+          { type: 7, ip: '::1' }
+        ]
+      }
+    ]
+  });
+
+  fs.mkdirSync(CERT_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(certFile, pems.cert);
+  fs.writeFileSync(keyFile, pems.private, { mode: 0o600 });
+
+  return { cert: Buffer.from(pems.cert), key: Buffer.from(pems.private), certFile, keyFile, created: true };
+}
+
+/**
+ * Works out the TLS settings from the server options, loading (or generating) the certificate
+ * @param {Object} options - Server options
+ * @param {string|null} [options.cert] - PEM certificate file
+ * @param {string|null} [options.key] - PEM private key file
+ * @param {boolean} [options.selfSigned=false] - Use a generated self-signed certificate for localhost
+ * @param {boolean} [options.http2=false] - Serve HTTP/2 (needs TLS)
+ * @param {number|null} [options.redirectPort] - Port of the HTTP to HTTPS redirect listener (needs TLS)
+ * @param {number} [options.port] - Port of the main listener
+ * @returns {{cert: Buffer, key: Buffer, certFile: string, keyFile: string, created: boolean}|null}
+ *   Certificate and key, or null to serve plain HTTP
+ * @throws {Error} If the options do not fit together or the certificate files cannot be read
+ */
+function resolveTlsOptions(options = {}) {
+  const { cert = null, key = null, selfSigned = false, http2: useHttp2 = false, redirectPort = null, port } = options;
+
+  if (Boolean(cert) !== Boolean(key)) {
+    throw new Error('Both --cert and --key are needed to serve over HTTPS');
+  }
+  if (cert && selfSigned) {
+    throw new Error('Use either --cert/--key or --self-signed, not both');
+  }
+  if (!cert && !selfSigned) {
+    if (useHttp2 || redirectPort) {
+      throw new Error(`--${useHttp2 ? 'http2' : 'redirect-port'} needs HTTPS: add --cert and --key, or --self-signed`);
+    }
+    return null;
+  }
+  if (redirectPort && redirectPort === port) {
+    throw new Error('--redirect-port must be different from --port');
+  }
+
+  if (selfSigned) {
+    return getSelfSignedCertificate();
+  }
+
+  try {
+    return {
+      cert:     fs.readFileSync(path.resolve(cert)),
+      key:      fs.readFileSync(path.resolve(key)),
+      certFile: path.resolve(cert),
+      keyFile:  path.resolve(key),
+      created:  false
+    };
+  } catch (error) {
+    throw new Error(`Could not read certificate: ${error.message}`);
+  }
+}
+
+/**
+ * Wraps an Express app so it can handle requests from Node's HTTP/2 compatibility API.
+ * Express 4 swaps the prototype of every request and response for its own, which extend
+ * the HTTP/1 classes; HTTP/2 requests get the same methods on top of the HTTP/2 classes instead.
+ * @param {import('express').Express} app - Express app
+ * @returns {function(Object, Object): void} Request handler for both HTTP/1.1 and HTTP/2 requests
+ */
+function createHttp2Handler(app) {
+  const extend = (base, source) => {
+    const target = Object.create(base);
+    for (const key of Reflect.ownKeys(source)) {
+      Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key));
+    }
+    return Object.create(target, { app: { configurable: true, enumerable: true, writable: true, value: app } });
+  };
+
+  const http1 = { request: app.request, response: app.response };
+  const http2Prototypes = {
+    request:  extend(http2.Http2ServerRequest.prototype, express.request),
+    response: extend(http2.Http2ServerResponse.prototype, express.response)
+  };
+
+  return (req, res) => {
+    // Express reads app.request / app.response synchronously while setting up the request
+    const prototypes = req instanceof http2.Http2ServerRequest ? http2Prototypes : http1;
+    app.request = prototypes.request;
+    app.response = prototypes.response;
+    app(req, res);
+  };
+}
+
+/**
+ * Creates the server for the docs app: plain HTTP, HTTPS, or HTTP/2 with HTTP/1.1 fallback
+ * @param {import('express').Express} app - Express app
+ * @param {{cert: Buffer, key: Buffer}|null} tls - Certificate and key, or null for plain HTTP
+ * @param {Object} [options={}] - Server options
+ * @param {boolean} [options.http2=false] - Serve HTTP/2
+ * @returns {http.Server|https.Server|http2.Http2SecureServer} Server, not yet listening
+ */
+function createServer(app, tls, { http2: useHttp2 = false } = {}) {
+  if (!tls) {
+    return http.createServer(app);
+  }
+  if (useHttp2) {
+    return http2.createSecureServer({ cert: tls.cert, key: tls.key, allowHTTP1: true }, createHttp2Handler(app));
+  }
+  return https.createServer({ cert: tls.cert, key: tls.key }, app);
+}
+
+/**
+ * Creates a plain HTTP server redirecting every request to the same URL over HTTPS
+ * @param {number} httpsPort - Port of the HTTPS listener
+ * @returns {http.Server} Server, not yet listening
+ */
+function createRedirectServer(httpsPort) {
+  return http.createServer((req, res) => {
+    const hostname = (req.headers.host || 'localhost').replace(/:\d+$/, '');
+    const portSuffix = httpsPort === 443 ? '' : `:${httpsPort}`;
+    res.writeHead(308, { Location: `https://${hostname}${portSuffix}${req.url}` });
+    res.end();
+  });
+}
+
+module.exports = {
+  resolveTlsOptions,
+  createServer,
+  createRedirectServer,
+  getSelfSignedCertificate
+};
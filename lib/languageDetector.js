@@ -1,72 +1,431 @@
 /**
- * @fileoverview Language detection utilities for syntax highlighting
+ * @fileoverview Language detection for syntax highlighting, modelled on GitHub Linguist: configured
+ * overrides, .gitattributes, editor modelines, well-known file names, shebangs and extensions
+ * (the last three from the file type registry), with highlight.js auto-detection as a last resort
  */
 
-const path = require('node:path');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const hljs   = require('highlight.js');
+const ignore = require('ignore');
+
+const { findRepository } = require('./gitignoreParser');
+const { scopedMap }      = require('./settingsScope');
+const {
+  findFileTypeByName,
+  findFileTypeByExtension,
+  findFileTypeByInterpreter
+} = require('./fileTypes');
 
 /**
- * Detects programming language from file extension or content analysis
- * @param {string} filePath - Path to the file
- * @param {string} content - File content for analysis
- * @returns {string|null} Language identifier for syntax highlighting, or null if not detected
- */
-function detectLanguage(filePath, content) {
-  const ext = path.extname(filePath).toLowerCase();
-  
-  const languages = {
-    '.js':   'javascript',
-    '.ts':   'typescript',
-    '.py':   'python',
-    '.java': 'java',
-    '.cpp':  'cpp',
-    '.c':    'c',
-    '.css':  'css',
-    '.html': 'html',
-    '.xml':  'xml',
-    '.json': 'json',
-    '.yml':  'yaml',
-    '.yaml': 'yaml',
-    '.sh':   'bash',
-    '.php':  'php',
-    '.rb':   'ruby',
-    '.go':   'go',
-    '.rs':   'rust',
-    '.sql':  'sql'
+ * Language names used by modelines, .gitattributes and Linguist that highlight.js does not know
+ * under the same name (or knows as something else, like `shell` for console sessions)
+ * @type {Object<string, string>}
+ */
+const LANGUAGE_ALIASES = {
+  'sh':                 'bash',
+  'zsh':                'bash',
+  'shell':              'bash',
+  'shell-script':       'bash',
+  'shellscript':        'bash',
+  'js':                 'javascript',
+  'js2':                'javascript',
+  'jsx':                'javascript',
+  'ts':                 'typescript',
+  'tsx':                'typescript',
+  'typescriptreact':    'typescript',
+  'javascriptreact':    'javascript',
+  'py':                 'python',
+  'rb':                 'ruby',
+  'rs':                 'rust',
+  'golang':             'go',
+  'kt':                 'kotlin',
+  'cs':                 'csharp',
+  'c#':                 'csharp',
+  'c++':                'cpp',
+  'f#':                 'fsharp',
+  'objc':               'objectivec',
+  'objective-c':        'objectivec',
+  'objective-c++':      'objectivec',
+  'emacs-lisp':         'lisp',
+  'elisp':              'lisp',
+  'common-lisp':        'lisp',
+  'yml':                'yaml',
+  'md':                 'markdown',
+  'jsonc':              'json',
+  'json5':              'json',
+  'json-with-comments': 'json',
+  'terraform':          'hcl',
+  'docker':             'dockerfile',
+  'make':               'makefile',
+  'gnu-make':           'makefile',
+  'git-config':         'ini',
+  'ps1':                'powershell',
+  'vue':                'html',
+  'svelte':             'html',
+  'html+erb':           'erb',
+  'visual-basic-.net':  'vbnet',
+  'text':               'plaintext',
+  'plain-text':         'plaintext',
+  'txt':                'plaintext'
+};
+
+/**
+ * Languages highlight.js auto-detection chooses from. Limiting the candidates keeps it fast and
+ * avoids rarely used grammars that match almost anything.
+ * @type {string[]}
+ */
+const AUTO_DETECT_LANGUAGES = [
+  'bash', 'c', 'cpp', 'csharp', 'css', 'go', 'java', 'javascript', 'kotlin', 'lua', 'perl',
+  'php', 'python', 'ruby', 'rust', 'scala', 'sql', 'swift', 'typescript', 'xml', 'yaml'
+];
+
+/**
+ * Relevance per non-blank line a highlight.js guess must reach to be used. Code usually scores
+ * well above 1, while prose scores below it even when some words happen to be keywords.
+ * @type {number}
+ */
+const AUTO_DETECT_MIN_CONFIDENCE = 1.1;
+
+/**
+ * Characters of content auto-detection looks at
+ * @type {number}
+ */
+const AUTO_DETECT_SAMPLE_SIZE = 4096;
+
+/**
+ * Lines at the start and end of a file searched for modelines, as Vim does
+ * @type {number}
+ */
+const MODELINE_LINES = 5;
+
+/**
+ * Configured language overrides per root directory and app
+ * @type {Map<string, Array<{ig: import('ignore').Ignore, language: string}>>}
+ */
+const languageSettings = scopedMap();
+
+/**
+ * Parsed .gitattributes files by path, null when missing
+ * @type {Map<string, Promise<Array<{ig: import('ignore').Ignore, language: string|null}>|null>>}
+ */
+const attributesCache = new Map();
+
+/**
+ * Minimal HCL grammar (Terraform and other HashiCorp configuration), which highlight.js lacks
+ * @param {Object} hljsApi - highlight.js API
+ * @returns {Object} Language definition
+ */
+function hclLanguage(hljsApi) {
+  return {
+    name:     'HCL',
+    aliases:  ['terraform', 'tf'],
+    keywords: { keyword: 'for in if else endif endfor', literal: 'true false null' },
+    contains: [
+      hljsApi.HASH_COMMENT_MODE,
+      hljsApi.C_LINE_COMMENT_MODE,
+      hljsApi.C_BLOCK_COMMENT_MODE,
+      {
+        className: 'string',
+        begin:     /"/,
+        end:       /"/,
+        contains:  [hljsApi.BACKSLASH_ESCAPE, { className: 'subst', begin: /\$\{/, end: /\}/ }]
+      },
+      { className: 'attr', begin: /[A-Za-z_][\w-]*(?=\s*=[^=])/ },
+      { className: 'title', begin: /^\s*[A-Za-z_][\w-]*(?=\s+["{A-Za-z_])/ },
+      hljsApi.C_NUMBER_MODE
+    ]
   };
-  
-  if (languages[ext]) {
-    return languages[ext];
+}
+
+if (!hljs.getLanguage('hcl')) {
+  hljs.registerLanguage('hcl', hclLanguage);
+}
+
+/**
+ * Turns a language name from a modeline, .gitattributes or the config into a highlight.js language
+ * @param {string} name - Language name, e.g. `sh`, `C++` or `Dockerfile`
+ * @returns {string|null} highlight.js language, or null if it is unknown
+ */
+function resolveLanguageName(name) {
+  const normalized = name.trim().toLowerCase().replace(/\s+/g, '-');
+  if (LANGUAGE_ALIASES[normalized]) {
+    return LANGUAGE_ALIASES[normalized];
   }
-  
-  // Detect language by content for files without extensions
-  if (!ext) {
-    const firstLine = content.split('\n')[0];
-    if (firstLine.includes('#!/usr/bin/env node') || firstLine.includes('#!/usr/bin/node')) {
-      return 'javascript';
+  return normalized && hljs.getLanguage(normalized) ? normalized : null;
+}
+
+/**
+ * Sets the language overrides of a root directory, replacing earlier ones
+ * @param {string} rootDir - Root directory for the server
+ * @param {Object} [settings={}] - Language settings
+ * @param {Object<string, string>} [settings.languages={}] - Languages by gitignore-style pattern,
+ *   relative to rootDir, e.g. `{ "*.tpl": "html", "Jenkinsfile.*": "groovy" }`
+ * @throws {Error} If a language is not known to highlight.js
+ */
+function configureLanguages(rootDir, { languages = {} } = {}) {
+  const overrides = Object.entries(languages).map(([pattern, name]) => {
+    const language = resolveLanguageName(name);
+    if (!language) {
+      throw new Error(`Unknown language "${name}" for "${pattern}"`);
     }
-    if (firstLine.includes('#!/usr/bin/env python') || firstLine.includes('#!/usr/bin/python')) {
-      return 'python';
+    return { ig: ignore().add(pattern), language };
+  });
+  languageSettings.set(rootDir, overrides);
+  attributesCache.clear();
+}
+
+/**
+ * Clears cached .gitattributes files, e.g. after one of them changed
+ */
+function clearLanguageCache() {
+  attributesCache.clear();
+}
+
+/**
+ * Finds the configured root directory a file is in, preferring the innermost
+ * @param {string} filePath - Absolute path
+ * @returns {string|null} Root directory, or null if the file is outside all of them
+ */
+function findRootDir(filePath) {
+  let found = null;
+  for (const rootDir of languageSettings.keys()) {
+    const relative = path.relative(rootDir, filePath);
+    const isInside = relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    if (isInside && (!found || rootDir.length > found.length)) {
+      found = rootDir;
     }
-    if (firstLine.includes('#!/bin/bash') || firstLine.includes('#!/bin/sh')) {
-      return 'bash';
+  }
+  return found;
+}
+
+/**
+ * Tests gitignore-style rules against a path, the last match winning
+ * @param {Array<{ig: import('ignore').Ignore, language: string|null}>} rules - Rules in file order
+ * @param {string} rulePath - Slash-separated path relative to the rules' directory
+ * @returns {string|null|undefined} Language of the last matching rule (null when it unsets the
+ *   language), or undefined if none matched
+ */
+function matchRules(rules, rulePath) {
+  let language;
+  for (const rule of rules) {
+    if (rule.ig.test(rulePath).ignored) {
+      language = rule.language;
     }
-    
-    // Basic JavaScript detection
-    if (content.includes('function ') || content.includes('const ') || content.includes('let ') || 
-        content.includes('var ') || content.includes('class ') || content.includes('console.log')) {
-      return 'javascript';
+  }
+  return language;
+}
+
+/**
+ * Reads the `linguist-language` rules of a .gitattributes file
+ * @param {string} filePath - Absolute path to the attributes file
+ * @returns {Promise<Array<{ig: import('ignore').Ignore, language: string|null}>|null>} Rules, or null if the file does not exist
+ */
+function loadAttributes(filePath) {
+  if (!attributesCache.has(filePath)) {
+    attributesCache.set(filePath, readAttributes(filePath));
+  }
+  return attributesCache.get(filePath);
+}
+
+/**
+ * Parses the `linguist-language` rules of a .gitattributes file, see loadAttributes
+ * @param {string} filePath - Absolute path to the attributes file
+ * @returns {Promise<Array<{ig: import('ignore').Ignore, language: string|null}>|null>} Rules, or null if the file does not exist
+ */
+async function readAttributes(filePath) {
+  let rules = null;
+  try {
+    rules = [];
+    for (const line of (await fs.promises.readFile(filePath, 'utf-8')).split(/\r?\n/)) {
+      const [pattern, ...attributes] = line.trim().split(/\s+/);
+      if (!pattern || pattern.startsWith('#')) {
+        continue;
+      }
+      for (const attribute of attributes) {
+        const match = attribute.match(/^([-!]?)linguist-language(?:=(.+))?$/);
+        if (match) {
+          // `-linguist-language` and `!linguist-language` drop a language set by an earlier line
+          rules.push({ ig: ignore().add(pattern), language: match[1] || !match[2] ? null : resolveLanguageName(match[2]) });
+        }
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+      console.warn(`Warning: Could not read attributes file at ${filePath}:`, error.message);
+    }
+    rules = null;
+  }
+  return rules;
+}
+
+/**
+ * Looks up a file's `linguist-language` attribute in the .gitattributes files from the repository
+ * root (or the served directory outside a repository) down to the file's directory, and in the
+ * repository's .git/info/attributes, which take precedence in that order
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<string|null>} highlight.js language, or null if no attribute sets one
+ */
+async function getAttributesLanguage(filePath) {
+  const fileDir = path.dirname(filePath);
+  const repository = await findRepository(fileDir);
+  const topDir = repository ? repository.root : (findRootDir(filePath) || fileDir);
+
+  const dirs = [];
+  for (let dir = fileDir; ; dir = path.dirname(dir)) {
+    dirs.unshift(dir);
+    if (dir === topDir || path.dirname(dir) === dir) {
+      break;
     }
-    
-    // Basic Python detection
-    if (content.includes('def ') || content.includes('import ') || content.includes('from ') || 
-        content.includes('print(')) {
-      return 'python';
+  }
+
+  const sources = dirs.map(dir => ({ file: path.join(dir, '.gitattributes'), baseDir: dir }));
+  if (repository) {
+    sources.push({ file: path.join(repository.gitDir, 'info', 'attributes'), baseDir: repository.root });
+  }
+
+  const ruleSets = await Promise.all(sources.map(({ file }) => loadAttributes(file)));
+  let language = null;
+  sources.forEach(({ baseDir }, index) => {
+    const rules = ruleSets[index];
+    const matched = rules ? matchRules(rules, path.relative(baseDir, filePath).split(path.sep).join('/')) : undefined;
+    if (matched !== undefined) {
+      language = matched;
+    }
+  });
+  return language;
+}
+
+/**
+ * Reads the language of a Vim (`vim: set ft=python:`) or Emacs (`-*- mode: ruby -*-`) modeline
+ * in the first or last lines of the content
+ * @param {string} content - File content
+ * @returns {string|null} highlight.js language, or null if there is no modeline naming a known language
+ */
+function getModelineLanguage(content) {
+  const lines = content.split('\n');
+  const candidates = lines.length > MODELINE_LINES * 2
+    ? [...lines.slice(0, MODELINE_LINES), ...lines.slice(-MODELINE_LINES)]
+    : lines;
+
+  for (const line of candidates) {
+    const vim = line.match(/(?:^|\s)(?:vi|vim|ex)(?:[<=>]?\d+)?:.*?\b(?:ft|filetype|syntax)=([\w+#.-]+)/);
+    const emacs = line.match(/-\*-\s*(.*?)\s*-\*-/);
+    let name = null;
+    if (vim) {
+      name = vim[1];
+    } else if (emacs) {
+      const mode = emacs[1].match(/(?:^|;)\s*mode:\s*([\w+#.-]+)/i);
+      name = mode ? mode[1] : (emacs[1].includes(':') ? null : emacs[1]);
+    }
+    const language = name && resolveLanguageName(name.replace(/-mode$/, ''));
+    if (language) {
+      return language;
     }
   }
-  
   return null;
 }
 
+/**
+ * Reads the interpreter of a shebang line, including the program `env` runs
+ * (`#!/usr/bin/env -S deno run`, `#!/usr/bin/env python3`)
+ * @param {string} firstLine - First line of the file
+ * @returns {string|null} highlight.js language, or null if there is no shebang naming a known interpreter
+ */
+function getShebangLanguage(firstLine) {
+  const match = firstLine.match(/^#!\s*(\S+)(.*)$/);
+  if (!match) {
+    return null;
+  }
+
+  let program = path.posix.basename(match[1]);
+  if (program === 'env') {
+    const args = match[2].trim().split(/\s+/);
+    program = null;
+    for (let i = 0; i < args.length && !program; i++) {
+      const arg = args[i];
+      if (arg === '-u' || arg === '--unset') {
+        i++;
+      } else if (arg.startsWith('--split-string=')) {
+        program = arg.slice('--split-string='.length);
+      } else if (/^-S./.test(arg)) {
+        program = arg.slice(2);
+      } else if (!arg.startsWith('-') && !arg.includes('=')) {
+        program = arg;
+      }
+    }
+    if (!program) {
+      return null;
+    }
+    program = path.posix.basename(program);
+  }
+
+  // python3.11 -> python, perl5 -> perl
+  const type = findFileTypeByInterpreter(program.replace(/[\d.]+$/, '')) || findFileTypeByInterpreter(program);
+  return (type && type.language) || null;
+}
+
+/**
+ * Guesses the language of content with highlight.js, when it is confident enough. JSON is
+ * recognised by parsing it, as highlight.js tends to take it for other languages.
+ * @param {string} content - File content
+ * @returns {string|null} highlight.js language, or null if no guess reached AUTO_DETECT_MIN_CONFIDENCE
+ */
+function autoDetectLanguage(content) {
+  const trimmed = content.trim();
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch (error) {
+      // Not JSON, guess below
+    }
+  }
+
+  const sample = content.slice(0, AUTO_DETECT_SAMPLE_SIZE);
+  const lineCount = sample.split('\n').filter(line => line.trim()).length;
+  if (lineCount === 0) {
+    return null;
+  }
+  const result = hljs.highlightAuto(sample, AUTO_DETECT_LANGUAGES);
+  return result.language && result.relevance / lineCount >= AUTO_DETECT_MIN_CONFIDENCE ? result.language : null;
+}
+
+/**
+ * Detects the language of a file for syntax highlighting. Like GitHub Linguist, the first of
+ * these that names a language wins: the configured overrides, a `linguist-language` attribute in
+ * .gitattributes, a Vim or Emacs modeline, the file name, the shebang, the extension and finally
+ * highlight.js auto-detection.
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content for analysis
+ * @returns {Promise<string|null>} Language identifier for syntax highlighting (`plaintext` for known text
+ *   formats), or null if not detected
+ */
+async function detectLanguage(filePath, content) {
+  const absolutePath = path.resolve(filePath);
+  const rootDir = findRootDir(absolutePath);
+  if (rootDir) {
+    const override = matchRules(languageSettings.get(rootDir), path.relative(rootDir, absolutePath).split(path.sep).join('/'));
+    if (override) {
+      return override;
+    }
+  }
+
+  const byName = findFileTypeByName(filePath);
+  const byExtension = findFileTypeByExtension(filePath);
+  const firstLine = content.split('\n', 1)[0];
+
+  return await getAttributesLanguage(absolutePath)
+    || getModelineLanguage(content)
+    || (byName && byName.language)
+    || getShebangLanguage(firstLine)
+    || (byExtension && byExtension.language)
+    || autoDetectLanguage(content);
+}
+
 module.exports = {
+  configureLanguages,
+  clearLanguageCache,
+  resolveLanguageName,
   detectLanguage
-};
\ No newline at end of file
+};
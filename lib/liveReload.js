@@ -0,0 +1,275 @@
+/**
+ * @fileoverview File watching and server-sent events for reloading open pages when files change
+ */
+
+const fs   = require('node:fs');
+const path = require('node:path');
+
+const {
+  IGNORE_FILES,
+  isHiddenFile,
+  shouldIgnoreFile,
+  findRepository,
+  clearGitignoreCache
+} = require('./gitignoreParser');
+const { updateFile, clearSearchIndex } = require('./searchIndex');
+const { clearLanguageCache }           = require('./languageDetector');
+const { getCurrentScope, runInScope }  = require('./settingsScope');
+
+/**
+ * Changes arriving within this window are batched into a single event
+ * @type {number}
+ */
+const DEBOUNCE_MS = 100;
+
+/**
+ * Interval for keep-alive comments so proxies do not close idle event streams
+ * @type {number}
+ */
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * Converts an absolute path into the URL path pages are served under
+ * @param {string} rootDir - Root directory for the server
+ * @param {string} filePath - Absolute path inside rootDir
+ * @returns {string} URL path starting with a slash
+ */
+function toUrlPath(rootDir, filePath) {
+  const relativePath = path.relative(rootDir, filePath);
+  return '/' + relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Watches every visible, non-ignored directory under rootDir and notifies connected
+ * browsers of changes over server-sent events. Editing a .gitignore, a .docsignore or the
+ * repository's .git/info/exclude, or creating or removing a .git, clears the gitignore and
+ * repository caches and re-scans the watched directories so the new rules apply without a
+ * restart; editing a .gitattributes file re-detects languages.
+ * @param {string} rootDir - Root directory for the server
+ * @param {Object} [options={}] - Live reload options
+ * @param {function(string): void} [options.onChange] - Called with the absolute path of every change
+ *   to a visible, non-ignored file or directory, and of every rule file or .gitattributes change
+ * @param {function(Object|null, string): (boolean|Promise<boolean>)} [options.canRead] - Access check called with a client's user
+ *   (`req.user` when it connected) and a changed path; clients are not told about paths it rejects
+ * @returns {{handleEvents: function(import('express').Request, import('express').Response): void, close: function(): void}}
+ *   Express handler for the event stream, and a function stopping all watchers
+ */
+function createLiveReload(rootDir, { onChange = () => {}, canRead = null } = {}) {
+  /** @type {Map<string, fs.FSWatcher>} */
+  const watchers = new Map();
+  /** @type {Map<import('express').Response, Object|null>} Users of the connected clients */
+  const clients = new Map();
+  /** @type {Set<string>} Absolute paths changed since the last event, or `*` when any page may have changed */
+  const pendingPaths = new Set();
+  let flushTimer = null;
+  let closed = false;
+  /** @type {fs.FSWatcher|null} Watcher of the repository's info directory, outside rootDir */
+  let excludeWatcher = null;
+  /** @type {string|null} Absolute path of the repository's info/exclude file */
+  let excludeFile = null;
+  // File system events are handled in the scope of the app that created the watchers
+  const scope = getCurrentScope();
+
+  const unwatchDirectory = (dirPath) => {
+    for (const [watchedPath, watcher] of watchers) {
+      if (watchedPath === dirPath || watchedPath.startsWith(dirPath + path.sep)) {
+        watcher.close();
+        watchers.delete(watchedPath);
+      }
+    }
+  };
+
+  const watchDirectory = async (dirPath) => {
+    if (closed || watchers.has(dirPath)) {
+      return;
+    }
+
+    let watcher;
+    try {
+      watcher = fs.watch(dirPath, (eventType, fileName) => {
+        if (fileName) {
+          runInScope(scope, () => handleChange(path.join(dirPath, fileName.toString())));
+        }
+      });
+    } catch (error) {
+      console.warn(`Warning: Could not watch directory ${dirPath}:`, error.message);
+      return;
+    }
+
+    watcher.on('error', () => unwatchDirectory(dirPath));
+    watchers.set(dirPath, watcher);
+
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory() && !isHiddenFile(entryPath, rootDir) && !(await shouldIgnoreFile(entryPath, rootDir))) {
+        await watchDirectory(entryPath);
+      }
+    }
+  };
+
+  const rescan = () => {
+    for (const watcher of watchers.values()) {
+      watcher.close();
+    }
+    watchers.clear();
+    watchDirectory(rootDir);
+  };
+
+  const broadcast = async () => {
+    flushTimer = null;
+    const changedPaths = [...pendingPaths];
+    pendingPaths.clear();
+
+    for (const [client, user] of clients) {
+      const readable = await Promise.all(changedPaths.map(changedPath => (
+        changedPath === '*' || !canRead || canRead(user, changedPath)
+      )));
+      const paths = changedPaths
+        .filter((changedPath, index) => readable[index])
+        .map(changedPath => (changedPath === '*' ? changedPath : toUrlPath(rootDir, changedPath)));
+      if (paths.length > 0 && clients.has(client)) {
+        client.write(`event: change\ndata: ${JSON.stringify({ paths })}\n\n`);
+      }
+    }
+  };
+
+  const handleChange = async (changedPath) => {
+    const fileName = path.basename(changedPath);
+
+    if (IGNORE_FILES.includes(fileName) || fileName === '.git' || changedPath === excludeFile) {
+      // A .git appearing or going away (`git init`, removing a clone) changes the repository
+      // that rule files, attributes and history come from
+      clearGitignoreCache();
+      if (fileName === '.git') {
+        clearLanguageCache();
+        watchExcludeFile();
+      }
+      clearSearchIndex();
+      rescan();
+      // Any listing may have gained or lost entries
+      pendingPaths.add('*');
+    } else if (fileName === '.gitattributes') {
+      // Any file below it may be highlighted as another language now
+      clearLanguageCache();
+      pendingPaths.add('*');
+    } else {
+      if (isHiddenFile(changedPath, rootDir) || await shouldIgnoreFile(changedPath, rootDir)) {
+        return;
+      }
+
+      let isDirectory = false;
+      try {
+        isDirectory = (await fs.promises.stat(changedPath)).isDirectory();
+      } catch (error) {
+        // The path was deleted or renamed away
+      }
+
+      if (isDirectory) {
+        await watchDirectory(changedPath);
+      } else if (watchers.has(changedPath)) {
+        unwatchDirectory(changedPath);
+      } else {
+        await updateFile(rootDir, changedPath);
+      }
+
+      pendingPaths.add(changedPath);
+    }
+    onChange(changedPath);
+
+    if (!flushTimer && !closed) {
+      flushTimer = setTimeout(broadcast, DEBOUNCE_MS);
+    }
+  };
+
+  /**
+   * Streams change notifications to a browser as server-sent events, leaving out paths the
+   * signed-in user (`req.user`) may not read
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   */
+  const handleEvents = (req, res) => {
+    res.set({
+      'Content-Type':  'text/event-stream',
+      'Cache-Control': 'no-cache'
+    });
+    // Connection-specific headers are not allowed in HTTP/2 responses
+    if (req.httpVersionMajor < 2) {
+      res.set('Connection', 'keep-alive');
+    }
+    res.flushHeaders();
+    res.write('retry: 1000\n\n');
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+    clients.set(res, req.user || null);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  };
+
+  /**
+   * Watches the repository's info/exclude file, whose rules apply like a .gitignore at the repository root,
+   * replacing the watcher of an earlier repository
+   */
+  const watchExcludeFile = async () => {
+    if (excludeWatcher) {
+      excludeWatcher.close();
+      excludeWatcher = null;
+      excludeFile = null;
+    }
+
+    const repository = await findRepository(rootDir);
+    if (!repository || closed) {
+      return;
+    }
+
+    const infoDir = path.join(repository.gitDir, 'info');
+    let watcher;
+    try {
+      watcher = fs.watch(infoDir, (eventType, fileName) => {
+        if (fileName && fileName.toString() === 'exclude') {
+          runInScope(scope, () => handleChange(path.join(infoDir, 'exclude')));
+        }
+      });
+    } catch (error) {
+      // No info directory; git creates it along with the exclude file
+      return;
+    }
+    watcher.on('error', () => watcher.close());
+    excludeWatcher = watcher;
+    excludeFile = path.join(infoDir, 'exclude');
+  };
+
+  const close = () => {
+    closed = true;
+    clearTimeout(flushTimer);
+    if (excludeWatcher) {
+      excludeWatcher.close();
+    }
+    for (const watcher of watchers.values()) {
+      watcher.close();
+    }
+    watchers.clear();
+    for (const client of clients.keys()) {
+      client.end();
+    }
+    clients.clear();
+  };
+
+  watchDirectory(rootDir);
+  watchExcludeFile();
+
+  return { handleEvents, close };
+}
+
+module.exports = {
+  createLiveReload
+};
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Markdown rendering with mermaid support, stable heading IDs and sanitized output
+ */
+
+const { marked }   = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const { stripTags, escapeHtml } = require('./htmlUtils');
+
+/**
+ * What survives sanitizing rendered markdown: the formatting markdown and GitHub-style docs
+ * use (including inline <details>, <img> and task list checkboxes), heading IDs and classes.
+ * Scripts, styles, event handlers, iframes and javascript: URLs are removed, and images in the
+ * served directory are loaded from their raw bytes.
+ * @type {import('sanitize-html').IOptions}
+ */
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img', 'details', 'summary', 'del', 'ins', 'input'
+  ],
+  allowedAttributes: {
+    '*':     ['id', 'class', 'title', 'lang', 'dir', 'aria-label', 'aria-hidden'],
+    a:       ['href', 'name', 'target', 'rel'],
+    img:     ['src', 'srcset', 'alt', 'width', 'height', 'loading'],
+    div:     ['data-diagram'],
+    ol:      ['start', 'reversed'],
+    td:      ['align', 'colspan', 'rowspan'],
+    th:      ['align', 'colspan', 'rowspan', 'scope'],
+    details: ['open'],
+    input:   ['type', 'checked', 'disabled']
+  },
+  allowedSchemes:    ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: {
+    img: ['http', 'https', 'data']
+  },
+  transformTags: {
+    img: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.src ? { ...attribs, src: toRawImageUrl(attribs.src) } : attribs
+    }),
+    // Only read-only task list checkboxes
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.type === 'checkbox' ? { ...attribs, disabled: '' } : {}
+    })
+  },
+  exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+};
+
+/**
+ * Points an image at the raw bytes of the file it names. Relative and root-relative sources
+ * would otherwise load the file's HTML page; `?raw=1` keeps them relative, so they still resolve
+ * against the document (or the <base> of a directory page) and the static site builder maps them
+ * to the copied file. URLs with a scheme, protocol-relative URLs and fragments are left alone.
+ * @param {string} src - Image source as written in the document
+ * @returns {string} Image source
+ */
+function toRawImageUrl(src) {
+  if (!src || /^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(src)) {
+    return src;
+  }
+
+  const hashIndex = src.indexOf('#');
+  const [url, hash] = hashIndex === -1 ? [src, ''] : [src.slice(0, hashIndex), src.slice(hashIndex)];
+  if (/[?&]raw=/.test(url)) {
+    return src;
+  }
+  return `${url}${url.includes('?') ? '&' : '?'}raw=1${hash}`;
+}
+
+/**
+ * Creates a slug generator that produces GitHub-style heading IDs,
+ * de-duplicating repeated headings with a numeric suffix
+ * @returns {function(string): string} Function mapping heading text to a unique slug
+ */
+function createSlugger() {
+  const seen = new Map();
+
+  return function slug(text) {
+    const base = text
+      .toLowerCase()
+      .trim()
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+      .replace(/\s/g, '-') || 'section';
+
+    let candidate = base;
+    let count = seen.get(base) || 0;
+    while (seen.has(candidate)) {
+      count += 1;
+      candidate = `${base}-${count}`;
+    }
+    seen.set(base, count);
+    seen.set(candidate, 0);
+    return candidate;
+  };
+}
+
+/**
+ * Renders a heading with its ID and a "¶" permalink, as all rendered documents show them
+ * @param {string} html - Heading content as HTML
+ * @param {number} level - Heading level, 1 to 6
+ * @param {string} id - Heading ID, from a slugger
+ * @returns {string} Heading HTML
+ */
+function renderHeading(html, level, id) {
+  return `<h${level} id="${id}">${html}<a class="heading-anchor" href="#${id}" aria-label="Permalink to this section">¶</a></h${level}>\n`;
+}
+
+/**
+ * Creates a marked renderer that turns ```mermaid blocks into diagram containers
+ * and gives every heading an ID and a "¶" permalink. Rendered headings are recorded in `headings`.
+ * @param {Array<{level: number, text: string, id: string}>} [headings=[]] - Collects rendered headings
+ * @returns {marked.Renderer} Configured renderer instance
+ */
+function createRenderer(headings = []) {
+  const renderer = new marked.Renderer();
+  const originalCode = renderer.code;
+  const slug = createSlugger();
+
+  renderer.code = function(code, info) {
+    if (info === 'mermaid') {
+      return `<div class="mermaid-diagram" data-diagram="${escapeHtml(code)}">${escapeHtml(code)}</div>`;
+    }
+    return originalCode.call(this, code, info);
+  };
+
+  renderer.heading = function(text, level) {
+    const plainText = stripTags(text).trim();
+    const id = slug(plainText);
+    headings.push({ level, text: plainText, id });
+    return renderHeading(text, level, id);
+  };
+
+  return renderer;
+}
+
+/**
+ * Removes anything that could run script from rendered HTML, keeping ordinary formatting
+ * @param {string} html - HTML rendered from markdown
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeMarkdownHtml(html) {
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+/**
+ * Renders markdown to sanitized HTML. Raw HTML in the markdown is kept as far as it is safe.
+ * @param {string} content - Markdown source
+ * @returns {{html: string, headings: Array<{level: number, text: string, id: string}>}} Rendered HTML and heading outline
+ */
+function renderMarkdown(content) {
+  const headings = [];
+  const html = sanitizeMarkdownHtml(marked(content, { renderer: createRenderer(headings) }));
+  return { html, headings };
+}
+
+module.exports = {
+  createSlugger,
+  renderHeading,
+  createRenderer,
+  sanitizeMarkdownHtml,
+  renderMarkdown
+};
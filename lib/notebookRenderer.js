@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Jupyter notebook rendering: markdown cells, highlighted code cells with their
+ * execution counts, and outputs (streams, rich results, embedded images and errors)
+ */
+
+const { marked } = require('marked');
+
+const { escapeHtml }     = require('./htmlUtils');
+const { createRenderer } = require('./markdownRenderer');
+
+/**
+ * Image output types, shown as embedded images in order of preference
+ * @type {string[]}
+ */
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/svg+xml'];
+
+/**
+ * Matches ANSI escape sequences, which colour tracebacks and stream output in terminals
+ * @type {RegExp}
+ */
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+/**
+ * Layout of cells, prompts and outputs
+ * @type {string}
+ */
+const NOTEBOOK_STYLES = `
+  .nb-cell { margin: 1rem 0; }
+  .nb-prompt { font-family: var(--mono-font, monospace); font-size: 0.8rem; color: var(--text-light); }
+  .nb-code pre { margin: 0.25rem 0; }
+  .nb-output { border-left: 3px solid var(--border); padding-left: 0.75rem; margin: 0.5rem 0; overflow-x: auto; }
+  .nb-output pre { margin: 0.25rem 0; background: none; }
+  .nb-output img { max-width: 100%; background: #fff; }
+  .nb-stderr pre, .nb-error pre { color: #c62828; }
+`;
+
+/**
+ * Joins a notebook text field, which nbformat stores as a string or a list of lines
+ * @param {string|string[]|undefined} source - Text field
+ * @returns {string} Text
+ */
+function joinSource(source) {
+  return Array.isArray(source) ? source.join('') : source || '';
+}
+
+/**
+ * Renders the preferred representation of a rich output (`execute_result` or `display_data`)
+ * @param {Object<string, string|string[]|Object>} data - Output representations by MIME type
+ * @param {Object} ctx - Renderer context; uses `highlight`
+ * @param {function(string): string} renderMarkdownCell - Renders markdown sharing the notebook's heading IDs
+ * @returns {string} HTML
+ */
+function renderRichOutput(data, ctx, renderMarkdownCell) {
+  const imageType = IMAGE_TYPES.find(type => data[type]);
+  if (imageType) {
+    const base64 = imageType === 'image/svg+xml'
+      ? Buffer.from(joinSource(data[imageType])).toString('base64')
+      : joinSource(data[imageType]).replace(/\s/g, '');
+    return `<img src="data:${imageType};base64,${base64}" alt="Output image">`;
+  }
+  if (data['text/html']) {
+    // Sanitized with the rest of the document
+    return joinSource(data['text/html']);
+  }
+  if (data['text/markdown']) {
+    return renderMarkdownCell(joinSource(data['text/markdown']));
+  }
+  if (data['application/json']) {
+    return ctx.highlight(JSON.stringify(data['application/json'], null, 2), 'json');
+  }
+  const text = data['text/latex'] || data['text/plain'];
+  return text ? `<pre>${escapeHtml(joinSource(text).replace(ANSI_PATTERN, ''))}</pre>` : '';
+}
+
+/**
+ * Renders the outputs of a code cell
+ * @param {Array<Object>} outputs - Cell outputs
+ * @param {Object} ctx - Renderer context
+ * @param {function(string): string} renderMarkdownCell - Renders markdown sharing the notebook's heading IDs
+ * @returns {string} HTML
+ */
+function renderOutputs(outputs, ctx, renderMarkdownCell) {
+  return outputs.map(output => {
+    switch (output.output_type) {
+      case 'stream':
+        return `<div class="nb-output nb-${output.name === 'stderr' ? 'stderr' : 'stdout'}"><pre>${escapeHtml(joinSource(output.text).replace(ANSI_PATTERN, ''))}</pre></div>`;
+      case 'error': {
+        const traceback = (output.traceback || [`${output.ename}: ${output.evalue}`]).join('\n').replace(ANSI_PATTERN, '');
+        return `<div class="nb-output nb-error"><pre>${escapeHtml(traceback)}</pre></div>`;
+      }
+      case 'execute_result':
+      case 'display_data': {
+        const prompt = output.execution_count ? `<div class="nb-prompt">Out [${output.execution_count}]:</div>` : '';
+        return `${prompt}<div class="nb-output">${renderRichOutput(output.data || {}, ctx, renderMarkdownCell)}</div>`;
+      }
+      default:
+        return '';
+    }
+  }).join('\n');
+}
+
+/**
+ * Renders a Jupyter notebook (nbformat 4)
+ * @param {string} content - Notebook JSON
+ * @param {Object} ctx - Renderer context; uses `highlight`
+ * @returns {{html: string, title: string|null, headings: Array<{level: number, text: string, id: string}>, frontMatter: Object, styles: string}}
+ *   Rendered HTML, the first heading as title, heading outline, kernel and styles
+ * @throws {Error} If the content is not a notebook
+ */
+function renderNotebook(content, ctx) {
+  const notebook = JSON.parse(content);
+  if (!notebook || !Array.isArray(notebook.cells)) {
+    throw new Error('Not a Jupyter notebook: cells are missing (nbformat 4 is supported)');
+  }
+
+  const metadata = notebook.metadata || {};
+  const languageInfo = metadata.language_info || {};
+  const kernel = metadata.kernelspec || {};
+  const language = languageInfo.name || kernel.language || 'python';
+
+  // One renderer for all cells, so heading IDs stay unique across the notebook
+  const headings = [];
+  const renderer = createRenderer(headings);
+  const renderMarkdownCell = (markdown) => marked(markdown, { renderer });
+
+  const cells = notebook.cells.map(cell => {
+    const source = joinSource(cell.source);
+    if (cell.cell_type === 'markdown') {
+      // Images attached to the cell are referenced as attachment:<name>
+      const attachments = cell.attachments || {};
+      const markdown = source.replace(/attachment:([^\s)"']+)/g, (match, name) => {
+        const data = attachments[decodeURIComponent(name)];
+        const type = data && IMAGE_TYPES.find(imageType => data[imageType]);
+        return type ? `data:${type};base64,${joinSource(data[type]).replace(/\s/g, '')}` : match;
+      });
+      return `<div class="nb-cell nb-markdown">${renderMarkdownCell(markdown)}</div>`;
+    }
+    if (cell.cell_type === 'code') {
+      const prompt = `<div class="nb-prompt">In [${cell.execution_count || ' '}]:</div>`;
+      return `<div class="nb-cell nb-code">${prompt}${ctx.highlight(source, language)}${renderOutputs(cell.outputs || [], ctx, renderMarkdownCell)}</div>`;
+    }
+    return source.trim() ? `<div class="nb-cell nb-raw"><pre>${escapeHtml(source)}</pre></div>` : '';
+  });
+
+  const frontMatter = {};
+  if (kernel.display_name) {
+    frontMatter.kernel = kernel.display_name;
+  }
+  if (languageInfo.version) {
+    frontMatter.language = `${languageInfo.name || language} ${languageInfo.version}`;
+  }
+
+  const firstHeading = headings.find(heading => heading.level === 1);
+  return {
+    html:     cells.join('\n'),
+    title:    metadata.title || (firstHeading ? firstHeading.text : null),
+    headings,
+    frontMatter,
+    styles:   NOTEBOOK_STYLES
+  };
+}
+
+/**
+ * Renders files of the `notebook` file type
+ * @type {{name: string, match: function(Object): boolean, render: function(string, Object): Object}}
+ */
+const notebookRenderer = {
+  name:   'notebook',
+  match:  file => file.type.id === 'notebook',
+  render: renderNotebook
+};
+
+module.exports = {
+  renderNotebook,
+  notebookRenderer
+};
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview OpenAPI 3 and Swagger 2 rendering: YAML or JSON API descriptions shown as a
+ * browsable reference of operations grouped by tag, with their parameters, request bodies,
+ * responses and the schemas they use
+ */
+
+const yaml = require('js-yaml');
+
+const { escapeHtml }                   = require('./htmlUtils');
+const { createSlugger, renderHeading } = require('./markdownRenderer');
+
+/**
+ * HTTP methods of a path item, in the order operations are listed
+ * @type {string[]}
+ */
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Number of leading characters searched for the `openapi` or `swagger` version field
+ * @type {number}
+ */
+const DETECT_LENGTH = 2048;
+
+/**
+ * Matches the version field of an OpenAPI or Swagger document, as a top-level YAML key or a JSON property
+ * @type {RegExp}
+ */
+const VERSION_FIELD_PATTERN = /^(?:["']?(?:openapi|swagger)["']?|\s*"(?:openapi|swagger)")\s*:/m;
+
+/**
+ * Method badges and the layout of operations and schema tables
+ * @type {string}
+ */
+const OPENAPI_STYLES = `
+  .api-version { font-size: 0.9rem; color: var(--text-light); }
+  .api-operation { border: 1px solid var(--border); border-radius: 4px; padding: 0 1rem 0.5rem; margin: 1rem 0; }
+  .api-operation.deprecated h3 code { text-decoration: line-through; }
+  .http-method {
+    display: inline-block; min-width: 4.5rem; padding: 0.1rem 0.4rem; margin-right: 0.5rem;
+    border-radius: 4px; color: #fff; font-size: 0.8rem; text-align: center; text-transform: uppercase;
+    background: #607d8b;
+  }
+  .http-get { background: #1976d2; }
+  .http-post { background: #2e7d32; }
+  .http-put, .http-patch { background: #ef6c00; }
+  .http-delete { background: #c62828; }
+  .api-required { color: #c62828; font-size: 0.8rem; }
+`;
+
+/**
+ * Checks whether a YAML or JSON file is an OpenAPI or Swagger document
+ * @param {Object} file - File passed to the renderer's match
+ * @returns {boolean} True when the file declares an `openapi` or `swagger` version near its start
+ */
+function isOpenApiFile(file) {
+  return (file.type.id === 'yaml' || file.type.id === 'json')
+    && VERSION_FIELD_PATTERN.test(file.content.slice(0, DETECT_LENGTH));
+}
+
+/**
+ * Follows a local JSON reference, e.g. `#/components/schemas/Pet`
+ * @param {Object} api - API document
+ * @param {Object} value - Value that may be a `{ $ref }`
+ * @returns {Object} Referenced value, or the value itself when it is no local reference
+ */
+function resolveRef(api, value) {
+  if (!value || typeof value.$ref !== 'string' || !value.$ref.startsWith('#/')) {
+    return value;
+  }
+  return value.$ref.slice(2).split('/')
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), api) || value;
+}
+
+/**
+ * Gets the ID of a schema's section in the Schemas part of the page
+ * @param {string} name - Schema name
+ * @returns {string} Element ID
+ */
+function schemaId(name) {
+  return `schema-${createSlugger()(name)}`;
+}
+
+/**
+ * Describes a schema's type in one line, linking named schemas to their sections
+ * @param {Object} schema - Schema object
+ * @returns {string} HTML such as `string (date-time)`, `Pet[]` or `Cat | Dog`
+ */
+function describeType(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return '';
+  }
+  if (typeof schema.$ref === 'string') {
+    const name = schema.$ref.split('/').pop();
+    return schema.$ref.startsWith('#/') ? `<a href="#${schemaId(name)}">${escapeHtml(name)}</a>` : escapeHtml(schema.$ref);
+  }
+  for (const [key, separator] of [['oneOf', ' | '], ['anyOf', ' | '], ['allOf', ' &amp; ']]) {
+    if (Array.isArray(schema[key])) {
+      return schema[key].map(describeType).join(separator);
+    }
+  }
+  if (schema.type === 'array' || schema.items) {
+    return `${describeType(schema.items) || 'any'}[]`;
+  }
+  const type = Array.isArray(schema.type) ? schema.type.join(' | ') : schema.type || (schema.properties ? 'object' : 'any');
+  const details = [
+    schema.format,
+    Array.isArray(schema.enum) ? `one of ${schema.enum.map(value => JSON.stringify(value)).join(', ')}` : null
+  ].filter(Boolean);
+  return escapeHtml(details.length ? `${type} (${details.join('; ')})` : type);
+}
+
+/**
+ * Renders the properties of an object schema as a table
+ * @param {Object} api - API document
+ * @param {Object} schema - Object schema
+ * @param {function(string): string} markdown - Renders a description
+ * @returns {string} Table HTML, or '' when the schema has no properties
+ */
+function renderProperties(api, schema, markdown) {
+  const resolved = resolveRef(api, schema) || {};
+  const parts = Array.isArray(resolved.allOf) ? resolved.allOf.map(part => resolveRef(api, part)) : [resolved];
+  const required = new Set(parts.flatMap(part => part.required || []));
+  const rows = parts.flatMap(part => Object.entries(part.properties || {})).map(([name, property]) => `
+    <tr>
+      <td><code>${escapeHtml(name)}</code>${required.has(name) ? ' <span class="api-required">required</span>' : ''}</td>
+      <td>${describeType(property)}</td>
+      <td>${property.description ? markdown(property.description) : ''}</td>
+    </tr>`);
+  return rows.length ? `<table><thead><tr><th>Property</th><th>Type</th><th>Description</th></tr></thead><tbody>${rows.join('')}</tbody></table>` : '';
+}
+
+/**
+ * Renders a request or response body schema: a link for named schemas, a table for inline objects
+ * @param {Object} api - API document
+ * @param {Object} schema - Body schema
+ * @param {function(string): string} markdown - Renders a description
+ * @returns {string} HTML
+ */
+function renderBodySchema(api, schema, markdown) {
+  if (!schema) {
+    return '';
+  }
+  if (schema.$ref || schema.type === 'array' || schema.oneOf || schema.anyOf) {
+    return `<p>Schema: ${describeType(schema)}</p>`;
+  }
+  return renderProperties(api, schema, markdown) || `<p>Schema: ${describeType(schema)}</p>`;
+}
+
+/**
+ * Renders one operation: method, path, summary, parameters, request body and responses
+ * @param {Object} api - API document
+ * @param {string} method - HTTP method
+ * @param {string} route - Path template
+ * @param {Object} operation - Operation object
+ * @param {Array<Object>} pathParameters - Parameters shared by the path's operations
+ * @param {Object} state - Page state (slug, headings, markdown, highlight)
+ * @returns {string} HTML
+ */
+function renderOperation(api, method, route, operation, pathParameters, state) {
+  const { markdown } = state;
+  const text = `${method.toUpperCase()} ${route}`;
+  const id = state.slug(operation.operationId || text);
+  state.headings.push({ level: 3, text, id });
+
+  // Operation parameters override the path's parameters of the same name and location
+  const parameters = new Map();
+  for (const parameter of [...pathParameters, ...(operation.parameters || [])].map(value => resolveRef(api, value))) {
+    parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+  }
+  const bodyParameter = [...parameters.values()].find(parameter => parameter.in === 'body');
+  const listed = [...parameters.values()].filter(parameter => parameter.in !== 'body');
+
+  let html = `<section class="api-operation${operation.deprecated ? ' deprecated' : ''}">`;
+  html += renderHeading(`<span class="http-method http-${method}">${method}</span><code>${escapeHtml(route)}</code>`, 3, id);
+  if (operation.summary) {
+    html += `<p><strong>${escapeHtml(operation.summary)}</strong>${operation.deprecated ? ' (deprecated)' : ''}</p>`;
+  }
+  if (operation.description) {
+    html += markdown(operation.description);
+  }
+
+  if (listed.length) {
+    const rows = listed.map(parameter => `
+      <tr>
+        <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' <span class="api-required">required</span>' : ''}</td>
+        <td>${escapeHtml(parameter.in)}</td>
+        <td>${describeType(parameter.schema || parameter)}</td>
+        <td>${parameter.description ? markdown(parameter.description) : ''}</td>
+      </tr>`);
+    html += `<h4>Parameters</h4><table><thead><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+  }
+
+  const requestBody = resolveRef(api, operation.requestBody);
+  if (requestBody && requestBody.content) {
+    html += `<h4>Request body${requestBody.required ? ' <span class="api-required">required</span>' : ''}</h4>`;
+    html += requestBody.description ? markdown(requestBody.description) : '';
+    for (const [type, media] of Object.entries(requestBody.content)) {
+      html += `<p><code>${escapeHtml(type)}</code></p>${renderBodySchema(api, media.schema, markdown)}`;
+    }
+  } else if (bodyParameter) {
+    html += `<h4>Request body${bodyParameter.required ? ' <span class="api-required">required</span>' : ''}</h4>`;
+    html += (bodyParameter.description ? markdown(bodyParameter.description) : '') + renderBodySchema(api, bodyParameter.schema, markdown);
+  }
+
+  const responses = Object.entries(operation.responses || {});
+  if (responses.length) {
+    const rows = responses.map(([status, value]) => {
+      const response = resolveRef(api, value) || {};
+      const schemas = response.content
+        ? Object.entries(response.content).filter(([, media]) => media.schema).map(([type, media]) => `<code>${escapeHtml(type)}</code> ${describeType(media.schema)}`)
+        : (response.schema ? [describeType(response.schema)] : []);
+      return `
+        <tr>
+          <td><code>${escapeHtml(status)}</code></td>
+          <td>${response.description ? markdown(response.description) : ''}</td>
+          <td>${schemas.join('<br>')}</td>
+        </tr>`;
+    });
+    html += `<h4>Responses</h4><table><thead><tr><th>Status</th><th>Description</th><th>Body</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+  }
+
+  return `${html}</section>\n`;
+}
+
+/**
+ * Renders an OpenAPI or Swagger document as an API reference
+ * @param {string} content - YAML or JSON source
+ * @param {Object} ctx - Renderer context; uses `renderMarkdown` and `highlight`
+ * @returns {{html: string, title: string, headings: Array<{level: number, text: string, id: string}>, frontMatter: Object, styles: string}}
+ *   Rendered HTML, API title, heading outline, version details and styles
+ * @throws {Error} If the content does not parse or has no paths
+ */
+function renderOpenApi(content, ctx) {
+  const api = yaml.load(content);
+  if (!api || typeof api !== 'object' || typeof api.paths !== 'object') {
+    throw new Error('Not an OpenAPI document: paths are missing');
+  }
+
+  const info = api.info || {};
+  const state = {
+    slug:      createSlugger(),
+    headings:  [],
+    markdown:  (text) => ctx.renderMarkdown(String(text)).html,
+    highlight: ctx.highlight
+  };
+  const title = info.title || 'API reference';
+  const titleId = state.slug(title);
+  state.headings.push({ level: 1, text: title, id: titleId });
+
+  let html = renderHeading(escapeHtml(title), 1, titleId);
+  if (info.version) {
+    html += `<p class="api-version">Version ${escapeHtml(info.version)}</p>`;
+  }
+  if (info.description) {
+    html += state.markdown(info.description);
+  }
+
+  const servers = Array.isArray(api.servers) ? api.servers.map(server => server.url)
+    : api.host ? [`${(api.schemes || ['https'])[0]}://${api.host}${api.basePath || ''}`]
+    : [];
+  if (servers.length) {
+    html += `<p>Servers: ${servers.map(url => `<code>${escapeHtml(url)}</code>`).join(', ')}</p>`;
+  }
+
+  // Operations grouped by their first tag, in the order the tags are declared
+  const groups = new Map((api.tags || []).map(tag => [tag.name, { tag, operations: [] }]));
+  for (const [route, value] of Object.entries(api.paths || {})) {
+    const pathItem = resolveRef(api, value) || {};
+    for (const method of HTTP_METHODS.filter(name => pathItem[name])) {
+      const tagName = (pathItem[method].tags || [])[0] || 'Operations';
+      if (!groups.has(tagName)) {
+        groups.set(tagName, { tag: { name: tagName }, operations: [] });
+      }
+      groups.get(tagName).operations.push({ method, route, operation: pathItem[method], pathParameters: pathItem.parameters || [] });
+    }
+  }
+
+  for (const { tag, operations } of groups.values()) {
+    if (!operations.length) {
+      continue;
+    }
+    const id = state.slug(tag.name);
+    state.headings.push({ level: 2, text: tag.name, id });
+    html += renderHeading(escapeHtml(tag.name), 2, id);
+    html += tag.description ? state.markdown(tag.description) : '';
+    html += operations.map(({ method, route, operation, pathParameters }) => renderOperation(api, method, route, operation, pathParameters, state)).join('');
+  }
+
+  const schemas = Object.entries((api.components && api.components.schemas) || api.definitions || {});
+  if (schemas.length) {
+    const id = state.slug('Schemas');
+    state.headings.push({ level: 2, text: 'Schemas', id });
+    html += renderHeading('Schemas', 2, id);
+    for (const [name, schema] of schemas) {
+      state.headings.push({ level: 3, text: name, id: schemaId(name) });
+      html += renderHeading(escapeHtml(name), 3, schemaId(name));
+      html += schema.description ? state.markdown(schema.description) : '';
+      html += renderProperties(api, schema, state.markdown) || `<p>Type: ${describeType(schema)}</p>`;
+      if (schema.example !== undefined) {
+        html += state.highlight(JSON.stringify(schema.example, null, 2), 'json');
+      }
+    }
+  }
+
+  const frontMatter = {};
+  frontMatter[api.openapi ? 'openapi' : 'swagger'] = String(api.openapi || api.swagger);
+  if (info.version) {
+    frontMatter.version = String(info.version);
+  }
+
+  return { html, title, headings: state.headings, frontMatter, styles: OPENAPI_STYLES };
+}
+
+/**
+ * Renders YAML and JSON files that are OpenAPI or Swagger documents
+ * @type {{name: string, match: function(Object): boolean, render: function(string, Object): Object}}
+ */
+const openApiRenderer = {
+  name:   'openapi',
+  match:  isOpenApiFile,
+  render: renderOpenApi
+};
+
+module.exports = {
+  renderOpenApi,
+  openApiRenderer
+};
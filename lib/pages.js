@@ -0,0 +1,623 @@
+/**
+ * @fileoverview Page building and JSON descriptions for files and directories, shared by the server
+ * and the static site builder
+ */
+
+const fs   = require('node:fs');
+const path = require('node:path');
+const mime = require('mime');
+
+const {
+  DEFAULT_LISTING_SORT,
+  compareEntries,
+  getFileInfo,
+  isBinaryFile,
+  readFileRange,
+  countLineBreaks
+} = require('./fileUtils');
+const {
+  renderFileContent,
+  generateDirectoryHTML,
+  generateFileHTML,
+  generateImageHTML,
+  generateBinaryHTML,
+  generateHistoryHTML,
+  generateBlameHTML,
+  generateDiffHTML,
+  generateChangesHTML
+} = require('./htmlGenerator');
+const { detectLanguage }                 = require('./languageDetector');
+const { getFileTypeFor }                 = require('./fileTypes');
+const { renderDocument }                 = require('./renderers');
+const { isVisiblePath }                  = require('./security');
+const { renderMarkdown }                 = require('./markdownRenderer');
+const { parseFrontMatter, isDraftFile }  = require('./frontMatter');
+const { diffLines, renderMarkdownDiff }  = require('./fileDiff');
+const {
+  getRepositoryRoot,
+  getFileHistory,
+  getLastCommit,
+  getDirectoryCommits,
+  getBlame,
+  resolveRevision,
+  getFileAtRevision,
+  getDefaultBaseBranch,
+  getChangedFiles
+} = require('./gitHistory');
+
+/**
+ * Files rendered as the landing content of a directory, in order of preference
+ * @type {string[]}
+ */
+const DEFAULT_INDEX_FILES = ['index.md', 'README.md', 'readme.md'];
+
+/**
+ * Text files larger than this are shown a page of this many bytes at a time
+ * @type {number}
+ */
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024;
+
+/**
+ * Code larger than this is shown without syntax highlighting
+ * @type {number}
+ */
+const DEFAULT_HIGHLIGHT_SIZE = 512 * 1024;
+
+/**
+ * Keeps the paths that are visible (see isVisiblePath) and pass the access check
+ * @param {string[]} filePaths - Absolute paths
+ * @param {string} rootDir - Root directory for the server
+ * @param {(function(string): (boolean|Promise<boolean>))|null} canRead - Access check, or null to allow every path
+ * @returns {Promise<string[]>} The readable paths, in their original order
+ */
+async function filterReadable(filePaths, rootDir, canRead) {
+  const readable = await Promise.all(filePaths.map(async (filePath) => (
+    await isVisiblePath(filePath, rootDir) && (!canRead || await canRead(filePath))
+  )));
+  return filePaths.filter((filePath, index) => readable[index]);
+}
+
+/**
+ * Lists the visible entries of a directory: hidden, gitignored, disallowed symlinks and
+ * (unless requested) draft files are left out. Directories come first, then files, each sorted by name
+ * unless another order is given.
+ * @param {string} dirPath - Absolute path to the directory
+ * @param {string} rootDir - Root directory for the server
+ * @param {Object} [options={}] - Listing options
+ * @param {boolean} [options.showDrafts=false] - Include markdown files marked `draft: true`
+ * @param {function(string): (boolean|Promise<boolean>)} [options.canRead] - Access check called with each entry's absolute path;
+ *   entries it rejects are left out
+ * @param {{key: string, order: string}} [options.sort=DEFAULT_LISTING_SORT] - Listing order, see parseListingSort
+ * @returns {Promise<Array<Object>>} File information objects
+ */
+async function listDirectory(dirPath, rootDir, { showDrafts = false, canRead = null, sort = DEFAULT_LISTING_SORT } = {}) {
+  const entryPaths = (await fs.promises.readdir(dirPath)).map(file => path.join(dirPath, file));
+  const visiblePaths = await filterReadable(entryPaths, rootDir, canRead);
+
+  const entries = await Promise.all(visiblePaths.map(async (filePath) => (
+    showDrafts || !(await isDraftFile(filePath)) ? getFileInfo(filePath) : null
+  )));
+
+  return entries
+    .filter(Boolean)
+    .sort((a, b) => compareEntries(a, b, sort));
+}
+
+/**
+ * Finds the first index file (e.g. README.md) among a directory's entries
+ * @param {Array<Object>} files - Directory entries from listDirectory
+ * @param {string[]} indexFiles - Index file names, in order of preference
+ * @returns {Object|undefined} File information of the index file
+ */
+function findIndexFile(files, indexFiles) {
+  return indexFiles
+    .map(name => files.find(file => !file.isDirectory && file.name === name))
+    .find(Boolean);
+}
+
+/**
+ * Gets the URL path of a directory without trailing slashes, '' for the root
+ * @param {string} requestedPath - URL path of the directory
+ * @returns {string} Normalized directory path
+ */
+function getDirectoryPath(requestedPath) {
+  return requestedPath === '/' ? '' : requestedPath.replace(/\/+$/, '');
+}
+
+/**
+ * Works out how a text file is shown from the renderer of its file type
+ * @param {string} filePath - Path to the file
+ * @returns {{isMarkdown: boolean, isMermaid: boolean, isHtml: boolean}} Text format flags
+ */
+function getTextFormat(filePath) {
+  const { renderer } = getFileTypeFor(filePath);
+  return {
+    isMarkdown: renderer === 'markdown',
+    isMermaid:  renderer === 'mermaid',
+    isHtml:     renderer === 'html'
+  };
+}
+
+/**
+ * Gets the length of a UTF-8 buffer without the last character if the buffer cuts it off
+ * @param {Buffer} buffer - Bytes read from a UTF-8 file
+ * @returns {number} Length ending on a character boundary; the full length if the buffer holds
+ *   nothing but part of one character, so a page is never empty
+ */
+function trimIncompleteCharacter(buffer) {
+  // Step back over continuation bytes to the lead byte of the last character
+  let lead = buffer.length - 1;
+  while (lead > 0 && buffer.length - lead < 4 && (buffer[lead] & 0xC0) === 0x80) {
+    lead--;
+  }
+
+  const byte = buffer[lead];
+  const characterLength = byte >= 0xF0 ? 4 : byte >= 0xE0 ? 3 : byte >= 0xC0 ? 2 : 1;
+  if (lead + characterLength <= buffer.length || lead === 0) {
+    return buffer.length;
+  }
+  return lead;
+}
+
+/**
+ * Reads one page of a large text file. Pages end at a line break where there is one, so
+ * lines are not cut, and otherwise between two UTF-8 characters.
+ * @param {string} filePath - Absolute path to the file
+ * @param {number} size - File size in bytes
+ * @param {number} offset - Byte offset the page starts at
+ * @param {number} pageSize - Maximum page size in bytes
+ * @returns {Promise<{text: string, start: number, end: number, size: number, firstLine: number, lineCount: number,
+ *   previous: number|null}>} Page text, its byte range and lines, and the offset of the previous page (null on the first)
+ */
+async function readTextPage(filePath, size, offset, pageSize) {
+  const start = offset < size ? Math.max(0, offset) : 0;
+  const buffer = await readFileRange(filePath, start, pageSize);
+
+  let length = buffer.length;
+  if (start + length < size) {
+    const lastBreak = buffer.lastIndexOf(10);
+    if (lastBreak !== -1) {
+      length = lastBreak + 1;
+    } else {
+      length = trimIncompleteCharacter(buffer);
+    }
+  }
+
+  // The previous page starts at the first line beginning within a page size before this one
+  let previous = null;
+  if (start > 0) {
+    const from = Math.max(0, start - pageSize);
+    const before = from > 0 ? await readFileRange(filePath, from, start - from) : null;
+    const lineStart = before ? before.indexOf(10) : -1;
+    if (lineStart !== -1 && from + lineStart + 1 < start) {
+      previous = from + lineStart + 1;
+    } else {
+      // Without a line break, start at the first whole character
+      let skipped = 0;
+      while (before && skipped < before.length && (before[skipped] & 0xC0) === 0x80) {
+        skipped++;
+      }
+      previous = from + skipped;
+    }
+  }
+
+  const text = buffer.subarray(0, length).toString('utf-8');
+  return {
+    text,
+    start,
+    end:       start + length,
+    size,
+    firstLine: await countLineBreaks(filePath, start) + 1,
+    lineCount: text.split('\n').length - (text.endsWith('\n') ? 1 : 0),
+    previous
+  };
+}
+
+/**
+ * Gets the git information shown in a file page's header
+ * @param {string} filePath - Absolute path to the file
+ * @param {boolean} showGit - Whether git information is wanted at all
+ * @returns {Promise<{lastCommit: Object|null, canBlame: boolean}|null>} Last commit of the file and whether it has a
+ *   blame view, or null when git information is off or the file is not in a git repository
+ */
+async function getGitInfo(filePath, showGit) {
+  if (!showGit || !(await getRepositoryRoot(path.dirname(filePath)))) {
+    return null;
+  }
+  return { lastCommit: await getLastCommit(filePath), canBlame: !(await isBinaryFile(filePath)) };
+}
+
+/**
+ * Builds the page for a directory: its listing, with the first index file found
+ * (e.g. README.md) rendered as the landing content
+ * @param {string} dirPath - Absolute path to the directory
+ * @param {string} requestedPath - URL path of the directory
+ * @param {string} rootDir - Root directory for the server
+ * @param {Object} [options={}] - Page options
+ * @param {string[]} [options.indexFiles=DEFAULT_INDEX_FILES] - Index file names, in order of preference
+ * @param {boolean} [options.showDrafts=false] - Include markdown files marked `draft: true`
+ * @param {function(string): (boolean|Promise<boolean>)} [options.canRead] - Access check leaving out entries the visitor may not read
+ * @param {boolean} [options.showListing=false] - Show only the file table, even when there is an index file
+ * @param {boolean} [options.isStatic=false] - Leave out features that need the server (search, live reload)
+ * @param {string} [options.theme] - Theme used until the visitor picks one with the toggle
+ * @param {string} [options.basePath=''] - Path the server is mounted under
+ * @param {string|null} [options.nonce=null] - Script nonce of the current response
+ * @param {boolean} [options.showGit=false] - Show the last commit of each entry when the directory is in a git repository
+ * @param {{key: string, order: string}} [options.sort=DEFAULT_LISTING_SORT] - Listing order, see parseListingSort
+ * @returns {Promise<string>} Complete HTML document
+ */
+async function renderDirectoryPage(dirPath, requestedPath, rootDir, options = {}) {
+  const {
+    indexFiles = DEFAULT_INDEX_FILES,
+    showDrafts = false,
+    canRead = null,
+    showListing = false,
+    isStatic = false,
+    theme,
+    basePath = '',
+    nonce = null,
+    showGit = false,
+    sort = DEFAULT_LISTING_SORT
+  } = options;
+  const files = await listDirectory(dirPath, rootDir, { showDrafts, canRead, sort });
+  const commits = showGit && await getRepositoryRoot(dirPath) ? await getDirectoryCommits(dirPath) : null;
+
+  const indexFile = findIndexFile(files, indexFiles);
+
+  let readme = null;
+  if (indexFile) {
+    const indexContent = await fs.promises.readFile(path.join(dirPath, indexFile.name), 'utf-8');
+    readme = { name: indexFile.name, html: renderMarkdown(parseFrontMatter(indexContent).body).html };
+  }
+
+  const currentPath = getDirectoryPath(requestedPath);
+  return generateDirectoryHTML(dirPath, files, currentPath, rootDir, { readme, showListing, isStatic, theme, basePath, nonce, commits, sort });
+}
+
+/**
+ * Builds the page for a file: an image viewer, a metadata card for binary files,
+ * or the rendered / highlighted text content
+ * @param {string} filePath - Absolute path to the file
+ * @param {string} requestedPath - URL path of the file
+ * @param {Object} [options={}] - Page options
+ * @param {boolean} [options.isStatic=false] - Leave out features that need the server (search, live reload)
+ * @param {string} [options.theme] - Theme used until the visitor picks one with the toggle
+ * @param {string} [options.basePath=''] - Path the server is mounted under
+ * @param {string|null} [options.nonce=null] - Script nonce of the current response
+ * @param {boolean} [options.showGit=false] - Show the last commit and History / Blame tabs when the file is in a git repository
+ * @param {number} [options.maxFileSize] - Text files larger than this are shown one page of this many bytes at a time
+ * @param {number} [options.highlightSize] - Code larger than this is shown without syntax highlighting
+ * @param {number} [options.offset=0] - Byte offset of the page of a large file to show
+ * @returns {Promise<string>} Complete HTML document
+ */
+async function renderFilePage(filePath, requestedPath, options = {}) {
+  const {
+    isStatic = false,
+    theme,
+    basePath = '',
+    nonce = null,
+    showGit = false,
+    maxFileSize = DEFAULT_MAX_FILE_SIZE,
+    highlightSize = DEFAULT_HIGHLIGHT_SIZE,
+    offset = 0
+  } = options;
+  const pageOptions = { isStatic, theme, basePath, nonce, git: await getGitInfo(filePath, showGit) };
+  const fileName = path.basename(filePath);
+  const mimeType = mime.getType(filePath);
+
+  if (mimeType && mimeType.startsWith('image/')) {
+    // Handle images by displaying them in a wrapper page
+    return generateImageHTML(fileName, requestedPath, pageOptions);
+  }
+
+  if (await isBinaryFile(filePath)) {
+    // Binary files get a metadata card with a download link instead of decoded text
+    return generateBinaryHTML(fileName, requestedPath, await getFileInfo(filePath), mimeType, pageOptions);
+  }
+
+  // Handle all other files as text
+  try {
+    const { size } = await fs.promises.stat(filePath);
+
+    if (size > maxFileSize || offset > 0) {
+      // Large files are shown as numbered lines, a page at a time
+      const page = await readTextPage(filePath, size, offset, maxFileSize);
+      const language = await detectLanguage(filePath, page.text);
+      const lineView = { highlight: page.end - page.start <= highlightSize, firstLine: page.firstLine, range: page };
+      return generateFileHTML(fileName, page.text, requestedPath, false, language, false, false, { ...pageOptions, lineView });
+    }
+
+    const content = await fs.promises.readFile(filePath, 'utf-8');
+
+    const { isMarkdown, isMermaid, isHtml } = getTextFormat(filePath);
+    const language = await detectLanguage(filePath, content);
+
+    // Formats with a renderer plugin; if it fails, the file is shown as usual
+    const rendered = await renderDocument(filePath, content, { requestedPath, basePath, isStatic });
+    if (rendered) {
+      return generateFileHTML(fileName, content, requestedPath, false, language, false, false, { ...pageOptions, rendered });
+    }
+
+    // Code is shown as numbered lines, without highlighting above highlightSize
+    const lineView = !isMarkdown && !isMermaid && !isHtml
+      ? { highlight: size <= highlightSize, firstLine: 1, range: null }
+      : null;
+
+    return generateFileHTML(fileName, content, requestedPath, isMarkdown, language, isHtml, isMermaid, { ...pageOptions, lineView });
+  } catch (readError) {
+    // If file can't be read as text, show error message
+    const errorContent = `Error reading file: ${readError.message}`;
+    return generateFileHTML(fileName, errorContent, requestedPath, false, null, false, false, pageOptions);
+  }
+}
+
+/**
+ * Builds the commit history page of a file
+ * @param {string} filePath - Absolute path to the file
+ * @param {string} requestedPath - URL path of the file
+ * @param {Object} [options={}] - Page options (isStatic, theme, basePath, nonce), as for renderFilePage
+ * @returns {Promise<string|null>} Complete HTML document, or null when the file is not in a git repository
+ */
+async function renderHistoryPage(filePath, requestedPath, options = {}) {
+  const { isStatic = false, theme, basePath = '', nonce = null } = options;
+  const commits = await getFileHistory(filePath);
+  if (!commits) {
+    return null;
+  }
+
+  const git = { lastCommit: commits[0] || null, canBlame: !(await isBinaryFile(filePath)) };
+  return generateHistoryHTML(path.basename(filePath), requestedPath, commits, { isStatic, theme, basePath, nonce, git });
+}
+
+/**
+ * Builds the blame page of a text file
+ * @param {string} filePath - Absolute path to the file
+ * @param {string} requestedPath - URL path of the file
+ * @param {Object} [options={}] - Page options (isStatic, theme, basePath, nonce), as for renderFilePage
+ * @returns {Promise<string|null>} Complete HTML document, or null for binary files and files git does not track
+ */
+async function renderBlamePage(filePath, requestedPath, options = {}) {
+  const { isStatic = false, theme, basePath = '', nonce = null } = options;
+  if (await isBinaryFile(filePath)) {
+    return null;
+  }
+
+  const blame = await getBlame(filePath);
+  if (!blame) {
+    return null;
+  }
+
+  const content = await fs.promises.readFile(filePath, 'utf-8');
+  const language = await detectLanguage(filePath, content);
+  const git = { lastCommit: await getLastCommit(filePath), canBlame: true };
+  return generateBlameHTML(path.basename(filePath), requestedPath, content, language, blame, { isStatic, theme, basePath, nonce, git });
+}
+
+/**
+ * Describes a revision for the diff page
+ * @param {string} revision - Revision as requested
+ * @param {string} commit - Commit it resolved to
+ * @returns {string} e.g. "main (1a2b3c4)", or just the short hash when a hash was requested
+ */
+function describeRevision(revision, commit) {
+  const shortHash = commit.slice(0, 7);
+  return commit.startsWith(revision) ? shortHash : `${revision} (${shortHash})`;
+}
+
+/**
+ * Builds the diff page of a file between two revisions, or a revision and the working tree
+ * @param {string} filePath - Absolute path to the file in the working tree (it may have been deleted)
+ * @param {string} requestedPath - URL path of the file
+ * @param {Object} [options={}] - Diff and page options
+ * @param {string} [options.from='HEAD'] - Old revision
+ * @param {string|null} [options.to=null] - New revision, or null for the working tree
+ * @param {string} [options.mode='split'] - split, unified or (for markdown) rendered
+ * @param {string} [options.theme] - Theme used until the visitor picks one with the toggle
+ * @param {string} [options.basePath=''] - Path the server is mounted under
+ * @param {string|null} [options.nonce=null] - Script nonce of the current response
+ * @returns {Promise<{html: string|null, status: number|null, message: string|null}>} Complete HTML document,
+ *   or the error status and message to respond with
+ */
+async function renderDiffPage(filePath, requestedPath, options = {}) {
+  const { from = 'HEAD', to = null, mode = 'split', theme, basePath = '', nonce = null } = options;
+  const error = (status, message) => ({ html: null, status, message });
+
+  if (!(await getRepositoryRoot(path.dirname(filePath)))) {
+    return error(404, 'No git history for this file');
+  }
+
+  const fromCommit = await resolveRevision(path.dirname(filePath), from);
+  const toCommit = to ? await resolveRevision(path.dirname(filePath), to) : null;
+  if (!fromCommit || (to && !toCommit)) {
+    return error(400, `Unknown revision: ${fromCommit ? to : from}`);
+  }
+
+  const oldText = await getFileAtRevision(filePath, fromCommit);
+  let newText = null;
+  if (toCommit) {
+    newText = await getFileAtRevision(filePath, toCommit);
+  } else {
+    newText = await fs.promises.readFile(filePath, 'utf-8').catch(() => null);
+  }
+  if (oldText === null && newText === null) {
+    return error(404, 'File not found');
+  }
+
+  const isMarkdown = getTextFormat(filePath).isMarkdown;
+  const isBinary = [oldText, newText].some(text => text !== null && text.includes('\0'));
+  const language = await detectLanguage(filePath, newText || oldText);
+  const hunks = isBinary ? [] : diffLines(oldText || '', newText || '', { language });
+  const diffMode = mode === 'unified' || (mode === 'rendered' && isMarkdown) ? mode : 'split';
+
+  const diff = {
+    from: { revision: from, label: describeRevision(from, fromCommit) },
+    to:   { revision: to, label: toCommit ? describeRevision(to, toCommit) : 'working tree' },
+    mode: diffMode,
+    isMarkdown,
+    isBinary,
+    hunks,
+    html: diffMode === 'rendered' ? renderMarkdownDiff(oldText || '', newText || '') : null
+  };
+  const git = newText !== null && !toCommit
+    ? { lastCommit: await getLastCommit(filePath), canBlame: !isBinary }
+    : null;
+
+  return { html: generateDiffHTML(path.basename(filePath), requestedPath, diff, { theme, basePath, nonce, git }), status: null, message: null };
+}
+
+/**
+ * Lists the files under rootDir changed since the working tree branched off a base branch,
+ * leaving out hidden, gitignored and unreadable files
+ * @param {string} rootDir - Root directory for the server
+ * @param {Object} [options={}] - Options
+ * @param {string|null} [options.base=null] - Base branch; by default the remote's default branch, main or master
+ * @param {function(string): (boolean|Promise<boolean>)} [options.canRead] - Access check leaving out files the visitor may not read
+ * @returns {Promise<{base: string, mergeBase: string, files: Array<{path: string, status: string}>}|{status: number, message: string}>}
+ *   Changed files with their URL paths, or the error status and message to respond with
+ */
+async function describeChanges(rootDir, { base = null, canRead = null } = {}) {
+  if (!(await getRepositoryRoot(rootDir))) {
+    return { status: 404, message: 'Not a git repository' };
+  }
+
+  const baseBranch = base || await getDefaultBaseBranch(rootDir);
+  if (!baseBranch) {
+    return { status: 404, message: 'No base branch found, add ?base=<branch>' };
+  }
+
+  const changes = await getChangedFiles(rootDir, baseBranch);
+  if (!changes) {
+    return { status: 400, message: `Unknown revision: ${baseBranch}` };
+  }
+
+  const readablePaths = new Set(await filterReadable(changes.files.map(file => file.path), rootDir, canRead));
+  const files = changes.files
+    .filter(file => readablePaths.has(file.path))
+    .map(file => ({ path: `/${path.relative(rootDir, file.path).split(path.sep).join('/')}`, status: file.status }));
+
+  return { base: baseBranch, mergeBase: changes.mergeBase, files };
+}
+
+/**
+ * Builds the page listing the files under rootDir changed since the working tree branched off a base branch
+ * @param {string} rootDir - Root directory for the server
+ * @param {Object} [options={}] - Options
+ * @param {string|null} [options.base=null] - Base branch; by default the remote's default branch, main or master
+ * @param {function(string): (boolean|Promise<boolean>)} [options.canRead] - Access check leaving out files the visitor may not read
+ * @param {string} [options.theme] - Theme used until the visitor picks one with the toggle
+ * @param {string} [options.basePath=''] - Path the server is mounted under
+ * @param {string|null} [options.nonce=null] - Script nonce of the current response
+ * @returns {Promise<{html: string|null, status: number|null, message: string|null}>} Complete HTML document,
+ *   or the error status and message to respond with
+ */
+async function renderChangesPage(rootDir, options = {}) {
+  const { base = null, canRead = null, theme, basePath = '', nonce = null } = options;
+  const changes = await describeChanges(rootDir, { base, canRead });
+  if (changes.status) {
+    return { html: null, status: changes.status, message: changes.message };
+  }
+
+  const html = generateChangesHTML(changes.base, changes.mergeBase, changes.files, { theme, basePath, nonce });
+  return { html, status: null, message: null };
+}
+
+/**
+ * Describes a directory for the JSON API: its visible entries and landing index file
+ * @param {string} dirPath - Absolute path to the directory
+ * @param {string} requestedPath - URL path of the directory
+ * @param {string} rootDir - Root directory for the server
+ * @param {Object} [options={}] - Listing options
+ * @param {string[]} [options.indexFiles=DEFAULT_INDEX_FILES] - Index file names, in order of preference
+ * @param {boolean} [options.showDrafts=false] - Include markdown files marked `draft: true`
+ * @param {function(string): (boolean|Promise<boolean>)} [options.canRead] - Access check leaving out entries the visitor may not read
+ * @param {{key: string, order: string}} [options.sort=DEFAULT_LISTING_SORT] - Order of the entries, see parseListingSort
+ * @returns {Promise<Object>} Directory description with the getFileInfo objects of its entries, each with its URL path
+ */
+async function describeDirectory(dirPath, requestedPath, rootDir, options = {}) {
+  const { indexFiles = DEFAULT_INDEX_FILES, showDrafts = false, canRead = null, sort = DEFAULT_LISTING_SORT } = options;
+  const currentPath = getDirectoryPath(requestedPath);
+  const files = await listDirectory(dirPath, rootDir, { showDrafts, canRead, sort });
+  const indexFile = findIndexFile(files, indexFiles);
+
+  return {
+    path:        currentPath || '/',
+    name:        currentPath ? path.basename(dirPath) : '',
+    isDirectory: true,
+    index:       indexFile ? `${currentPath}/${indexFile.name}` : null,
+    files:       files.map(file => ({ ...file, path: `${currentPath}/${file.name}` }))
+  };
+}
+
+/**
+ * Describes a file for the JSON API: its metadata, detected language and, for text
+ * files, the rendered HTML (plus the heading outline and front matter of markdown files and
+ * of documents rendered by a renderer plugin, which is named in `renderer`)
+ * @param {string} filePath - Absolute path to the file
+ * @param {string} requestedPath - URL path of the file
+ * @param {Object} [options={}] - Description options
+ * @param {number} [options.maxFileSize] - Text files larger than this are not rendered; `tooLarge` is set instead
+ * @returns {Promise<Object>} File description
+ */
+async function describeFile(filePath, requestedPath, { maxFileSize = DEFAULT_MAX_FILE_SIZE } = {}) {
+  const mimeType = mime.getType(filePath);
+  const isBinary = await isBinaryFile(filePath);
+  const description = {
+    path:     requestedPath,
+    ...(await getFileInfo(filePath)),
+    mimeType,
+    isBinary,
+    language: null,
+    html:     null
+  };
+
+  const isImage = Boolean(mimeType && mimeType.startsWith('image/'));
+  if (isBinary || isImage) {
+    return description;
+  }
+  if (description.size > maxFileSize) {
+    description.tooLarge = true;
+    return description;
+  }
+
+  const content = await fs.promises.readFile(filePath, 'utf-8');
+  const { isMarkdown, isMermaid, isHtml } = getTextFormat(filePath);
+  description.language = await detectLanguage(filePath, content);
+
+  const rendered = await renderDocument(filePath, content, { requestedPath });
+  if (rendered) {
+    description.renderer = rendered.renderer;
+    description.html = rendered.html;
+    description.headings = rendered.headings;
+    description.frontMatter = rendered.frontMatter;
+    return description;
+  }
+
+  if (isHtml) {
+    description.html = content;
+    return description;
+  }
+
+  const { html, headings, frontMatter } = renderFileContent(content, { isMarkdown, language: description.language, isMermaid });
+  description.html = html;
+  if (isMarkdown) {
+    description.headings = headings;
+    description.frontMatter = frontMatter;
+  }
+  return description;
+}
+
+module.exports = {
+  DEFAULT_INDEX_FILES,
+  DEFAULT_MAX_FILE_SIZE,
+  DEFAULT_HIGHLIGHT_SIZE,
+  listDirectory,
+  renderDirectoryPage,
+  renderFilePage,
+  renderHistoryPage,
+  renderBlamePage,
+  renderDiffPage,
+  renderChangesPage,
+  describeChanges,
+  describeDirectory,
+  describeFile
+};
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview In-memory LRU cache of rendered pages, with hit and miss counters for tuning
+ */
+
+/**
+ * Share of the byte limit a single page may take up; larger pages are not cached, so one
+ * huge page cannot push out many small ones
+ * @type {number}
+ */
+const MAX_ENTRY_SHARE = 1 / 8;
+
+/**
+ * Creates a cache keeping the most recently used rendered pages, bounded by their number and
+ * their total size. Keys are expected to change whenever the rendered output would (e.g. they
+ * include the file's mtime and size), so entries never need to be checked against the file system.
+ * @param {Object} [options={}] - Cache options
+ * @param {number} [options.maxEntries=500] - Pages kept before the least recently used is dropped; 0 turns the cache off
+ * @param {number} [options.maxBytes=67108864] - Total UTF-8 size of the kept pages; pages larger than an eighth
+ *   of it are not cached
+ * @returns {{get: function(string): (string|undefined), set: function(string, string): void, clear: function(): void,
+ *   stats: function(): {hits: number, misses: number, evictions: number, entries: number, maxEntries: number,
+ *   bytes: number, maxBytes: number, hitRate: number}}}
+ *   Cache functions
+ */
+function createRenderCache({ maxEntries = 500, maxBytes = 64 * 1024 * 1024 } = {}) {
+  /** @type {Map<string, {value: string, size: number}>} Entries in least to most recently used order */
+  const entries = new Map();
+  let bytes = 0;
+  let hits = 0;
+  let misses = 0;
+  let evictions = 0;
+
+  /**
+   * Removes an entry and its size from the total
+   * @param {string} key - Cache key
+   */
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (entry) {
+      bytes -= entry.size;
+      entries.delete(key);
+    }
+  };
+
+  /**
+   * Looks up an entry and marks it as most recently used
+   * @param {string} key - Cache key
+   * @returns {string|undefined} Cached page, or undefined on a miss
+   */
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      misses++;
+      return undefined;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    hits++;
+    return entry.value;
+  };
+
+  /**
+   * Stores an entry, dropping the least recently used ones beyond maxEntries or maxBytes
+   * @param {string} key - Cache key
+   * @param {string} value - Page to cache
+   */
+  const set = (key, value) => {
+    const size = Buffer.byteLength(value);
+    remove(key);
+    if (maxEntries === 0 || size > maxBytes * MAX_ENTRY_SHARE) {
+      return;
+    }
+
+    entries.set(key, { value, size });
+    bytes += size;
+    while (entries.size > maxEntries || bytes > maxBytes) {
+      remove(entries.keys().next().value);
+      evictions++;
+    }
+  };
+
+  /**
+   * Drops every entry, keeping the counters
+   */
+  const clear = () => {
+    entries.clear();
+    bytes = 0;
+  };
+
+  /**
+   * Reports the counters since the cache was created
+   * @returns {{hits: number, misses: number, evictions: number, entries: number, maxEntries: number,
+   *   bytes: number, maxBytes: number, hitRate: number}}
+   *   Counters, current size in entries and bytes, and the share of lookups that were hits
+   */
+  const stats = () => ({
+    hits,
+    misses,
+    evictions,
+    entries:  entries.size,
+    maxEntries,
+    bytes,
+    maxBytes,
+    hitRate:  hits + misses > 0 ? hits / (hits + misses) : 0
+  });
+
+  return { get, set, clear, stats };
+}
+
+module.exports = {
+  createRenderCache
+};
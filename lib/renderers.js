@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Renderer plugins, which show document formats beyond markdown, mermaid, HTML and
+ * code. A plugin is `{ name, match(file), render(content, ctx) }`; the built-in ones render
+ * reStructuredText, AsciiDoc, Jupyter notebooks and OpenAPI descriptions.
+ */
+
+const path = require('node:path');
+const hljs = require('highlight.js');
+
+const { escapeHtml }                           = require('./htmlUtils');
+const { renderMarkdown, sanitizeMarkdownHtml } = require('./markdownRenderer');
+const { getFileTypeFor }                       = require('./fileTypes');
+const { rstRenderer }                          = require('./rstRenderer');
+const { asciidocRenderer }                     = require('./asciidocRenderer');
+const { notebookRenderer }                     = require('./notebookRenderer');
+const { openApiRenderer }                      = require('./openApiRenderer');
+const { scopedMap }                            = require('./settingsScope');
+
+/**
+ * Renderers available without plugins
+ * @type {Array<Object>}
+ */
+const BUILT_IN_RENDERERS = [rstRenderer, asciidocRenderer, notebookRenderer, openApiRenderer];
+
+/**
+ * Registered renderers by name, in registration order; later renderers are asked first
+ * @type {Map<string, Object>}
+ */
+const renderers = new Map();
+
+/**
+ * Renderers loaded from an app's renderers option, by name in loading order. They are asked before,
+ * and replace, the registered renderers of the same name, in that app only.
+ * @type {Map<string, Object>}
+ */
+const loadedRenderers = scopedMap();
+
+/**
+ * Checks that a renderer plugin has a name, match and render
+ * @param {Object} plugin - Renderer plugin
+ * @throws {Error} If the plugin has no name or is missing match or render
+ */
+function validateRenderer(plugin) {
+  if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+    throw new Error('Renderer plugin is missing its name');
+  }
+  for (const method of ['match', 'render']) {
+    if (typeof plugin[method] !== 'function') {
+      throw new Error(`Renderer plugin "${plugin.name}": ${method} must be a function`);
+    }
+  }
+}
+
+/**
+ * Registers a renderer plugin for every app in the process, replacing any renderer with the same name
+ * @param {Object} plugin - Renderer plugin
+ * @param {string} plugin.name - Unique name, e.g. `restructuredtext`
+ * @param {function(Object): boolean} plugin.match - Whether the plugin renders a file; gets the file's
+ *   `path` (absolute), `name`, `extension`, `type` (from the file type registry) and `content`
+ * @param {function(string, Object): (string|Object|Promise<string|Object>)} plugin.render - Renders the
+ *   content to HTML, or to `{ html, title?, headings?, frontMatter?, styles? }`; gets the context
+ *   described at renderDocument
+ * @returns {Object} The plugin
+ * @throws {Error} If the plugin has no name or is missing match or render
+ */
+function registerRenderer(plugin) {
+  validateRenderer(plugin);
+
+  // Re-registering moves the plugin to the end, so it is asked before the plugins registered earlier
+  renderers.delete(plugin.name);
+  renderers.set(plugin.name, plugin);
+  return plugin;
+}
+
+/**
+ * Loads renderer plugins from module paths or npm package names for the current app. A module
+ * exports one plugin or a list of them. Paths are relative to the working directory (the config
+ * file resolves its own paths against the served directory); packages are looked up from the
+ * served directory, then the working directory.
+ * @param {Array<string|Object>} plugins - Module paths, package names or plugin objects
+ * @param {string} rootDir - Served directory
+ * @throws {Error} If a module cannot be loaded or does not export valid plugins
+ */
+function loadRenderers(plugins, rootDir) {
+  for (const plugin of plugins) {
+    let exported = plugin;
+    if (typeof plugin === 'string') {
+      const isPath = path.isAbsolute(plugin) || /^\.\.?[\\/]/.test(plugin);
+      try {
+        exported = require(isPath ? path.resolve(plugin) : require.resolve(plugin, { paths: [rootDir, process.cwd()] }));
+      } catch (error) {
+        throw new Error(`Could not load renderer plugin "${plugin}": ${error.message.split('\n')[0]}`);
+      }
+    }
+    for (const renderer of Array.isArray(exported) ? exported : [exported]) {
+      validateRenderer(renderer);
+      loadedRenderers.delete(renderer.name);
+      loadedRenderers.set(renderer.name, renderer);
+    }
+  }
+}
+
+/**
+ * Lists the renderers of the current app: the registered ones, then the ones it loaded
+ * @returns {Array<Object>} Renderer plugins in registration order
+ */
+function listRenderers() {
+  const registered = [...renderers.values()].filter(renderer => !loadedRenderers.has(renderer.name));
+  return [...registered, ...loadedRenderers.values()];
+}
+
+/**
+ * Highlights code for a renderer, escaping it when the language is unknown
+ * @param {string} code - Source code
+ * @param {string|null} [language] - highlight.js language
+ * @returns {string} `<pre><code>` block
+ */
+function highlightCode(code, language) {
+  if (language && hljs.getLanguage(language)) {
+    try {
+      return `<pre><code class="hljs language-${escapeHtml(language)}">${hljs.highlight(code, { language }).value}</code></pre>`;
+    } catch (error) {
+      // Fall through to plain text
+    }
+  }
+  return `<pre><code>${escapeHtml(code)}</code></pre>`;
+}
+
+/**
+ * Finds the renderer for a file: the most recently registered one whose match accepts it
+ * @param {Object} file - File passed to match
+ * @returns {Object|null} Renderer plugin, or null if none matches
+ */
+function findRenderer(file) {
+  for (const renderer of listRenderers().reverse()) {
+    try {
+      if (renderer.match(file)) {
+        return renderer;
+      }
+    } catch (error) {
+      console.warn(`Warning: Renderer "${renderer.name}" failed to match ${file.name}:`, error.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Renders a text file with the renderer plugin that matches it. The HTML a plugin returns is
+ * sanitized like rendered markdown, so plugins cannot add scripts to pages.
+ * @param {string} filePath - Absolute path to the file
+ * @param {string} content - File content
+ * @param {Object} [options={}] - Context passed to the plugin's render, with these helpers added:
+ *   `file`, `escapeHtml(text)`, `highlight(code, language)` and `renderMarkdown(markdown)`
+ * @param {string} [options.requestedPath] - URL path of the file
+ * @param {string} [options.basePath=''] - Path the server is mounted under
+ * @param {boolean} [options.isStatic=false] - Whether the page is for a static site
+ * @returns {Promise<{renderer: string, html: string, title: string|null, headings: Array<Object>, frontMatter: Object, styles: string}|null>}
+ *   Rendered document, or null if no plugin matches the file or its render failed
+ */
+async function renderDocument(filePath, content, options = {}) {
+  const { requestedPath, basePath = '', isStatic = false } = options;
+  const file = {
+    path:      filePath,
+    name:      path.basename(filePath),
+    extension: path.extname(filePath).toLowerCase(),
+    type:      getFileTypeFor(filePath),
+    content
+  };
+  const renderer = findRenderer(file);
+  if (!renderer) {
+    return null;
+  }
+
+  let result;
+  try {
+    result = await renderer.render(content, {
+      file,
+      requestedPath,
+      basePath,
+      isStatic,
+      escapeHtml,
+      highlight: highlightCode,
+      renderMarkdown
+    });
+  } catch (error) {
+    console.error(`Error rendering ${requestedPath || file.name} with the "${renderer.name}" renderer:`, error);
+    return null;
+  }
+
+  const { html = '', title = null, headings = [], frontMatter = {}, styles = '' } = typeof result === 'string' ? { html: result } : result || {};
+  return { renderer: renderer.name, html: sanitizeMarkdownHtml(String(html)), title, headings, frontMatter, styles };
+}
+
+BUILT_IN_RENDERERS.forEach(registerRenderer);
+
+module.exports = {
+  registerRenderer,
+  loadRenderers,
+  listRenderers,
+  renderDocument
+};
@@ -0,0 +1,652 @@
+/**
+ * @fileoverview reStructuredText rendering: sections, paragraphs, lists, field and definition lists,
+ * literal and code blocks, admonitions, images, simple and grid tables, hyperlink targets and the
+ * common inline markup. Directives that need Sphinx or file access (include, autodoc) are left out.
+ */
+
+const { escapeHtml, stripTags }        = require('./htmlUtils');
+const { createSlugger, renderHeading } = require('./markdownRenderer');
+
+/**
+ * Characters that can underline (and overline) a section title
+ * @type {RegExp}
+ */
+const ADORNMENT_PATTERN = /^([!-/:-@[-`{-~])\1+\s*$/;
+
+/**
+ * Admonition directives, shown as asides titled with their name
+ * @type {string[]}
+ */
+const ADMONITIONS = ['attention', 'caution', 'danger', 'error', 'hint', 'important', 'note', 'tip', 'warning', 'seealso'];
+
+/**
+ * Directives whose content is source code, highlighted as the language named by their argument
+ * @type {string[]}
+ */
+const CODE_DIRECTIVES = ['code', 'code-block', 'sourcecode', 'highlight'];
+
+/**
+ * Directives that produce nothing outside Sphinx or need file access
+ * @type {string[]}
+ */
+const IGNORED_DIRECTIVES = ['contents', 'include', 'literalinclude', 'index', 'meta', 'highlight', 'default-role', 'role', 'only'];
+
+/**
+ * Inline markup, in order of precedence: literals, roles, links with a target, references,
+ * interpreted text, strong, emphasis, footnote references, named references and bare URLs
+ * @type {RegExp}
+ */
+const INLINE_PATTERN = new RegExp([
+  '``(.+?)``',
+  ':([\\w.+-]+):`(.+?)`',
+  '`([^`]*?)\\s*<([^`>]+)>`__?',
+  '`([^`]+?)`__?(?![\\w])',
+  '`([^`]+?)`(?::([\\w.+-]+):)?',
+  '\\*\\*(\\S(?:.*?\\S)?)\\*\\*',
+  '\\*(\\S(?:.*?\\S)?)\\*',
+  '\\[(#?[\\w-]*)\\]_',
+  '\\b([\\w-]+)__?(?![\\w])',
+  '(https?://[^\\s<>"]*[^\\s<>".,;:!?)\\]])'
+].join('|'), 'g');
+
+/**
+ * Checks whether a line is a section adornment or transition, e.g. `=====`
+ * @param {string} line - Line to check
+ * @returns {boolean} True for a line of one repeated punctuation character
+ */
+function isAdornment(line) {
+  return ADORNMENT_PATTERN.test(line);
+}
+
+/**
+ * Gets the indentation of a line
+ * @param {string} line - Line to measure
+ * @returns {number} Number of leading whitespace characters
+ */
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * Takes the indented block starting at a line: every following line that is blank or indented.
+ * Trailing blank lines are left out and the block is dedented.
+ * @param {string[]} lines - Lines of the enclosing block
+ * @param {number} start - Index of the first line of the block
+ * @returns {{lines: string[], end: number}} Dedented lines and the index after the block
+ */
+function takeIndented(lines, start) {
+  let end = start;
+  while (end < lines.length && (!lines[end].trim() || /^\s/.test(lines[end]))) {
+    end++;
+  }
+  let last = end;
+  while (last > start && !lines[last - 1].trim()) {
+    last--;
+  }
+  const block = lines.slice(start, last);
+  const indent = Math.min(...block.filter(line => line.trim()).map(indentOf));
+  return { lines: block.map(line => line.slice(Number.isFinite(indent) ? indent : 0)), end: last };
+}
+
+/**
+ * Normalizes a reference name, as reference names ignore case and whitespace differences
+ * @param {string} name - Reference name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Collects the external hyperlink targets of a document, e.g. `.. _Python: https://python.org`
+ * @param {string[]} lines - Document lines
+ * @returns {Map<string, string>} URLs by normalized reference name
+ */
+function collectTargets(lines) {
+  const targets = new Map();
+  for (const line of lines) {
+    const match = line.match(/^\s*\.\. _`?([^`:]+)`?:\s+(\S+)\s*$/);
+    if (match) {
+      targets.set(normalizeName(match[1]), match[2]);
+    }
+  }
+  return targets;
+}
+
+/**
+ * Renders inline markup to HTML
+ * @param {string} text - Text with inline markup
+ * @param {Object} state - Document state (targets)
+ * @returns {string} HTML
+ */
+function renderInline(text, state) {
+  const link = (href, label) => `<a href="${escapeHtml(href)}">${label}</a>`;
+  const reference = (name) => state.targets.get(normalizeName(name)) || `#${createSlugger()(name)}`;
+  const plain = (part) => escapeHtml(part.replace(/\\(.)/g, '$1'));
+
+  let html = '';
+  let lastIndex = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [whole, literal, role, roleText, linkText, linkTarget, refText, interpreted, suffixRole, strong, emphasis, footnote, name, url] = match;
+    html += plain(text.slice(lastIndex, match.index));
+    lastIndex = match.index + whole.length;
+
+    if (literal !== undefined) {
+      html += `<code>${escapeHtml(literal)}</code>`;
+    } else if (role !== undefined || suffixRole !== undefined) {
+      html += renderRole(role || suffixRole, role !== undefined ? roleText : interpreted);
+    } else if (linkTarget !== undefined) {
+      html += link(linkTarget.trim(), escapeHtml(linkText || linkTarget));
+    } else if (refText !== undefined) {
+      html += link(reference(refText), escapeHtml(refText));
+    } else if (interpreted !== undefined) {
+      html += `<em>${escapeHtml(interpreted)}</em>`;
+    } else if (strong !== undefined) {
+      html += `<strong>${plain(strong)}</strong>`;
+    } else if (emphasis !== undefined) {
+      html += `<em>${plain(emphasis)}</em>`;
+    } else if (footnote !== undefined) {
+      html += `<sup>[${escapeHtml(footnote)}]</sup>`;
+    } else if (name !== undefined) {
+      html += state.targets.has(normalizeName(name)) ? link(reference(name), escapeHtml(name)) : escapeHtml(whole);
+    } else {
+      html += link(url, escapeHtml(url));
+    }
+  }
+  return html + plain(text.slice(lastIndex));
+}
+
+/**
+ * Renders interpreted text with a role, e.g. :code:`x` or :doc:`Guide <guide>`
+ * @param {string} role - Role name
+ * @param {string} text - Interpreted text
+ * @returns {string} HTML
+ */
+function renderRole(role, text) {
+  const titled = text.match(/^(.*?)\s*<([^>]+)>$/);
+  const label = escapeHtml(titled ? titled[1] || titled[2] : text);
+  switch (role) {
+    case 'code':
+    case 'literal':
+    case 'file':
+    case 'command':
+    case 'samp':
+      return `<code>${escapeHtml(text)}</code>`;
+    case 'kbd':
+      return `<kbd>${escapeHtml(text)}</kbd>`;
+    case 'math':
+      return `<code class="math">${escapeHtml(text)}</code>`;
+    case 'strong':
+      return `<strong>${label}</strong>`;
+    case 'sub':
+    case 'subscript':
+      return `<sub>${label}</sub>`;
+    case 'sup':
+    case 'superscript':
+      return `<sup>${label}</sup>`;
+    case 'doc': {
+      // Sphinx document names have no extension
+      const target = titled ? titled[2] : text;
+      return `<a href="${escapeHtml(/\.\w+$/.test(target) ? target : `${target}.rst`)}">${label}</a>`;
+    }
+    default:
+      return `<em>${label}</em>`;
+  }
+}
+
+/**
+ * Renders the lines of a list item or table cell, without a wrapping paragraph when the
+ * content is a single paragraph
+ * @param {string[]} lines - Dedented lines
+ * @param {Object} state - Document state
+ * @returns {string} HTML
+ */
+function renderCompact(lines, state) {
+  const html = renderBlocks(lines, { ...state, nested: true }).trim();
+  const single = html.match(/^<p>([\s\S]*)<\/p>$/);
+  return single && !single[1].includes('<p>') ? single[1] : html;
+}
+
+/**
+ * Renders a section title and records it in the outline
+ * @param {string} title - Title text
+ * @param {string} style - Adornment character, plus `o` when the title is overlined
+ * @param {Object} state - Document state (headingStyles, headings, slug, title)
+ * @returns {string} Heading HTML
+ */
+function renderSection(title, style, state) {
+  if (!state.headingStyles.includes(style)) {
+    state.headingStyles.push(style);
+  }
+  const level = Math.min(state.headingStyles.indexOf(style) + 1, 6);
+  const html = renderInline(title, state);
+  const text = stripTags(html);
+  const id = state.slug(text);
+  state.headings.push({ level, text, id });
+  if (level === 1 && state.title === null) {
+    state.title = text;
+  }
+  return renderHeading(html, level, id);
+}
+
+/**
+ * Parses the first line and indented body of a directive
+ * @param {string} argument - Text after `::` on the directive line
+ * @param {string[]} body - Dedented body lines
+ * @returns {{argument: string, options: Object<string, string>, body: string[], content: string[]}} Directive parts:
+ *   the body after the options, and the content, which is the body without leading blank lines
+ */
+function parseDirective(argument, body) {
+  const options = {};
+  let index = 0;
+  for (; index < body.length; index++) {
+    const option = body[index].match(/^:([\w-]+):\s*(.*)$/);
+    if (!option) {
+      break;
+    }
+    options[option[1]] = option[2].trim();
+  }
+  const rest = body.slice(index);
+  const content = [...rest];
+  while (content.length && !content[0].trim()) {
+    content.shift();
+  }
+  return { argument: argument.trim(), options, body: rest, content };
+}
+
+/**
+ * Renders a directive such as `.. note::` or `.. code-block:: python`
+ * @param {string} name - Directive name
+ * @param {string} argument - Text after `::`
+ * @param {string[]} body - Dedented body lines
+ * @param {Object} state - Document state
+ * @returns {string} HTML
+ */
+function renderDirective(name, argument, body, state) {
+  const directive = parseDirective(argument, body);
+  const content = directive.content.join('\n');
+
+  if (CODE_DIRECTIVES.includes(name) && content) {
+    return state.highlight(content, directive.argument || null);
+  }
+  if (ADMONITIONS.includes(name) || name === 'admonition' || name === 'topic' || name === 'sidebar') {
+    const title = name === 'seealso' ? 'See also'
+      : ADMONITIONS.includes(name) ? name[0].toUpperCase() + name.slice(1)
+      : directive.argument;
+    // An admonition's argument is the start of its text; a generic admonition's is its title
+    const lines = ADMONITIONS.includes(name) && directive.argument ? [directive.argument, ...directive.body] : directive.content;
+    return `<aside class="admonition admonition-${escapeHtml(name)}"><p class="admonition-title">${renderInline(title, state)}</p>${renderBlocks(lines, { ...state, nested: true })}</aside>\n`;
+  }
+  if (name === 'image' || name === 'figure') {
+    const { alt = '', width, target } = directive.options;
+    let image = `<img src="${escapeHtml(directive.argument)}" alt="${escapeHtml(alt)}"${width ? ` width="${escapeHtml(width)}"` : ''}>`;
+    if (target) {
+      image = `<a href="${escapeHtml(target)}">${image}</a>`;
+    }
+    return name === 'figure'
+      ? `<figure>${image}${content ? `<figcaption>${renderBlocks(directive.content, { ...state, nested: true })}</figcaption>` : ''}</figure>\n`
+      : `<p>${image}</p>\n`;
+  }
+  if (name === 'math') {
+    return `<pre class="math">${escapeHtml(content || directive.argument)}</pre>\n`;
+  }
+  if (name === 'rubric') {
+    return `<p class="rubric"><strong>${renderInline(directive.argument, state)}</strong></p>\n`;
+  }
+  if (name === 'epigraph' || name === 'highlights' || name === 'pull-quote') {
+    return `<blockquote>${renderBlocks(directive.content, { ...state, nested: true })}</blockquote>\n`;
+  }
+  if (name === 'toctree') {
+    const entries = directive.content.filter(line => line.trim()).map(line => {
+      const titled = line.trim().match(/^(.*?)\s*<([^>]+)>$/);
+      const target = titled ? titled[2] : line.trim();
+      const href = /^\w+:/.test(target) || /\.\w+$/.test(target) ? target : `${target}.rst`;
+      return `<li><a href="${escapeHtml(href)}">${escapeHtml(titled ? titled[1] : target)}</a></li>`;
+    });
+    return entries.length ? `<ul class="toctree">${entries.join('')}</ul>\n` : '';
+  }
+  if (name === 'raw') {
+    // Sanitized with the rest of the document
+    return directive.argument === 'html' ? `${content}\n` : '';
+  }
+  if (IGNORED_DIRECTIVES.includes(name)) {
+    return '';
+  }
+  return content ? `<pre class="rst-directive">${escapeHtml(content)}</pre>\n` : '';
+}
+
+/**
+ * Renders a simple table, whose columns are marked by `=====  =====` borders
+ * @param {string[]} lines - Table lines, borders included
+ * @param {Object} state - Document state
+ * @returns {string} Table HTML
+ */
+function renderSimpleTable(lines, state) {
+  const columns = [...lines[0].matchAll(/=+/g)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+  const borders = lines.map((line, index) => (/^=+( +=+)*\s*$/.test(line) ? index : -1)).filter(index => index !== -1);
+  const headerEnd = borders.length > 2 ? borders[1] : 0;
+
+  const rows = [];
+  lines.forEach((line, index) => {
+    if (borders.includes(index) || /^-+( +-+)*\s*$/.test(line) || !line.trim()) {
+      return;
+    }
+    const cells = columns.map((column, columnIndex) => line
+      .slice(column.start, columnIndex === columns.length - 1 ? undefined : columns[columnIndex + 1].start)
+      .trim());
+    // A line with an empty first column continues the row above
+    if (!cells[0] && rows.length && rows[rows.length - 1].index > headerEnd === index > headerEnd) {
+      rows[rows.length - 1].cells.forEach((cell, cellIndex) => cells[cellIndex] && cell.push(cells[cellIndex]));
+    } else {
+      rows.push({ index, cells: cells.map(cell => [cell]) });
+    }
+  });
+
+  return renderTable(rows.map(row => ({
+    header: row.index < headerEnd,
+    cells:  row.cells.map(cell => cell.filter(Boolean))
+  })), state);
+}
+
+/**
+ * Renders a grid table, drawn with `+---+` borders and `|` column separators. Cells spanning
+ * several columns or rows are split along the grid.
+ * @param {string[]} lines - Table lines, borders included
+ * @param {Object} state - Document state
+ * @returns {string} Table HTML
+ */
+function renderGridTable(lines, state) {
+  const boundaries = [...lines[0].matchAll(/\+/g)].map(match => match.index);
+  const rows = [];
+  let cells = null;
+  let header = true;
+  const hasHeader = lines.some(line => /^\+(=+\+)+\s*$/.test(line));
+
+  for (const line of lines.slice(1)) {
+    if (/^\+([-=]+\+)+\s*$/.test(line)) {
+      if (cells) {
+        rows.push({ header: hasHeader && header, cells });
+      }
+      if (line.includes('=')) {
+        header = false;
+      }
+      cells = null;
+      continue;
+    }
+    cells = cells || boundaries.slice(1).map(() => []);
+    boundaries.slice(1).forEach((end, index) => {
+      cells[index].push(line.slice(boundaries[index] + 1, end).replace(/^ /, '').trimEnd());
+    });
+  }
+
+  return renderTable(rows.map(row => ({
+    header: row.header,
+    cells:  row.cells.map(cell => {
+      const indent = Math.min(...cell.filter(text => text.trim()).map(indentOf));
+      return cell.map(text => text.slice(Number.isFinite(indent) ? indent : 0));
+    })
+  })), state);
+}
+
+/**
+ * Renders parsed table rows
+ * @param {Array<{header: boolean, cells: string[][]}>} rows - Rows, each cell as lines
+ * @param {Object} state - Document state
+ * @returns {string} Table HTML
+ */
+function renderTable(rows, state) {
+  const renderRow = (row) => {
+    const tag = row.header ? 'th' : 'td';
+    return `<tr>${row.cells.map(cell => `<${tag}>${renderCompact(cell, state)}</${tag}>`).join('')}</tr>`;
+  };
+  const head = rows.filter(row => row.header).map(renderRow).join('');
+  const body = rows.filter(row => !row.header).map(renderRow).join('');
+  return `<table>${head ? `<thead>${head}</thead>` : ''}<tbody>${body}</tbody></table>\n`;
+}
+
+/**
+ * Matches the marker of a list item
+ * @param {string} line - Line to check
+ * @returns {{ordered: boolean, marker: string, text: string}|null} Item marker and text, or null if the line starts no item
+ */
+function matchListItem(line) {
+  const bullet = line.match(/^([-*+•‣⁃])(?:\s+(.*))?$/);
+  if (bullet) {
+    return { ordered: false, marker: bullet[1], text: bullet[2] || '' };
+  }
+  const enumerated = line.match(/^(\(?)(\d+|#|[a-zA-Z])([.)])\s+(.*)$/);
+  if (enumerated && (enumerated[1] !== '(' || enumerated[3] === ')')) {
+    return { ordered: true, marker: `${enumerated[1]}${enumerated[3]}`, text: enumerated[4] };
+  }
+  return null;
+}
+
+/**
+ * Renders reStructuredText blocks
+ * @param {string[]} lines - Dedented lines
+ * @param {Object} state - Document state: targets, headingStyles, headings, slug, title, frontMatter,
+ *   highlight, and whether the lines are nested in another block or any body content came before
+ * @returns {string} HTML
+ */
+function renderBlocks(lines, state) {
+  let html = '';
+  let index = 0;
+  let literalNext = false;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const next = lines[index + 1];
+
+    if (!line.trim()) {
+      index++;
+      continue;
+    }
+
+    // Indented block: a literal block after "::", otherwise a block quote
+    if (/^\s/.test(line)) {
+      const block = takeIndented(lines, index);
+      html += literalNext
+        ? `<pre><code>${escapeHtml(block.lines.join('\n'))}</code></pre>\n`
+        : `<blockquote>${renderBlocks(block.lines, { ...state, nested: true })}</blockquote>\n`;
+      literalNext = false;
+      index = block.end;
+      continue;
+    }
+    literalNext = false;
+
+    // Overlined section title
+    if (!state.nested && isAdornment(line) && next && next.trim() && lines[index + 2] !== undefined
+      && isAdornment(lines[index + 2]) && lines[index + 2][0] === line[0]) {
+      html += renderSection(next.trim(), `${line[0]}o`, state);
+      index += 3;
+      continue;
+    }
+
+    // Underlined section title
+    if (!state.nested && next !== undefined && !isAdornment(line) && isAdornment(next)
+      && next.trim().length >= Math.min(line.trim().length, 3)) {
+      html += renderSection(line.trim(), next[0], state);
+      index += 2;
+      continue;
+    }
+
+    // Transition
+    if (isAdornment(line) && line.trim().length >= 4) {
+      html += '<hr>\n';
+      index++;
+      continue;
+    }
+
+    // Explicit markup: directives, hyperlink targets, footnotes and comments
+    const explicit = line.match(/^\.\.(?:\s+(.*))?$/);
+    if (explicit) {
+      const body = takeIndented(lines, index + 1);
+      const text = explicit[1] || '';
+      const directive = text.match(/^([\w.+-]+)::(.*)$/);
+      const footnote = text.match(/^\[(#?[\w-]*)\]\s*(.*)$/);
+      let output = '';
+      if (directive) {
+        output = renderDirective(directive[1].toLowerCase(), directive[2], body.lines, state);
+      } else if (footnote) {
+        output = `<div class="footnote" id="footnote-${escapeHtml(footnote[1])}">${renderBlocks([`[${footnote[1]}] ${footnote[2]}`, ...body.lines], { ...state, nested: true })}</div>\n`;
+      }
+      // Comments and hyperlink targets do not end the bibliographic fields
+      state.started = state.started || Boolean(output);
+      html += output;
+      index = body.end;
+      continue;
+    }
+
+    // Simple and grid tables
+    if (/^=+( +=+)+\s*$/.test(line) || /^\+(-+\+)+\s*$/.test(line)) {
+      let end = index + 1;
+      if (line[0] === '=') {
+        // Rows may be separated by blank lines; the table ends at a border followed by a blank line
+        while (end < lines.length && !(/^=+( +=+)*\s*$/.test(lines[end]) && !(lines[end + 1] || '').trim())) {
+          end++;
+        }
+        end = Math.min(end + 1, lines.length);
+      } else {
+        while (end < lines.length && lines[end].trim()) {
+          end++;
+        }
+      }
+      const table = lines.slice(index, end);
+      html += line[0] === '=' ? renderSimpleTable(table, state) : renderGridTable(table, state);
+      state.started = true;
+      index = end;
+      continue;
+    }
+
+    // Field lists; before any body content they hold the document's bibliographic fields
+    if (/^:[^:`\s][^:`]*:(\s|$)/.test(line)) {
+      const fields = [];
+      while (index < lines.length) {
+        const field = lines[index].match(/^:([^:`\s][^:`]*):(?:\s+(.*))?$/);
+        if (!field) {
+          break;
+        }
+        const body = takeIndented(lines, index + 1);
+        fields.push({ name: field[1], lines: [field[2] || '', ...body.lines].filter((text, lineIndex) => lineIndex > 0 || text) });
+        index = body.end;
+        while (index < lines.length && !lines[index].trim()) {
+          index++;
+        }
+      }
+      if (!state.nested && !state.started) {
+        fields.forEach(field => {
+          state.frontMatter[field.name.toLowerCase()] = field.lines.join(' ').trim();
+        });
+      } else {
+        html += `<dl class="field-list">${fields.map(field => `<dt>${escapeHtml(field.name)}</dt><dd>${renderCompact(field.lines, state)}</dd>`).join('')}</dl>\n`;
+      }
+      continue;
+    }
+    state.started = true;
+
+    // Bullet and enumerated lists
+    const item = matchListItem(line);
+    if (item) {
+      const items = [];
+      while (index < lines.length) {
+        const current = matchListItem(lines[index]);
+        if (!current || current.ordered !== item.ordered || current.marker !== item.marker) {
+          break;
+        }
+        const body = takeIndented(lines, index + 1);
+        items.push(renderCompact([current.text, ...body.lines], state));
+        index = body.end;
+        while (index < lines.length && !lines[index].trim()) {
+          index++;
+        }
+      }
+      const tag = item.ordered ? 'ol' : 'ul';
+      html += `<${tag}>${items.map(content => `<li>${content}</li>`).join('')}</${tag}>\n`;
+      continue;
+    }
+
+    // Doctest blocks
+    if (line.startsWith('>>>')) {
+      let end = index;
+      while (end < lines.length && lines[end].trim()) {
+        end++;
+      }
+      html += state.highlight(lines.slice(index, end).join('\n'), 'python-repl');
+      index = end;
+      continue;
+    }
+
+    // Paragraph, or a definition list item when indented lines follow the first line directly
+    let end = index;
+    while (end < lines.length && lines[end].trim() && !/^\s/.test(lines[end])) {
+      end++;
+    }
+    if (end === index + 1 && end < lines.length && /^\s/.test(lines[end]) && !line.trimEnd().endsWith('::')) {
+      const items = [];
+      while (index < lines.length && lines[index].trim() && !/^\s/.test(lines[index]) && lines[index + 1] && /^\s/.test(lines[index + 1])) {
+        const [term, ...classifiers] = lines[index].split(' : ');
+        const body = takeIndented(lines, index + 1);
+        const classifierHtml = classifiers.map(classifier => ` <span class="classifier">${renderInline(classifier, state)}</span>`).join('');
+        items.push(`<dt>${renderInline(term, state)}${classifierHtml}</dt><dd>${renderCompact(body.lines, state)}</dd>`);
+        index = body.end;
+        while (index < lines.length && !lines[index].trim()) {
+          index++;
+        }
+      }
+      html += `<dl>${items.join('')}</dl>\n`;
+      continue;
+    }
+
+    let text = lines.slice(index, end).map(paragraphLine => paragraphLine.trim()).join('\n');
+    if (text.endsWith('::')) {
+      // "Paragraph::" keeps one colon, "Paragraph ::" and a lone "::" keep none
+      literalNext = true;
+      text = text === '::' ? '' : text.replace(/\s*::$/, match => (match === '::' ? ':' : ''));
+    }
+    if (text) {
+      html += `<p>${renderInline(text, state)}</p>\n`;
+    }
+    index = end;
+  }
+
+  return html;
+}
+
+/**
+ * Renders a reStructuredText document
+ * @param {string} content - reStructuredText source
+ * @param {Object} ctx - Renderer context; uses `highlight`
+ * @returns {{html: string, title: string|null, headings: Array<{level: number, text: string, id: string}>, frontMatter: Object}}
+ *   Rendered HTML, document title, heading outline and bibliographic fields
+ */
+function renderRst(content, ctx) {
+  const lines = content.replace(/\r\n?/g, '\n').replace(/\t/g, '        ').split('\n');
+  const state = {
+    targets:       collectTargets(lines),
+    headingStyles: [],
+    headings:      [],
+    slug:          createSlugger(),
+    title:         null,
+    frontMatter:   {},
+    highlight:     ctx.highlight,
+    nested:        false,
+    started:       false
+  };
+  const html = renderBlocks(lines, state);
+  return { html, title: state.title, headings: state.headings, frontMatter: state.frontMatter };
+}
+
+/**
+ * Renders files of the `restructuredtext` file type
+ * @type {{name: string, match: function(Object): boolean, render: function(string, Object): Object}}
+ */
+const rstRenderer = {
+  name:   'restructuredtext',
+  match:  file => file.type.id === 'restructuredtext',
+  render: renderRst
+};
+
+module.exports = {
+  renderRst,
+  rstRenderer
+};
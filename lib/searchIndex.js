@@ -0,0 +1,436 @@
+/**
+ * @fileoverview In-memory full-text index of the text files under the served directory
+ */
+
+const fs         = require('node:fs');
+const path       = require('node:path');
+const { marked } = require('marked');
+
+const { isVisiblePath }                  = require('./security');
+const { isBinaryContent }                = require('./fileUtils');
+const { getFileTypeFor }                 = require('./fileTypes');
+const { escapeHtml, stripTags }          = require('./htmlUtils');
+const { createRenderer }                 = require('./markdownRenderer');
+const { parseFrontMatter }               = require('./frontMatter');
+const { scopedMap }                      = require('./settingsScope');
+
+/**
+ * Files larger than this are left out of the index
+ * @type {number}
+ */
+const MAX_INDEXED_FILE_SIZE = 1024 * 1024;
+
+/**
+ * Minimum time between two walks of the directory tree looking for changes
+ * @type {number}
+ */
+const REFRESH_INTERVAL_MS = 5000;
+
+/**
+ * Maximum number of matching lines reported per file
+ * @type {number}
+ */
+const MAX_MATCHES_PER_FILE = 5;
+
+/**
+ * Snippets longer than this are cut down around the first match
+ * @type {number}
+ */
+const MAX_SNIPPET_LENGTH = 160;
+
+/**
+ * Indexes by root directory path, per app since apps may hide different files
+ * @type {Map<string, {documents: Map<string, Object>, lastRefresh: number, refreshing: Promise<void>|null}>}
+ */
+const indexes = scopedMap();
+
+/**
+ * Gets (creating if needed) the index for a root directory
+ * @param {string} rootDir - Root directory for the server
+ * @returns {{documents: Map<string, Object>, lastRefresh: number, refreshing: Promise<void>|null}} Index state,
+ *   with the walk in progress if there is one
+ */
+function getIndex(rootDir) {
+  if (!indexes.has(rootDir)) {
+    indexes.set(rootDir, { documents: new Map(), lastRefresh: 0, refreshing: null });
+  }
+  return indexes.get(rootDir);
+}
+
+/**
+ * Converts an absolute path into the URL path used to link to it
+ * @param {string} rootDir - Root directory for the server
+ * @param {string} filePath - Absolute path to the file
+ * @returns {string} URL path starting with a slash
+ */
+function toUrlPath(rootDir, filePath) {
+  return '/' + path.relative(rootDir, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Reduces text to lowercase letters and digits for loose comparisons
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeForComparison(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Extracts searchable lines from markdown using its rendered text, so markup is not
+ * matched and each line knows the heading (anchor) of the section it belongs to
+ * @param {string} content - Markdown source
+ * @returns {Array<{line: number, text: string, anchor: string|null, isHeading: boolean}>} Searchable lines
+ */
+function extractMarkdownLines(content) {
+  const { body, lineOffset } = parseFrontMatter(content);
+  const tokens   = marked.lexer(body);
+  const headings = [];
+  const renderer = createRenderer(headings);
+  const lines    = [];
+  let sourceLine = 1 + lineOffset;
+  let anchor     = null;
+
+  for (const token of tokens) {
+    const tokenList = [token];
+    tokenList.links = tokens.links;
+    const html = marked.parser(tokenList, { renderer });
+
+    if (token.type === 'heading') {
+      const heading = headings[headings.length - 1];
+      anchor = heading.id;
+      lines.push({ line: sourceLine, text: heading.text, anchor, isHeading: true });
+    } else {
+      // Map each rendered line back to the source line containing it, comparing only
+      // letters and digits so inline markup (links, emphasis) does not get in the way
+      const rawLines = token.raw.split('\n').map(normalizeForComparison);
+      let offset = 0;
+      stripTags(html).split('\n').forEach(text => {
+        const trimmed = text.trim();
+        const normalized = normalizeForComparison(trimmed);
+        if (!normalized) {
+          return;
+        }
+        const found = rawLines.findIndex((rawLine, i) => i >= offset && rawLine.includes(normalized));
+        offset = found === -1 ? offset : found;
+        lines.push({ line: sourceLine + offset, text: trimmed, anchor, isHeading: false });
+      });
+    }
+
+    sourceLine += (token.raw.match(/\n/g) || []).length;
+  }
+
+  return lines;
+}
+
+/**
+ * Extracts searchable lines from plain text
+ * @param {string} content - File content
+ * @returns {Array<{line: number, text: string, anchor: null, isHeading: boolean}>} Searchable lines
+ */
+function extractTextLines(content) {
+  const lines = [];
+  content.split('\n').forEach((text, index) => {
+    if (text.trim()) {
+      lines.push({ line: index + 1, text: text.trim(), anchor: null, isHeading: false });
+    }
+  });
+  return lines;
+}
+
+/**
+ * Reads a file and builds its index document
+ * @param {string} rootDir - Root directory for the server
+ * @param {string} filePath - Absolute path to the file
+ * @param {fs.Stats} stats - Stats for the file
+ * @returns {Promise<Object|null>} Index document, or null if the file should not be indexed
+ */
+async function buildDocument(rootDir, filePath, stats) {
+  if (stats.size > MAX_INDEXED_FILE_SIZE) {
+    return null;
+  }
+
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(filePath);
+  } catch (error) {
+    return null;
+  }
+
+  if (isBinaryContent(buffer)) {
+    return null;
+  }
+
+  const content    = buffer.toString('utf-8');
+  const isMarkdown = getFileTypeFor(filePath).renderer === 'markdown';
+
+  return {
+    path:     toUrlPath(rootDir, filePath),
+    name:     path.basename(filePath),
+    mtimeMs:  stats.mtimeMs,
+    size:     stats.size,
+    isDraft:  isMarkdown && parseFrontMatter(content).data.draft === true,
+    lines:    isMarkdown ? extractMarkdownLines(content) : extractTextLines(content)
+  };
+}
+
+/**
+ * Adds, updates or removes a single file in the index
+ * @param {string} rootDir - Root directory for the server
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<void>} Resolves once the index is updated
+ */
+async function updateFile(rootDir, filePath) {
+  const { documents } = getIndex(rootDir);
+
+  try {
+    const stats = await fs.promises.stat(filePath);
+    const document = stats.isFile() && await isVisiblePath(filePath, rootDir)
+      ? await buildDocument(rootDir, filePath, stats)
+      : null;
+
+    if (document) {
+      documents.set(filePath, document);
+    } else {
+      documents.delete(filePath);
+    }
+  } catch (error) {
+    documents.delete(filePath);
+  }
+}
+
+/**
+ * Walks the directory tree, indexing new or modified files and dropping deleted ones.
+ * Hidden, gitignored and disallowed symlinked entries are skipped, mirroring the directory listings.
+ * Searches arriving during a walk wait for it rather than starting another.
+ * @param {string} rootDir - Root directory for the server
+ * @param {boolean} [force=false] - Refresh even if the last walk was recent
+ * @returns {Promise<void>} Resolves once the index is up to date
+ */
+function refreshIndex(rootDir, force = false) {
+  const index = getIndex(rootDir);
+  if (index.refreshing) {
+    return index.refreshing;
+  }
+  if (!force && Date.now() - index.lastRefresh < REFRESH_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+
+  const seenFiles = new Set();
+  const visitedDirs = new Set();
+
+  const walk = async (dirPath) => {
+    let realDir;
+    let entries;
+    try {
+      realDir = await fs.promises.realpath(dirPath);
+      entries = await fs.promises.readdir(dirPath);
+    } catch (error) {
+      return;
+    }
+
+    // Guard against symlink cycles
+    if (visitedDirs.has(realDir)) {
+      return;
+    }
+    visitedDirs.add(realDir);
+
+    for (const entry of entries) {
+      const entryPath = path.join(dirPath, entry);
+      if (!(await isVisiblePath(entryPath, rootDir))) {
+        continue;
+      }
+
+      let stats;
+      try {
+        stats = await fs.promises.stat(entryPath);
+      } catch (error) {
+        continue;
+      }
+
+      if (stats.isDirectory()) {
+        await walk(entryPath);
+      } else if (stats.isFile()) {
+        seenFiles.add(entryPath);
+        const existing = index.documents.get(entryPath);
+        if (!existing || existing.mtimeMs !== stats.mtimeMs || existing.size !== stats.size) {
+          const document = await buildDocument(rootDir, entryPath, stats);
+          if (document) {
+            index.documents.set(entryPath, document);
+          } else {
+            index.documents.delete(entryPath);
+          }
+        }
+      }
+    }
+  };
+
+  index.refreshing = walk(rootDir).then(() => {
+    for (const filePath of index.documents.keys()) {
+      if (!seenFiles.has(filePath)) {
+        index.documents.delete(filePath);
+      }
+    }
+    index.lastRefresh = Date.now();
+  }).finally(() => {
+    index.refreshing = null;
+  });
+  return index.refreshing;
+}
+
+/**
+ * Splits a query into lowercase search terms
+ * @param {string} query - Raw search query
+ * @returns {string[]} Unique, non-empty terms
+ */
+function tokenizeQuery(query) {
+  return [...new Set(String(query).toLowerCase().split(/\s+/).filter(Boolean))];
+}
+
+/**
+ * Counts the occurrences of each term in a piece of text
+ * @param {string} text - Text to search
+ * @param {string[]} terms - Lowercase search terms
+ * @returns {number[]} Occurrence count per term
+ */
+function countTerms(text, terms) {
+  const lowerText = text.toLowerCase();
+  return terms.map(term => {
+    let count = 0;
+    let position = lowerText.indexOf(term);
+    while (position !== -1) {
+      count++;
+      position = lowerText.indexOf(term, position + term.length);
+    }
+    return count;
+  });
+}
+
+/**
+ * Builds an HTML snippet for a matching line with every term wrapped in <mark>,
+ * trimming long lines to a window around the first match
+ * @param {string} text - Line text
+ * @param {string[]} terms - Lowercase search terms
+ * @returns {{text: string, html: string}} Plain and highlighted snippet
+ */
+function buildSnippet(text, terms) {
+  const lowerText = text.toLowerCase();
+  let snippet = text;
+
+  if (text.length > MAX_SNIPPET_LENGTH) {
+    const firstMatch = Math.min(...terms.map(term => lowerText.indexOf(term)).filter(i => i !== -1));
+    const start = Math.max(0, firstMatch - Math.floor(MAX_SNIPPET_LENGTH / 3));
+    const end = Math.min(text.length, start + MAX_SNIPPET_LENGTH);
+    snippet = (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+  }
+
+  const lowerSnippet = snippet.toLowerCase();
+  const highlighted = new Array(snippet.length).fill(false);
+  for (const term of terms) {
+    let position = lowerSnippet.indexOf(term);
+    while (position !== -1) {
+      highlighted.fill(true, position, position + term.length);
+      position = lowerSnippet.indexOf(term, position + term.length);
+    }
+  }
+
+  let html = '';
+  let i = 0;
+  while (i < snippet.length) {
+    let j = i;
+    while (j < snippet.length && highlighted[j] === highlighted[i]) {
+      j++;
+    }
+    const part = escapeHtml(snippet.slice(i, j));
+    html += highlighted[i] ? `<mark>${part}</mark>` : part;
+    i = j;
+  }
+
+  return { text: snippet, html };
+}
+
+/**
+ * Searches the index. Every term must occur somewhere in a file (its name or content)
+ * for it to match; files are ranked by how often the terms occur, with name and
+ * heading matches weighted higher.
+ * @param {string} rootDir - Root directory for the server
+ * @param {string} query - Search query
+ * @param {Object} [options={}] - Search options
+ * @param {number} [options.limit=50] - Maximum number of files to return
+ * @param {function(string): (boolean|Promise<boolean>)} [options.filter] - Called with each matching file's absolute path;
+ *   files it rejects are left out
+ * @param {boolean} [options.showDrafts=false] - Include markdown files marked `draft: true`, as the listings do
+ * @returns {Promise<Array<Object>>} Ranked results with path, name, score and matching lines
+ */
+async function search(rootDir, query, { limit = 50, filter = null, showDrafts = false } = {}) {
+  const terms = tokenizeQuery(query);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  await refreshIndex(rootDir);
+
+  const results = [];
+
+  for (const [filePath, document] of getIndex(rootDir).documents) {
+    if (document.isDraft && !showDrafts) {
+      continue;
+    }
+
+    const nameCounts = countTerms(document.name, terms);
+    const found = nameCounts.map(count => count > 0);
+    let score = nameCounts.reduce((sum, count) => sum + count * 10, 0);
+    const matches = [];
+
+    for (const line of document.lines) {
+      const counts = countTerms(line.text, terms);
+      const lineScore = counts.reduce((sum, count) => sum + count, 0);
+      if (lineScore === 0) {
+        continue;
+      }
+
+      counts.forEach((count, i) => { found[i] = found[i] || count > 0; });
+      score += line.isHeading ? lineScore * 5 : lineScore;
+      matches.push({ line, lineScore });
+    }
+
+    if (!found.every(Boolean) || (filter && !(await filter(filePath)))) {
+      continue;
+    }
+
+    const topMatches = matches
+      .sort((a, b) => b.lineScore - a.lineScore || a.line.line - b.line.line)
+      .slice(0, MAX_MATCHES_PER_FILE)
+      .sort((a, b) => a.line.line - b.line.line)
+      .map(({ line }) => ({
+        line:   line.line,
+        anchor: line.anchor,
+        ...buildSnippet(line.text, terms)
+      }));
+
+    results.push({
+      path:    document.path,
+      name:    document.name,
+      score,
+      matches: topMatches
+    });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+    .slice(0, limit);
+}
+
+/**
+ * Clears the current app's indexes (useful for testing or when ignore rules change)
+ */
+function clearSearchIndex() {
+  indexes.clear();
+}
+
+module.exports = {
+  search,
+  refreshIndex,
+  updateFile,
+  clearSearchIndex
+};
@@ -2,8 +2,27 @@
  * @fileoverview Security utilities for path validation and access control
  */
 
+const fs   = require('node:fs');
 const path = require('node:path');
 
+const { isHiddenFile, shouldIgnoreFile } = require('./gitignoreParser');
+const { scopedMap }                      = require('./settingsScope');
+
+/**
+ * How symbolic links under the served directory are treated:
+ * - `deny`: never follow symlinks
+ * - `root`: follow symlinks whose target is inside the served directory
+ * - `targets`: like `root`, and also follow symlinks into the listed target directories
+ * @type {string[]}
+ */
+const SYMLINK_POLICIES = ['deny', 'root', 'targets'];
+
+/**
+ * Symlink settings per root directory and app, with real paths resolved up front
+ * @type {Map<string, {symlinks: string, realRoot: string, targets: string[]}>}
+ */
+const symlinkSettings = scopedMap();
+
 /**
  * Checks if a child path is within the parent directory (prevents path traversal attacks)
  * @param {string} parent - The parent directory path
@@ -12,9 +31,143 @@ const path = require('node:path');
  */
 function isSubPath(parent, child) {
   const relative = path.relative(parent, child);
-  return relative === '' || (relative && !relative.startsWith('..') && !path.isAbsolute(relative));
+  if (relative === '') {
+    return true;
+  }
+  // Names like "..notes" are fine; only a leading ".." segment leaves the parent
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolves a path's symlinks, falling back to the path itself if it does not exist. Only used
+ * when the server is configured; requests resolve paths asynchronously.
+ * @param {string} filePath - Absolute path
+ * @returns {string} Real path
+ */
+function realPathOf(filePath) {
+  try {
+    return fs.realpathSync(filePath);
+  } catch (error) {
+    return path.resolve(filePath);
+  }
+}
+
+/**
+ * Sets how symbolic links are followed under a root directory
+ * @param {string} rootDir - Root directory for the server
+ * @param {Object} [settings={}] - Symlink settings
+ * @param {string} [settings.symlinks='root'] - One of SYMLINK_POLICIES
+ * @param {string[]} [settings.symlinkTargets=[]] - Directories symlinks may point into with the `targets` policy
+ * @throws {Error} If the policy is unknown, or `targets` is used without any target directories
+ */
+function configureSymlinkPolicy(rootDir, { symlinks = 'root', symlinkTargets = [] } = {}) {
+  if (!SYMLINK_POLICIES.includes(symlinks)) {
+    throw new Error(`Unknown symlink policy "${symlinks}", expected one of ${SYMLINK_POLICIES.join(', ')}`);
+  }
+  if (symlinks === 'targets' && symlinkTargets.length === 0) {
+    throw new Error('The "targets" symlink policy needs at least one --symlink-targets directory');
+  }
+
+  symlinkSettings.set(rootDir, {
+    symlinks,
+    realRoot: realPathOf(rootDir),
+    targets:  symlinks === 'targets' ? symlinkTargets.map(realPathOf) : []
+  });
+}
+
+/**
+ * Gets the symlink settings for a root directory
+ * @param {string} rootDir - Root directory for the server
+ * @returns {{symlinks: string, realRoot: string, targets: string[]}} Symlink settings
+ */
+function getSymlinkSettings(rootDir) {
+  if (!symlinkSettings.has(rootDir)) {
+    configureSymlinkPolicy(rootDir);
+  }
+  return symlinkSettings.get(rootDir);
+}
+
+/**
+ * Follows the symlinks in a path under rootDir and applies the root's symlink policy.
+ * Paths that do not exist are not resolved and are allowed, so they can be reported as not found.
+ * @param {string} filePath - Absolute path under rootDir
+ * @param {string} rootDir - Root directory for the server
+ * @returns {Promise<{allowed: boolean, targetPath: string}>} Whether the path may be served, and where it leads:
+ *   under rootDir when the target is inside the served directory, otherwise the real path
+ */
+async function resolveSymlinks(filePath, rootDir) {
+  if (!isSubPath(rootDir, filePath)) {
+    return { allowed: false, targetPath: filePath };
+  }
+
+  let realPath;
+  try {
+    realPath = await fs.promises.realpath(filePath);
+  } catch (error) {
+    return { allowed: true, targetPath: filePath };
+  }
+
+  const { symlinks, realRoot, targets } = getSymlinkSettings(rootDir);
+  const insideRoot = isSubPath(realRoot, realPath);
+  const targetPath = insideRoot ? path.join(rootDir, path.relative(realRoot, realPath)) : realPath;
+
+  if (targetPath === path.resolve(filePath)) {
+    return { allowed: true, targetPath };
+  }
+
+  switch (symlinks) {
+    case 'deny':
+      return { allowed: false, targetPath };
+    case 'targets':
+      return { allowed: insideRoot || targets.some(target => isSubPath(target, realPath)), targetPath };
+    default:
+      return { allowed: insideRoot, targetPath };
+  }
+}
+
+/**
+ * Checks whether a path under rootDir shows up in listings and search: it must not be hidden
+ * or gitignored, and a symlink must be allowed by the policy and lead to a visible target
+ * @param {string} filePath - Absolute path under rootDir
+ * @param {string} rootDir - Root directory for the server
+ * @returns {Promise<boolean>} True if the path may be listed
+ */
+async function isVisiblePath(filePath, rootDir) {
+  const { allowed, targetPath } = await resolveSymlinks(filePath, rootDir);
+  if (!allowed) {
+    return false;
+  }
+
+  const checkedPaths = targetPath !== path.resolve(filePath) && isSubPath(rootDir, targetPath)
+    ? [filePath, targetPath]
+    : [filePath];
+  if (checkedPaths.some(checkedPath => isHiddenFile(checkedPath, rootDir))) {
+    return false;
+  }
+  const ignored = await Promise.all(checkedPaths.map(checkedPath => shouldIgnoreFile(checkedPath, rootDir)));
+  return !ignored.some(Boolean);
+}
+
+/**
+ * Decodes the path of a request URL
+ * @param {string} urlPath - Percent-encoded URL path
+ * @returns {string|null} Decoded path, or null if the encoding is malformed or it contains NUL bytes
+ */
+function decodeUrlPath(urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (error) {
+    return null;
+  }
+  return decoded.includes('\0') ? null : decoded;
 }
 
 module.exports = {
-  isSubPath
-};
\ No newline at end of file
+  SYMLINK_POLICIES,
+  isSubPath,
+  configureSymlinkPolicy,
+  resolveSymlinks,
+  isVisiblePath,
+  decodeUrlPath
+};
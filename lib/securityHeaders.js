@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Content-Security-Policy and other security headers sent with every response
+ */
+
+const crypto = require('node:crypto');
+
+const { getCdnOrigins } = require('./assets');
+
+/**
+ * MIME types that browsers run scripts in when opened directly: HTML and every XML type
+ * (XHTML, SVG, RSS, Atom, XSLT, MathML and others), since XML can pull in XSLT and XHTML
+ * @type {RegExp}
+ */
+const ACTIVE_CONTENT_TYPE_PATTERN = /^text\/html$|^text\/mathml$|[/+]xml$/;
+
+/**
+ * Policy for raw files that can run scripts (HTML, SVG, XML). `sandbox` gives them a unique
+ * origin, so they cannot read this site's cookies or storage, or script its pages.
+ * @type {string}
+ */
+const SANDBOX_POLICY = "sandbox allow-scripts allow-popups allow-forms; frame-ancestors 'self'";
+
+/**
+ * Headers sent with every response, next to the Content-Security-Policy
+ * @type {Object<string, string>}
+ */
+const STANDARD_HEADERS = {
+  'X-Content-Type-Options':     'nosniff',
+  'X-Frame-Options':            'SAMEORIGIN',
+  'Referrer-Policy':            'same-origin',
+  'Cross-Origin-Opener-Policy': 'same-origin'
+};
+
+/**
+ * Builds the Content-Security-Policy for generated pages. Inline scripts only run with the
+ * response's nonce; inline styles stay allowed for the page styles and mermaid's SVG output.
+ * @param {string} nonce - Script nonce of the response
+ * @returns {string} Policy header value
+ */
+function buildContentSecurityPolicy(nonce) {
+  const cdnOrigins = getCdnOrigins().join(' ');
+  const withCdn = (sources) => (cdnOrigins ? `${sources} ${cdnOrigins}` : sources);
+
+  return [
+    "default-src 'self'",
+    `script-src ${withCdn(`'self' 'nonce-${nonce}'`)}`,
+    `style-src ${withCdn("'self' 'unsafe-inline'")}`,
+    `font-src ${withCdn("'self' data:")}`,
+    "img-src 'self' data: https:",
+    "connect-src 'self'",
+    "frame-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'self'"
+  ].join('; ');
+}
+
+/**
+ * Checks whether a MIME type is content browsers run scripts in
+ * @param {string|null} mimeType - MIME type, e.g. from mime.getType
+ * @returns {boolean} True for HTML and XML types, including SVG
+ */
+function isActiveContentType(mimeType) {
+  return Boolean(mimeType) && ACTIVE_CONTENT_TYPE_PATTERN.test(mimeType.toLowerCase());
+}
+
+/**
+ * Express middleware setting the security headers, with a fresh script nonce per response
+ * in `res.locals.cspNonce`
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Next middleware
+ */
+function securityHeaders(req, res, next) {
+  const nonce = crypto.randomBytes(16).toString('base64');
+  res.locals.cspNonce = nonce;
+  res.set(STANDARD_HEADERS);
+  res.set('Content-Security-Policy', buildContentSecurityPolicy(nonce));
+  next();
+}
+
+module.exports = {
+  SANDBOX_POLICY,
+  buildContentSecurityPolicy,
+  isActiveContentType,
+  securityHeaders
+};
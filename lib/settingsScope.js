@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Per-app settings. Each docs server runs its setup and requests inside its own
+ * scope, so the ignore rules, symlink policy, languages, renderer plugins and asset source
+ * configured for one app do not leak into another app in the same process. Code running
+ * outside any app (the CLI's static build, direct calls to the lib modules) uses a shared
+ * global scope.
+ */
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+/**
+ * Scope of the code currently running, carried across awaits and callbacks
+ * @type {AsyncLocalStorage<Map<symbol, Map<*, *>>>}
+ */
+const scopeStorage = new AsyncLocalStorage();
+
+/**
+ * Scope used outside runInScope
+ * @type {Map<symbol, Map<*, *>>}
+ */
+const globalScope = new Map();
+
+/**
+ * Creates an empty scope, holding one Map per scopedMap
+ * @returns {Map<symbol, Map<*, *>>} Scope
+ */
+function createScope() {
+  return new Map();
+}
+
+/**
+ * Runs a function inside a scope; everything it starts, including async work, stays in the scope
+ * @param {Map<symbol, Map<*, *>>} scope - Scope from createScope
+ * @param {function(): *} fn - Function to run
+ * @returns {*} What fn returns
+ */
+function runInScope(scope, fn) {
+  return scopeStorage.run(scope, fn);
+}
+
+/**
+ * Gets the scope of the code currently running
+ * @returns {Map<symbol, Map<*, *>>} Current scope, or the global scope outside runInScope
+ */
+function getCurrentScope() {
+  return scopeStorage.getStore() || globalScope;
+}
+
+/**
+ * Creates a Map whose contents depend on the scope it is used in
+ * @returns {{get: function(*): *, set: function(*, *): void, has: function(*): boolean, delete: function(*): boolean,
+ *   clear: function(): void, keys: function(): Iterator, values: function(): Iterator, size: number}}
+ *   Map-like object reading and writing the current scope's Map
+ */
+function scopedMap() {
+  const key = Symbol('scoped map');
+
+  /**
+   * Gets (creating if needed) this map's contents in the current scope
+   * @returns {Map<*, *>} Map for the current scope
+   */
+  const current = () => {
+    const scope = getCurrentScope();
+    if (!scope.has(key)) {
+      scope.set(key, new Map());
+    }
+    return scope.get(key);
+  };
+
+  return {
+    get:    (name) => current().get(name),
+    set:    (name, value) => { current().set(name, value); },
+    has:    (name) => current().has(name),
+    delete: (name) => current().delete(name),
+    clear:  () => current().clear(),
+    keys:   () => current().keys(),
+    values: () => current().values(),
+    get size() {
+      return current().size;
+    }
+  };
+}
+
+module.exports = {
+  createScope,
+  runInScope,
+  getCurrentScope,
+  scopedMap
+};
@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Static site export: renders every file and directory to HTML that
+ * browses correctly from file:// or any static host
+ */
+
+const fs   = require('node:fs');
+const path = require('node:path');
+
+const { listDirectory, renderDirectoryPage, renderFilePage } = require('./pages');
+const { getAssetFiles }                = require('./assets');
+const { escapeHtml, decodeEntities }   = require('./htmlUtils');
+const { isSubPath }                    = require('./security');
+
+/**
+ * Matches link-bearing attributes in generated pages
+ * @type {RegExp}
+ */
+const LINK_ATTRIBUTE_PATTERN = /\b(href|src|action)="([^"]*)"/g;
+
+/**
+ * Placeholder origin used to resolve links the same way a browser would
+ * @type {string}
+ */
+const BASE_ORIGIN = 'http://docs-server.invalid';
+
+/**
+ * Walks rootDir with the same filters as the directory listings
+ * @param {string} rootDir - Root directory to export
+ * @param {Object} options - Walk options
+ * @param {boolean} options.showDrafts - Include markdown files marked `draft: true`
+ * @param {string} options.outDir - Output directory, skipped if it is inside rootDir
+ * @returns {Promise<Map<string, {fullPath: string, isDirectory: boolean}>>} Entries keyed by URL path
+ */
+async function collectEntries(rootDir, { showDrafts, outDir }) {
+  const entries = new Map();
+  const visitedDirs = new Set();
+
+  const walk = async (dirPath, urlPath) => {
+    const realDir = await fs.promises.realpath(dirPath);
+    if (visitedDirs.has(realDir)) {
+      return;
+    }
+    visitedDirs.add(realDir);
+    entries.set(urlPath, { fullPath: dirPath, isDirectory: true });
+
+    for (const file of await listDirectory(dirPath, rootDir, { showDrafts })) {
+      const fullPath = path.join(dirPath, file.name);
+      const childUrlPath = urlPath === '/' ? `/${file.name}` : `${urlPath}/${file.name}`;
+
+      if (fullPath === outDir || isSubPath(outDir, fullPath)) {
+        continue;
+      }
+
+      if (file.isDirectory) {
+        await walk(fullPath, childUrlPath);
+      } else {
+        entries.set(childUrlPath, { fullPath, isDirectory: false });
+      }
+    }
+  };
+
+  await walk(rootDir, '/');
+  return entries;
+}
+
+/**
+ * Gets the output path (relative to the output directory, with forward slashes)
+ * of the page for a URL path
+ * @param {string} urlPath - URL path of a file or directory
+ * @param {boolean} isDirectory - Whether the URL path is a directory
+ * @returns {string} Relative output path
+ */
+function getPageOutputPath(urlPath, isDirectory) {
+  const relativePath = urlPath.replace(/^\/+/, '');
+  if (isDirectory) {
+    return relativePath ? `${relativePath}/index.html` : 'index.html';
+  }
+  return `${relativePath}.html`;
+}
+
+/**
+ * Gets the output path (relative to the output directory, with forward slashes) of the
+ * copy of a file's raw bytes. Raw copies live under `_raw/`, like the server's raw file URLs,
+ * so a file such as `NOTES.html` cannot replace the page rendered for `NOTES`.
+ * @param {string} urlPath - URL path of a file
+ * @returns {string} Relative output path
+ */
+function getRawOutputPath(urlPath) {
+  return `_raw/${urlPath.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Lists every file the build writes and checks that no two of them share an output path,
+ * and that no output file is needed as a directory by another (e.g. the page of a file `guide`
+ * is `guide.html`, which a directory named `guide.html` cannot share)
+ * @param {Map<string, {fullPath: string, isDirectory: boolean}>} entries - Exported entries by URL path
+ * @param {string[]} assetNames - Names of the assets copied to `_assets/`
+ * @returns {Map<string, string>} What writes each output path, e.g. "the page of /guide"
+ * @throws {Error} If two outputs collide
+ */
+function planOutputs(entries, assetNames) {
+  const outputs = new Map();
+  const add = (outputPath, source) => {
+    if (outputs.has(outputPath)) {
+      throw new Error(`Cannot export both ${outputs.get(outputPath)} and ${source}: both are written to "${outputPath}"`);
+    }
+    outputs.set(outputPath, source);
+  };
+
+  for (const [urlPath, entry] of entries) {
+    add(getPageOutputPath(urlPath, entry.isDirectory), `the page of ${urlPath}`);
+    if (!entry.isDirectory) {
+      add(getRawOutputPath(urlPath), `the raw copy of ${urlPath}`);
+    }
+  }
+  for (const name of assetNames) {
+    add(`_assets/${name}`, `the asset ${name}`);
+  }
+
+  for (const [outputPath, source] of outputs) {
+    for (let dir = path.posix.dirname(outputPath); dir !== '.'; dir = path.posix.dirname(dir)) {
+      if (outputs.has(dir)) {
+        throw new Error(`Cannot export both ${outputs.get(dir)} and ${source}: "${dir}" would have to be a file and a directory`);
+      }
+    }
+  }
+  return outputs;
+}
+
+/**
+ * Rewrites the root-relative links of a generated page into links relative to the
+ * page's output file: pages map to their .html files, /_raw/ and `?raw=1` URLs to the
+ * raw copies under `_raw/` and /_assets/ URLs to the copied assets. External links and plain
+ * #fragments are left untouched.
+ * @param {string} html - Generated page
+ * @param {string} urlPath - URL path the page was generated for
+ * @param {boolean} isDirectory - Whether the page is a directory page
+ * @param {Map<string, {fullPath: string, isDirectory: boolean}>} entries - Exported entries by URL path
+ * @returns {string} Page with rewritten links
+ */
+function rewriteLinks(html, urlPath, isDirectory, entries) {
+  const outputPath = getPageOutputPath(urlPath, isDirectory);
+  const outputDir = path.posix.dirname(outputPath);
+  // Directory pages are resolved as if their URL ended with a slash, like the <base> they use on the server
+  const baseUrl = BASE_ORIGIN + encodeURI(isDirectory && urlPath !== '/' ? `${urlPath}/` : urlPath);
+
+  const toRelative = (targetPath) => {
+    const relativePath = path.posix.relative(outputDir, targetPath) || path.posix.basename(targetPath);
+    return relativePath.split('/').map(segment => (segment === '..' ? segment : encodeURIComponent(segment))).join('/');
+  };
+
+  return html
+    .replace(/<base href="[^"]*">/g, '')
+    .replace(LINK_ATTRIBUTE_PATTERN, (attribute, name, value) => {
+      const rawValue = decodeEntities(value);
+      if (!rawValue || rawValue.startsWith('#')) {
+        return attribute;
+      }
+
+      let url;
+      try {
+        url = new URL(rawValue, baseUrl);
+      } catch (error) {
+        return attribute;
+      }
+      if (url.origin !== BASE_ORIGIN) {
+        return attribute;
+      }
+
+      let pathname;
+      try {
+        pathname = decodeURIComponent(url.pathname);
+      } catch (error) {
+        return attribute;
+      }
+      pathname = pathname.replace(/(.)\/+$/, '$1');
+
+      let targetPath;
+      if (pathname.startsWith('/_raw/')) {
+        targetPath = getRawOutputPath(pathname.slice('/_raw'.length));
+      } else if (pathname.startsWith('/_assets/')) {
+        targetPath = pathname.slice(1);
+      } else if (entries.has(pathname)) {
+        const entry = entries.get(pathname);
+        targetPath = !entry.isDirectory && url.searchParams.has('raw')
+          ? getRawOutputPath(pathname)
+          : getPageOutputPath(pathname, entry.isDirectory);
+      } else {
+        targetPath = pathname.slice(1);
+      }
+
+      return `${name}="${escapeHtml(toRelative(targetPath) + url.hash)}"`;
+    });
+}
+
+/**
+ * Writes a file, creating its parent directories
+ * @param {string} filePath - Absolute output path
+ * @param {string|Buffer} content - File content
+ */
+function writeOutputFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Renders the whole tree under rootDir to static HTML in outDir. Every directory gets
+ * an index.html, every file a `<name>.html` page and a copy of its raw bytes under `_raw/`,
+ * and the bundled assets are copied to `_assets/`. Nothing is written if two of these
+ * would share an output path.
+ * @param {string} rootDir - Root directory to export
+ * @param {string} outDir - Output directory
+ * @param {Object} [options={}] - Build options
+ * @param {string[]} [options.indexFiles] - Index file names rendered as directory landing content
+ * @param {boolean} [options.showDrafts=false] - Include markdown files marked `draft: true`
+ * @param {string} [options.theme] - Theme used until the visitor picks one with the toggle
+ * @param {number} [options.maxFileSize] - Text files larger than this are shown truncated, with a link to the full file
+ * @param {number} [options.highlightSize] - Code larger than this is shown without syntax highlighting
+ * @returns {Promise<{pages: number, files: number}>} Number of pages written and raw files copied
+ * @throws {Error} If outDir is rootDir, or two outputs would share a path
+ */
+async function buildStaticSite(rootDir, outDir, options = {}) {
+  const { indexFiles, showDrafts = false, theme, maxFileSize, highlightSize } = options;
+  const resolvedRoot = path.resolve(rootDir);
+  const resolvedOut = path.resolve(outDir);
+
+  if (resolvedOut === resolvedRoot) {
+    throw new Error('Output directory must be different from the directory being exported');
+  }
+
+  const entries = await collectEntries(resolvedRoot, { showDrafts, outDir: resolvedOut });
+  const assetFiles = getAssetFiles();
+  planOutputs(entries, Object.keys(assetFiles));
+  let pages = 0;
+  let files = 0;
+
+  for (const [urlPath, entry] of entries) {
+    const html = entry.isDirectory
+      ? await renderDirectoryPage(entry.fullPath, urlPath, resolvedRoot, { indexFiles, showDrafts, theme, isStatic: true })
+      : await renderFilePage(entry.fullPath, urlPath, { theme, maxFileSize, highlightSize, isStatic: true });
+
+    const outputPath = getPageOutputPath(urlPath, entry.isDirectory);
+    writeOutputFile(path.join(resolvedOut, outputPath), rewriteLinks(html, urlPath, entry.isDirectory, entries));
+    pages++;
+
+    if (!entry.isDirectory) {
+      const rawOutputPath = path.join(resolvedOut, getRawOutputPath(urlPath));
+      fs.mkdirSync(path.dirname(rawOutputPath), { recursive: true });
+      fs.copyFileSync(entry.fullPath, rawOutputPath);
+      files++;
+    }
+  }
+
+  for (const [name, filePath] of Object.entries(assetFiles)) {
+    const assetOutputPath = path.join(resolvedOut, '_assets', name);
+    fs.mkdirSync(path.dirname(assetOutputPath), { recursive: true });
+    fs.copyFileSync(filePath, assetOutputPath);
+  }
+
+  return { pages, files };
+}
+
+module.exports = {
+  buildStaticSite,
+  rewriteLinks
+};
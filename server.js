@@ -9,123 +9,181 @@
 const path = require('node:path');
 const fs   = require('node:fs');
 
-const express = require('express');
-const mime    = require('mime');
-
-const { isSubPath }                               = require('./lib/security');
-const { getFileInfo }                             = require('./lib/fileUtils');
-const { generateDirectoryHTML, generateFileHTML, generateImageHTML } = require('./lib/htmlGenerator');
-const { detectLanguage }                          = require('./lib/languageDetector');
-const { shouldIgnoreFile }                        = require('./lib/gitignoreParser');
-
-const ROOT_DIR_ARG_INDEX = 2;
-const PORT_ARG_INDEX = 3;
-
-const app = express();
-let PORT  = 4040;
-
-let ROOT_DIR = process.cwd();
+const { version }                            = require('./package.json');
+const { createDocsServer }                   = require('./lib/docsServer');
+const { configureIgnoreRules }               = require('./lib/gitignoreParser');
+const { configureSymlinkPolicy }             = require('./lib/security');
+const { configureAssets }                    = require('./lib/assets');
+const { configureLanguages }                 = require('./lib/languageDetector');
+const { loadRenderers }                      = require('./lib/renderers');
+const { buildStaticSite }                    = require('./lib/staticBuilder');
+const {
+  CONFIG_FILES,
+  getDefaultOptions,
+  loadConfigFile
+} = require('./lib/config');
+const { parseArgs, formatHelp, openBrowser } = require('./lib/cli');
+const {
+  resolveTlsOptions,
+  createServer,
+  createRedirectServer
+} = require('./lib/httpServer');
+
+let cli;
+try {
+  cli = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  console.error('Run docs-server --help for usage.');
+  process.exit(1);
+}
 
-if (process.argv[ROOT_DIR_ARG_INDEX]) {
-  ROOT_DIR = path.resolve(process.argv[2]);
+if (cli.help) {
+  console.log(formatHelp());
+  process.exit(0);
 }
 
-if (process.argv[PORT_ARG_INDEX]) {
-  PORT = parseInt(process.argv[PORT_ARG_INDEX], 10);
-  if (isNaN(PORT) || PORT < 1 || PORT > 65535) {
-    console.error('Error: Port must be a number between 1 and 65535');
-    process.exit(1);
-  }
+if (cli.version) {
+  console.log(version);
+  process.exit(0);
 }
 
+const ROOT_DIR = path.resolve(cli.rootDir || process.cwd());
+
 if (!fs.existsSync(ROOT_DIR)) {
   console.error(`Error: Directory "${ROOT_DIR}" does not exist.`);
   process.exit(1);
 }
 
-console.log(`Starting docs server on http://localhost:${PORT}`);
-console.log(`Serving directory: ${ROOT_DIR}`);
-
 /**
- * Main route handler for serving files and directories
- * Handles directory listings, file content with syntax highlighting, and security checks
- * @param {import('express').Request} req - Express request object
- * @param {import('express').Response} res - Express response object
+ * Effective options: defaults, overridden by the config file in ROOT_DIR, overridden by command line flags
+ * @type {Object}
  */
-app.get('*', (req, res) => {
-  const requestedPath = decodeURIComponent(req.path);
-  const fullPath = path.join(ROOT_DIR, requestedPath);
-  
-  // Security check: prevent path traversal attacks
-  if (!isSubPath(ROOT_DIR, fullPath) && fullPath !== ROOT_DIR) {
-    return res.status(403).send('Access denied: Path outside of root directory');
+let OPTIONS;
+try {
+  const config = loadConfigFile(ROOT_DIR);
+  if (config.file) {
+    console.log(`Using config file: ${config.file}`);
   }
+  OPTIONS = { ...getDefaultOptions(), ...config.options, ...cli.options };
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
 
-  if (shouldIgnoreFile(fullPath, ROOT_DIR)) {
-    return res.status(404).send('File not found');
+/**
+ * Renders the whole tree to static HTML (`docs-server build <dir> --out <outdir>`) and exits
+ * @returns {Promise<void>} Resolves once the site is written
+ */
+async function runBuild() {
+  configureAssets({ cdn: OPTIONS.cdn });
+  configureIgnoreRules(ROOT_DIR, {
+    gitignore:  OPTIONS.gitignore,
+    showHidden: OPTIONS.showHidden,
+    // The config file is not exported with the docs, as the server does not serve it
+    patterns:   [...OPTIONS.ignore, ...CONFIG_FILES.map(name => `/${name}`)]
+  });
+
+  if (!cli.outDir) {
+    console.error('Error: Missing output directory. Usage: docs-server build <dir> --out <outdir>');
+    process.exit(1);
   }
 
-  try {
-    if (!fs.existsSync(fullPath)) {
-      return res.status(404).send('File not found');
-    }
+  const outDir = path.resolve(cli.outDir);
 
-    const stats = fs.statSync(fullPath);
-    
-    if (stats.isDirectory()) {
-      const files = fs.readdirSync(fullPath)
-        .filter(file => !file.startsWith('.'))
-        .map(file => path.join(fullPath, file))
-        .filter(filePath => !shouldIgnoreFile(filePath, ROOT_DIR))
-        .map(filePath => getFileInfo(filePath))
-        .sort((a, b) => {
-          if (a.isDirectory && !b.isDirectory) return -1;
-          if (!a.isDirectory && b.isDirectory) return 1;
-          return a.name.localeCompare(b.name);
-        });
-
-      const html = generateDirectoryHTML(fullPath, files, requestedPath === '/' ? '' : requestedPath, ROOT_DIR);
-      res.send(html);
-    } else {
-      const ext = path.extname(fullPath).toLowerCase();
-      const fileName = path.basename(fullPath);
-      
-      const mimeType = mime.getType(fullPath);
-      
-      // Handle images by displaying them in a wrapper page
-      if (mimeType && mimeType.startsWith('image/')) {
-        const imageHTML = generateImageHTML(fileName, requestedPath);
-        res.send(imageHTML);
-      } else {
-        // Handle all other files as text
-        try {
-          const content = fs.readFileSync(fullPath, 'utf-8');
-          
-          const isMarkdown = ext === '.md';
-          const isMermaid  = ext === '.mermaid' || ext === '.mmd';
-          const isHtml     = ext === '.html' || ext === '.htm';
-          const language   = detectLanguage(fullPath, content);
-          
-          const html       = generateFileHTML(fileName, content, requestedPath, isMarkdown, language, isHtml, isMermaid);
-          res.send(html);
-        } catch (readError) {
-          // If file can't be read as text, show error message
-          const errorContent = `Error reading file: ${readError.message}`;
-          const html = generateFileHTML(fileName, errorContent, requestedPath, false, null, false, false);
-          res.send(html);
-        }
-      }
-    }
+  try {
+    configureSymlinkPolicy(ROOT_DIR, {
+      symlinks:       OPTIONS.symlinks,
+      symlinkTargets: OPTIONS.symlinkTargets.map(target => path.resolve(target))
+    });
+    configureLanguages(ROOT_DIR, { languages: OPTIONS.languages });
+    loadRenderers(OPTIONS.renderers, ROOT_DIR);
+    console.log(`Building static site from ${ROOT_DIR} into ${outDir}`);
+    const { pages, files } = await buildStaticSite(ROOT_DIR, outDir, {
+      indexFiles:    OPTIONS.index,
+      showDrafts:    OPTIONS.drafts,
+      theme:         OPTIONS.theme,
+      maxFileSize:   OPTIONS.maxFileSize,
+      highlightSize: OPTIONS.highlightSize
+    });
+    console.log(`Wrote ${pages} pages and copied ${files} files`);
+    process.exit(0);
   } catch (error) {
-    console.error('Error serving file:', error);
-    res.status(500).send('Internal server error');
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
-});
+}
 
 /**
- * Start the Express server
- * @listens {number} PORT - The port number to listen on
+ * Reports a listener error and exits
+ * @param {number} port - Port the listener was started on
+ * @returns {function(Error): void} Error handler
  */
-app.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
-});
\ No newline at end of file
+const exitOnListenError = (port) => (error) => {
+  const reason = error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message;
+  console.error(`Error: ${reason}`);
+  process.exit(1);
+};
+
+/**
+ * Starts the docs server, and the HTTP to HTTPS redirect when configured
+ */
+function startServer() {
+  let app;
+  let tls;
+  try {
+    app = createDocsServer({ rootDir: ROOT_DIR, ...OPTIONS });
+    tls = resolveTlsOptions(OPTIONS);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (tls && tls.created) {
+    console.log(`Generated a self-signed certificate for localhost: ${tls.certFile}`);
+  }
+
+  const PORT = OPTIONS.port;
+  const HOST = OPTIONS.host;
+
+  // Wildcard addresses are reachable through localhost; IPv6 literals need brackets in URLs
+  const DISPLAY_HOST = !HOST || HOST === '0.0.0.0' || HOST === '::'
+    ? 'localhost'
+    : HOST.includes(':') ? `[${HOST}]` : HOST;
+  const SERVER_URL = `${tls ? 'https' : 'http'}://${DISPLAY_HOST}:${PORT}`;
+
+  console.log(`Starting docs server on ${SERVER_URL}`);
+  console.log(`Serving directory: ${ROOT_DIR}`);
+
+  /**
+   * Start the server
+   * @listens {number} PORT - The port number to listen on
+   */
+  const server = createServer(app, tls, { http2: OPTIONS.http2 });
+  server.on('error', exitOnListenError(PORT));
+  server.listen(PORT, HOST || undefined, () => {
+    console.log(`Server running at ${SERVER_URL}${OPTIONS.http2 ? ' (HTTP/2)' : ''}`);
+
+    if (OPTIONS.open) {
+      openBrowser(SERVER_URL);
+    }
+  });
+
+  /**
+   * Redirect plain HTTP requests to the HTTPS server
+   * @listens {number} OPTIONS.redirectPort
+   */
+  if (OPTIONS.redirectPort) {
+    const redirectServer = createRedirectServer(PORT);
+    redirectServer.on('error', exitOnListenError(OPTIONS.redirectPort));
+    redirectServer.listen(OPTIONS.redirectPort, HOST || undefined, () => {
+      console.log(`Redirecting http://${DISPLAY_HOST}:${OPTIONS.redirectPort} to HTTPS`);
+    });
+  }
+}
+
+if (cli.command === 'build') {
+  runBuild();
+} else {
+  startServer();
+}
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Docs server route tests
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const os     = require('node:os');
+const path   = require('node:path');
+
+const { createDocsServer } = require('..');
+
+describe('/_ignore', () => {
+  let baseDir;
+  let app;
+  let server;
+  let baseUrl;
+
+  /**
+   * Asks /_ignore about a path as a user
+   * @param {string} filePath - Path to explain
+   * @param {string|null} user - User name sent in the X-User header, or null for an anonymous request
+   * @returns {Promise<{status: number, body: Object|null}>} Response status and JSON body
+   */
+  const explain = async (filePath, user) => {
+    const response = await fetch(`${baseUrl}/_ignore?path=${encodeURIComponent(filePath)}`, {
+      headers: { Accept: 'application/json', ...(user ? { 'X-User': user } : {}) }
+    });
+    return { status: response.status, body: response.status === 200 ? await response.json() : null };
+  };
+
+  before(async () => {
+    baseDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'docs-server-routes-')));
+    const rootDir = path.join(baseDir, 'root');
+    const files = {
+      'root/.gitignore':              'build/\n',
+      'root/guide.md':                '# Guide\n',
+      'root/build/out.md':            '# Built\n',
+      'root/secrets/plan.md':         '# Plan\n',
+      'root/secrets/build/notes.md':  '# Notes\n',
+      'outside/secret.txt':           'secret\n',
+      'rules':                        '/ *\nsecrets/** admins\n'
+    };
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(baseDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(baseDir, file), content);
+    }
+    fs.symlinkSync(path.join(baseDir, 'outside', 'secret.txt'), path.join(rootDir, 'outside-link.txt'));
+
+    app = createDocsServer({
+      rootDir,
+      accessRules:  path.join(baseDir, 'rules'),
+      authenticate: (req) => {
+        const name = req.get('X-User');
+        return name ? { name, groups: name === 'alice' ? ['admins'] : [] } : null;
+      }
+    });
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    app.close();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  it('explains ignored paths the user may read', async () => {
+    const { status, body } = await explain('/build/out.md', 'bob');
+    assert.equal(status, 200);
+    assert.equal(body.ignored, true);
+    assert.equal(body.rule.pattern, 'build/');
+  });
+
+  it('explains restricted paths to users allowed to read them', async () => {
+    const { status, body } = await explain('/secrets/build/notes.md', 'alice');
+    assert.equal(status, 200);
+    assert.equal(body.directory, '/secrets/build');
+  });
+
+  it('refuses restricted paths to other users', async () => {
+    assert.equal((await explain('/secrets/plan.md', 'bob')).status, 403);
+    assert.equal((await explain('/secrets/build/notes.md', 'bob')).status, 403);
+    assert.equal((await explain('/secrets/missing.md', 'bob')).status, 403);
+  });
+
+  it('asks anonymous visitors to sign in', async () => {
+    assert.equal((await explain('/guide.md', null)).status, 401);
+  });
+
+  it('refuses symlinks the policy does not allow', async () => {
+    assert.equal((await explain('/outside-link.txt', 'alice')).status, 403);
+  });
+
+  it('rejects paths outside the served directory', async () => {
+    assert.equal((await explain('/../outside/secret.txt', 'alice')).status, 400);
+  });
+});
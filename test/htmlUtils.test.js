@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Entity decoding tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { decodeEntities, stripTags } = require('../lib/htmlUtils');
+
+describe('decodeEntities', () => {
+  it('decodes named, decimal and hex references', () => {
+    assert.equal(decodeEntities('&lt;a&gt; &amp; &#233; &#x1F600;'), '<a> & é 😀');
+  });
+
+  it('keeps unknown named references', () => {
+    assert.equal(decodeEntities('&unknown;'), '&unknown;');
+  });
+
+  for (const entity of ['&#x110000;', '&#1114112;', '&#xD800;', '&#xDFFF;', '&#0;', '&#99999999999999999999;']) {
+    it(`replaces invalid code points with U+FFFD: ${entity}`, () => {
+      assert.equal(decodeEntities(`a${entity}b`), 'a�b');
+    });
+  }
+
+  it('strips tags around an out-of-range reference', () => {
+    assert.equal(stripTags('<p>x &#x110000; y</p>'), 'x � y');
+  });
+});
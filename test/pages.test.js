@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Large file paging tests
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const os     = require('node:os');
+const path   = require('node:path');
+
+const { createDocsServer } = require('..');
+
+describe('large file pages', () => {
+  let rootDir;
+  let app;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    rootDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'docs-server-pages-')));
+    // One line of two-byte characters after a one-byte one, so 10-byte pages end inside a character
+    fs.writeFileSync(path.join(rootDir, 'accents.txt'), `a${'é'.repeat(50)}`);
+    fs.writeFileSync(path.join(rootDir, 'euro.txt'), '€'.repeat(30));
+    app = createDocsServer({ rootDir, maxFileSize: 10 });
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    app.close();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('ends a page without a line break before a split multi-byte character', async () => {
+    const html = await (await fetch(`${baseUrl}/accents.txt`)).text();
+    assert.ok(!html.includes('�'), 'page 1 has no replacement character');
+    assert.ok(html.includes(`a${'é'.repeat(4)}`));
+    assert.ok(!html.includes(`a${'é'.repeat(5)}`));
+    assert.match(html, /offset=9\b/);
+  });
+
+  it('starts the next page at the character the previous one dropped', async () => {
+    const html = await (await fetch(`${baseUrl}/accents.txt?offset=9`)).text();
+    assert.ok(!html.includes('�'), 'page 2 has no replacement character');
+    assert.ok(html.includes('é'.repeat(5)));
+    assert.match(html, /offset=19\b/);
+  });
+
+  it('links the previous page to a character boundary', async () => {
+    // Pages of three-byte characters hold three of them: 0-8, 9-17, 18-26
+    const html = await (await fetch(`${baseUrl}/euro.txt?offset=18`)).text();
+    assert.ok(!html.includes('�'));
+    assert.match(html, /offset=27\b/);
+    assert.match(html, /offset=9\b/);
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Search index tests
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const os     = require('node:os');
+const path   = require('node:path');
+
+const { search } = require('../lib/searchIndex');
+
+describe('search', () => {
+  let rootDir;
+
+  before(() => {
+    rootDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'docs-server-search-')));
+    fs.writeFileSync(path.join(rootDir, 'broken.md'), '# Entities\n\nOut of range &#x110000; reference\n');
+    fs.writeFileSync(path.join(rootDir, 'guide.md'), '# Guide\n\nA reference page\n');
+  });
+
+  after(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('indexes markdown with out-of-range character references', async () => {
+    const results = await search(rootDir, 'reference');
+    assert.deepEqual(results.map(result => result.path), ['/broken.md', '/guide.md']);
+    assert.match(results[0].matches[0].text, /Out of range � reference/);
+  });
+});
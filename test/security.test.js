@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Path resolution tests: traversal, malformed URLs, the symlink policies and
+ * hidden files, requested through a running docs server
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const http   = require('node:http');
+const os     = require('node:os');
+const path   = require('node:path');
+
+const { createDocsServer } = require('..');
+
+/**
+ * Creates the served directory, with a directory outside it that symlinks point into:
+ *
+ *   root/      guide.md, .env, sub/.env, sub/.hidden/page.md, .git/config, sub/nested/.git/config,
+ *              links to guide.md, .env, ../outside/secret.txt and ../shared
+ *   outside/   secret.txt
+ *   shared/    note.md
+ * @returns {{baseDir: string, rootDir: string, sharedDir: string}} Paths of the fixture
+ */
+function createFixture() {
+  const baseDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'docs-server-security-')));
+  const rootDir = path.join(baseDir, 'root');
+  const sharedDir = path.join(baseDir, 'shared');
+  const files = {
+    'root/guide.md':                '# Guide\n',
+    'root/.env':                    'TOKEN=secret\n',
+    'root/sub/.env':                'TOKEN=secret\n',
+    'root/sub/.hidden/page.md':     '# Hidden\n',
+    'root/.git/config':             '[core]\n',
+    'root/sub/nested/.git/config':  '[core]\n',
+    'outside/secret.txt':           'secret\n',
+    'shared/note.md':               '# Shared\n'
+  };
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(baseDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(baseDir, file), content);
+  }
+
+  fs.symlinkSync('guide.md', path.join(rootDir, 'inside-link.md'));
+  fs.symlinkSync('.env', path.join(rootDir, 'env-link'));
+  fs.symlinkSync(path.join(baseDir, 'outside', 'secret.txt'), path.join(rootDir, 'outside-link.txt'));
+  fs.symlinkSync(sharedDir, path.join(rootDir, 'shared-link'), 'dir');
+  return { baseDir, rootDir, sharedDir };
+}
+
+/**
+ * Starts a docs server on a free port
+ * @param {Object} options - Options for createDocsServer
+ * @returns {Promise<{app: Object, server: http.Server}>} App and listening server
+ */
+function startServer(options) {
+  const app = createDocsServer(options);
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({ app, server }));
+  });
+}
+
+/**
+ * Stops a server started with startServer
+ * @param {{app: Object, server: http.Server}} running - Running server
+ * @returns {Promise<void>} Resolves once the server is closed
+ */
+function stopServer({ app, server }) {
+  app.close();
+  return new Promise(resolve => server.close(resolve));
+}
+
+/**
+ * Requests a path exactly as given; unlike fetch, http.get does not normalize `..` segments
+ * @param {http.Server} server - Listening server
+ * @param {string} urlPath - Request path
+ * @returns {Promise<number>} Response status
+ */
+function requestStatus(server, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: urlPath }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    }).on('error', reject);
+  });
+}
+
+describe('path resolution', () => {
+  let fixture;
+  let running;
+
+  before(async () => {
+    fixture = createFixture();
+    running = await startServer({ rootDir: fixture.rootDir });
+  });
+
+  after(async () => {
+    await stopServer(running);
+    fs.rmSync(fixture.baseDir, { recursive: true, force: true });
+  });
+
+  it('serves files inside the root', async () => {
+    assert.equal(await requestStatus(running.server, '/guide.md'), 200);
+    assert.equal(await requestStatus(running.server, '/_raw/guide.md'), 200);
+  });
+
+  for (const urlPath of [
+    '/../outside/secret.txt',
+    '/sub/../../outside/secret.txt',
+    '/%2e%2e/outside/secret.txt',
+    '/%2E%2E/outside/secret.txt',
+    '/sub/%2e%2e/%2e%2e/outside/secret.txt',
+    '/..%2foutside%2fsecret.txt',
+    '/_raw/%2e%2e/outside/secret.txt',
+    '/_diff/%2e%2e/outside/secret.txt'
+  ]) {
+    it(`refuses traversal out of the root: ${urlPath}`, async () => {
+      assert.equal(await requestStatus(running.server, urlPath), 403);
+    });
+  }
+
+  for (const urlPath of ['/guide.md%00', '/%00/guide.md', '/_raw/guide.md%00.txt']) {
+    it(`rejects NUL bytes: ${urlPath}`, async () => {
+      assert.equal(await requestStatus(running.server, urlPath), 400);
+    });
+  }
+
+  for (const urlPath of ['/%', '/guide%zz.md', '/%E0%A4%A', '/_raw/%c3%28']) {
+    it(`rejects malformed percent-encoding: ${urlPath}`, async () => {
+      assert.equal(await requestStatus(running.server, urlPath), 400);
+    });
+  }
+
+  for (const urlPath of [
+    '/.env',
+    '/sub/.env',
+    '/sub/.hidden/page.md',
+    '/sub/.hidden/',
+    '/%2eenv',
+    '/_raw/sub/.env',
+    '/.git/config',
+    '/sub/nested/.git/config',
+    '/_raw/sub/nested/.git/config',
+    '/sub/nested/%2egit/config'
+  ]) {
+    it(`hides dotfiles and .git at any depth: ${urlPath}`, async () => {
+      assert.equal(await requestStatus(running.server, urlPath), 404);
+    });
+  }
+
+  it('hides dotfiles reached through a symlink', async () => {
+    assert.equal(await requestStatus(running.server, '/env-link'), 404);
+  });
+});
+
+describe('symlink policies', () => {
+  let fixture;
+
+  before(() => {
+    fixture = createFixture();
+  });
+
+  after(() => {
+    fs.rmSync(fixture.baseDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Expected status of each link under a policy
+   * @type {Array<{symlinks: string, symlinkTargets?: function(): string[], expected: Object<string, number>}>}
+   */
+  const cases = [
+    {
+      symlinks: 'deny',
+      expected: { '/inside-link.md': 403, '/outside-link.txt': 403, '/shared-link/note.md': 403 }
+    },
+    {
+      symlinks: 'root',
+      expected: { '/inside-link.md': 200, '/outside-link.txt': 403, '/shared-link/note.md': 403 }
+    },
+    {
+      symlinks:       'targets',
+      symlinkTargets: () => [fixture.sharedDir],
+      expected:       { '/inside-link.md': 200, '/outside-link.txt': 403, '/shared-link/note.md': 200 }
+    }
+  ];
+
+  for (const { symlinks, symlinkTargets, expected } of cases) {
+    it(`applies the ${symlinks} policy`, async () => {
+      const running = await startServer({
+        rootDir:        fixture.rootDir,
+        symlinks,
+        symlinkTargets: symlinkTargets ? symlinkTargets() : []
+      });
+      try {
+        for (const [urlPath, status] of Object.entries(expected)) {
+          assert.equal(await requestStatus(running.server, urlPath), status, urlPath);
+          assert.equal(await requestStatus(running.server, `/_raw${urlPath}`), status, `/_raw${urlPath}`);
+        }
+        assert.equal(await requestStatus(running.server, '/guide.md'), 200);
+      } finally {
+        await stopServer(running);
+      }
+    });
+  }
+});
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Sandbox policy tests for raw files that can run scripts
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const os     = require('node:os');
+const path   = require('node:path');
+
+const { createDocsServer }                    = require('..');
+const { isActiveContentType, SANDBOX_POLICY } = require('../lib/securityHeaders');
+
+describe('isActiveContentType', () => {
+  for (const mimeType of ['text/html', 'application/xhtml+xml', 'image/svg+xml', 'text/xml', 'application/xml',
+    'application/rss+xml', 'application/atom+xml', 'application/xslt+xml', 'application/mathml+xml', 'text/mathml']) {
+    it(`treats ${mimeType} as active`, () => {
+      assert.equal(isActiveContentType(mimeType), true);
+    });
+  }
+
+  for (const mimeType of ['text/plain', 'application/json', 'image/png', 'text/markdown', 'application/xml-dtd', null]) {
+    it(`treats ${mimeType} as inert`, () => {
+      assert.equal(isActiveContentType(mimeType), false);
+    });
+  }
+});
+
+describe('raw files', () => {
+  let rootDir;
+  let app;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    rootDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'docs-server-headers-')));
+    const files = {
+      'feed.rss':   '<?xml version="1.0"?><rss version="2.0"><channel><title>Feed</title></channel></rss>',
+      'style.xsl':  '<?xml version="1.0"?><xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform"/>',
+      'feed.atom':  '<?xml version="1.0"?><feed xmlns="http://www.w3.org/2005/Atom"/>',
+      'notes.txt':  'plain text'
+    };
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(rootDir, name), content);
+    }
+    app = createDocsServer({ rootDir });
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    app.close();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  for (const name of ['feed.rss', 'style.xsl', 'feed.atom']) {
+    it(`sandboxes raw ${name}`, async () => {
+      for (const urlPath of [`/_raw/${name}`, `/${name}?raw=1`]) {
+        const response = await fetch(`${baseUrl}${urlPath}`);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-security-policy'), SANDBOX_POLICY, urlPath);
+      }
+    });
+  }
+
+  it('does not sandbox raw plain text', async () => {
+    const response = await fetch(`${baseUrl}/_raw/notes.txt`);
+    assert.equal(response.status, 200);
+    assert.notEqual(response.headers.get('content-security-policy'), SANDBOX_POLICY);
+  });
+});